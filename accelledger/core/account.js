@@ -5,6 +5,9 @@
 // Component separator for account names
 const sep = ":";
 
+// The dtype of account values in Custom directives.
+const TYPE = "account";
+
 // Regular expression for valid account name components
 const ACC_COMP_TYPE_RE = /[A-Z][a-zA-Z0-9\-]*/;
 const ACC_COMP_NAME_RE = /[A-Z0-9][a-zA-Z0-9\-]*/;
@@ -127,6 +130,17 @@ function* parents(accountName) {
   }
 }
 
+/**
+ * Build a predicate that tests whether an account is a given account or one
+ * of its descendants.
+ * @param accountName - The name of the parent account.
+ * @returns A function of an account name returning true if it is a child.
+ */
+function parentMatcher(accountName) {
+  return (otherAccount) =>
+    otherAccount === accountName || otherAccount.startsWith(accountName + sep);
+}
+
 /**
  * Account name transformer.
  */
@@ -150,6 +164,7 @@ class AccountTransformer {
 
 module.exports = {
   sep,
+  TYPE,
   isValid,
   join,
   split,
@@ -160,5 +175,6 @@ module.exports = {
   hasComponent,
   commonPrefix,
   parents,
+  parentMatcher,
   AccountTransformer
 };
\ No newline at end of file
@@ -1,4 +1,5 @@
 import Decimal from 'decimal.js';
+import { MISSING } from './number.js';
 
 const CURRENCY_RE = [
   '[A-Z][A-Z0-9\'\\.\\-]*[A-Z0-9]?\\b',
@@ -6,11 +7,10 @@ const CURRENCY_RE = [
 ].join('|');
 
 const ZERO = new Decimal(0);
-const MISSING = Symbol('MISSING');
 
 class Amount {
   constructor(number, currency) {
-    if (!(number instanceof Decimal) && number !== null && number !== MISSING) {
+    if (!Decimal.isDecimal(number) && number !== null && number !== MISSING) {
       if (typeof number === 'number' || typeof number === 'string') {
         number = new Decimal(number);
       } else {
@@ -23,7 +23,7 @@ class Amount {
 
   toString(dformat = null) {
     let numberFmt;
-    if (this.number instanceof Decimal) {
+    if (Decimal.isDecimal(this.number)) {
       numberFmt = this.number.toString();
     } else if (this.number === MISSING) {
       numberFmt = '';
@@ -34,19 +34,19 @@ class Amount {
   }
 
   valueOf() {
-    return this.number instanceof Decimal && !this.number.isZero();
+    return Decimal.isDecimal(this.number) && !this.number.isZero();
   }
 
   equals(other) {
     if (!(other instanceof Amount)) return false;
-    return this.number instanceof Decimal && other.number instanceof Decimal &&
+    return Decimal.isDecimal(this.number) && Decimal.isDecimal(other.number) &&
            this.number.equals(other.number) && this.currency === other.currency;
   }
 
   compareTo(other) {
     const currencyCompare = this.currency.localeCompare(other.currency);
     if (currencyCompare !== 0) return currencyCompare;
-    if (this.number instanceof Decimal && other.number instanceof Decimal) {
+    if (Decimal.isDecimal(this.number) && Decimal.isDecimal(other.number)) {
       return this.number.comparedTo(other.number);
     }
     return 0;
@@ -54,7 +54,7 @@ class Amount {
 
   negate() {
     return new Amount(
-      isDecimal(this.number) ? this.number.negated() : this.number,
+      Decimal.isDecimal(this.number) ? this.number.negated() : this.number,
       this.currency
     );
   }
@@ -74,21 +74,21 @@ function sortkey(amount) {
 }
 
 function mul(amount, number) {
-  if (!(number instanceof Decimal)) {
+  if (!Decimal.isDecimal(number)) {
     number = new Decimal(number);
   }
   return new Amount(
-    amount.number instanceof Decimal ? amount.number.times(number) : 0,
+    Decimal.isDecimal(amount.number) ? amount.number.times(number) : 0,
     amount.currency
   );
 }
 
 function div(amount, number) {
-  if (!(number instanceof Decimal)) {
+  if (!Decimal.isDecimal(number)) {
     number = new Decimal(number);
   }
   return new Amount(
-    amount.number instanceof Decimal ? amount.number.dividedBy(number) : 0,
+    Decimal.isDecimal(amount.number) ? amount.number.dividedBy(number) : 0,
     amount.currency
   );
 }
@@ -98,7 +98,7 @@ function add(amount1, amount2) {
     throw new Error(`Unmatching currencies for operation on ${amount1} and ${amount2}`);
   }
   return new Amount(
-    amount1.number instanceof Decimal && amount2.number instanceof Decimal
+    Decimal.isDecimal(amount1.number) && Decimal.isDecimal(amount2.number)
       ? amount1.number.plus(amount2.number)
       : new Decimal(0),
     amount1.currency
@@ -110,7 +110,7 @@ function sub(amount1, amount2) {
     throw new Error(`Unmatching currencies for operation on ${amount1} and ${amount2}`);
   }
   return new Amount(
-    amount1.number instanceof Decimal && amount2.number instanceof Decimal
+    Decimal.isDecimal(amount1.number) && Decimal.isDecimal(amount2.number)
       ? amount1.number.minus(amount2.number)
       : new Decimal(0),
     amount1.currency
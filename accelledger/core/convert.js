@@ -1,5 +1,7 @@
 const Decimal = require("decimal.js");
-const { Amount, Cost, Position } = require("./amount");
+const { Amount } = require("./amount");
+const { Cost, Position } = require("./position");
+const { MISSING } = require("./number");
 const prices = require("./prices");
 
 function getUnits(pos) {
@@ -14,7 +16,7 @@ function getCost(pos) {
     throw new Error("Expected Position or Posting");
   }
   const cost = pos.cost;
-  if (cost instanceof Cost && cost.number instanceof Decimal) {
+  if (cost instanceof Cost && Decimal.isDecimal(cost.number)) {
     return new Amount(cost.number.times(pos.units.number), cost.currency);
   } else {
     return pos.units;
@@ -28,7 +30,7 @@ function getWeight(pos) {
   const units = pos.units;
   const cost = pos.cost;
 
-  if (cost instanceof Cost && cost.number instanceof Decimal) {
+  if (cost instanceof Cost && Decimal.isDecimal(cost.number)) {
     return new Amount(cost.number.times(pos.units.number), cost.currency);
   } else {
     let weight = units;
@@ -36,8 +38,8 @@ function getWeight(pos) {
       const price = pos.price;
       if (price) {
         const convertedNumber =
-          price.number === "MISSING" || units.number === "MISSING"
-            ? "MISSING"
+          price.number === MISSING || units.number === MISSING
+            ? MISSING
             : price.number.times(units.number);
         weight = new Amount(convertedNumber, price.currency);
       }
@@ -83,29 +85,58 @@ function convertPosition(pos, targetCurrency, priceMap, date = null) {
   ]);
 }
 
-function convertAmount(amt, targetCurrency, priceMap, date = null, via = null) {
-  const baseQuote = [amt.currency, targetCurrency];
-  const [, rate] = prices.getPrice(priceMap, baseQuote, date);
-  if (rate !== null) {
-    return new Amount(amt.number.times(rate), targetCurrency);
-  } else if (via) {
-    for (const impliedCurrency of via) {
-      if (impliedCurrency === targetCurrency) continue;
-      const baseQuote1 = [amt.currency, impliedCurrency];
-      const [, rate1] = prices.getPrice(priceMap, baseQuote1, date);
-      if (rate1 !== null) {
-        const baseQuote2 = [impliedCurrency, targetCurrency];
-        const [, rate2] = prices.getPrice(priceMap, baseQuote2, date);
-        if (rate2 !== null) {
-          return new Amount(
-            amt.number.times(rate1).times(rate2),
-            targetCurrency
-          );
-        }
-      }
+/**
+ * Convert an amount to another currency at the prices of a date.
+ *
+ * A direct price is used if there is one, then a conversion through one of
+ * the implied currencies given, and otherwise the shortest conversion through
+ * the graph of the prices.
+ *
+ * @param {Amount} amt - The amount to convert.
+ * @param {string} targetCurrency - The currency to convert to.
+ * @param {Map} priceMap - A price map, as built by buildPriceMap().
+ * @param {LocalDate} date - The date of the prices, or null for the latest.
+ * @param {Array} via - Currencies to try converting through first.
+ * @param {Array} outputConversions - If given, the conversion used is
+ *   appended to it, with its path of currencies, the date of the price used
+ *   on each hop and the rate.
+ * @returns {Amount} The converted amount, or the amount itself if it cannot
+ *   be converted.
+ */
+function convertAmount(
+  amt,
+  targetCurrency,
+  priceMap,
+  date = null,
+  via = null,
+  outputConversions = null
+) {
+  const paths = [[amt.currency, targetCurrency]];
+  for (const impliedCurrency of via || []) {
+    if (impliedCurrency && impliedCurrency !== targetCurrency) {
+      paths.push([amt.currency, impliedCurrency, targetCurrency]);
     }
   }
 
+  let conversion = null;
+  for (const path of paths) {
+    conversion = prices.getConversionAlong(priceMap, path, date);
+    if (conversion !== null) break;
+  }
+  if (conversion === null) {
+    conversion = prices.findConversion(
+      priceMap,
+      [amt.currency, targetCurrency],
+      date
+    );
+  }
+
+  if (conversion !== null) {
+    if (outputConversions) {
+      outputConversions.push(conversion);
+    }
+    return new Amount(amt.number.times(conversion.rate), targetCurrency);
+  }
   return amt;
 }
 
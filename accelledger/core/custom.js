@@ -0,0 +1,77 @@
+// A registry of the types of Custom directives. A module using a custom
+// directive declares its type along with the types of the values it expects,
+// and the validation reports directives that don't match.
+
+const DTYPES = new Set([
+  "string",
+  "date",
+  "boolean",
+  "number",
+  "amount",
+  "account",
+]);
+
+const CUSTOM_TYPES = new Map();
+
+/**
+ * Declare a type of Custom directive.
+ * @param {string} type - The type name, as given first in the directive.
+ * @param {Array} argTypes - The dtype of each expected value, in order. An
+ *   element may also be an array of dtypes, any of which is accepted.
+ */
+function registerCustomType(type, argTypes) {
+  for (const dtype of argTypes.flat()) {
+    if (!DTYPES.has(dtype)) {
+      throw new Error(`Invalid type "${dtype}" for custom directive "${type}"`);
+    }
+  }
+  CUSTOM_TYPES.set(type, argTypes);
+}
+
+/**
+ * Remove the declaration of a type of Custom directive.
+ * @param {string} type - The type name.
+ */
+function unregisterCustomType(type) {
+  CUSTOM_TYPES.delete(type);
+}
+
+/**
+ * Get the expected value types of a Custom directive type.
+ * @param {string} type - The type name.
+ * @returns {Array} The list of dtypes, or null if the type isn't registered.
+ */
+function getCustomType(type) {
+  return CUSTOM_TYPES.get(type) || null;
+}
+
+/**
+ * Check the values of a Custom directive against its declared types.
+ * @param {Custom} entry - A Custom directive.
+ * @returns {string} A description of the mismatch, or null if the values
+ *   match or the type isn't registered.
+ */
+function checkCustomValues(entry) {
+  const argTypes = getCustomType(entry.type);
+  if (argTypes === null) {
+    return null;
+  }
+  if (entry.values.length !== argTypes.length) {
+    return `expected ${argTypes.length} values, found ${entry.values.length}`;
+  }
+  for (const [index, argType] of argTypes.entries()) {
+    const expected = [argType].flat();
+    const { dtype } = entry.values[index];
+    if (!expected.includes(dtype)) {
+      return `expected ${expected.join(" or ")} for value ${index + 1}, found ${dtype}`;
+    }
+  }
+  return null;
+}
+
+export {
+  registerCustomType,
+  unregisterCustomType,
+  getCustomType,
+  checkCustomValues,
+};
@@ -0,0 +1,57 @@
+import { afterEach, describe, expect, test } from "bun:test";
+import { Custom, ValueType, newMetadata } from "./data.js";
+import {
+  checkCustomValues,
+  getCustomType,
+  registerCustomType,
+  unregisterCustomType,
+} from "./custom.js";
+
+function custom(type, ...values) {
+  return new Custom(
+    newMetadata("<test>", 1),
+    null,
+    type,
+    values.map(([value, dtype]) => new ValueType(value, dtype))
+  );
+}
+
+afterEach(() => {
+  unregisterCustomType("budget");
+});
+
+describe("registry", () => {
+  test("declares and removes a custom directive type", () => {
+    expect(getCustomType("budget")).toBeNull();
+    registerCustomType("budget", ["account", ["string", "number"]]);
+    expect(getCustomType("budget")).toEqual(["account", ["string", "number"]]);
+    unregisterCustomType("budget");
+    expect(getCustomType("budget")).toBeNull();
+  });
+
+  test("rejects an unknown value type", () => {
+    expect(() => registerCustomType("budget", ["currency"])).toThrow(
+      'Invalid type "currency" for custom directive "budget"'
+    );
+    expect(getCustomType("budget")).toBeNull();
+  });
+});
+
+describe("checkCustomValues", () => {
+  test("accepts values of the declared types, or of unregistered types", () => {
+    registerCustomType("budget", ["account", ["string", "number"]]);
+    expect(checkCustomValues(custom("budget", ["Expenses:Food", "account"], ["monthly", "string"]))).toBeNull();
+    expect(checkCustomValues(custom("budget", ["Expenses:Food", "account"], [12, "number"]))).toBeNull();
+    expect(checkCustomValues(custom("other", [true, "boolean"]))).toBeNull();
+  });
+
+  test("describes the first mismatch", () => {
+    registerCustomType("budget", ["account", ["string", "number"]]);
+    expect(checkCustomValues(custom("budget", ["Expenses:Food", "account"]))).toBe(
+      "expected 2 values, found 1"
+    );
+    expect(
+      checkCustomValues(custom("budget", ["Expenses:Food", "account"], [true, "boolean"]))
+    ).toBe("expected string or number for value 2, found boolean");
+  });
+});
@@ -82,7 +82,90 @@ class Transaction {
   }
 }
 
-// ... Other classes (Note, Event, Query, Price, Document, Custom) would be defined similarly ...
+class Pad {
+  constructor(meta, date, account, sourceAccount) {
+    this.meta = meta;
+    this.date = date;
+    this.account = account;
+    this.sourceAccount = sourceAccount;
+  }
+}
+
+class Note {
+  constructor(meta, date, account, comment, tags = null, links = null) {
+    this.meta = meta;
+    this.date = date;
+    this.account = account;
+    this.comment = comment;
+    this.tags = tags;
+    this.links = links;
+  }
+}
+
+class Event {
+  constructor(meta, date, type, description) {
+    this.meta = meta;
+    this.date = date;
+    this.type = type;
+    this.description = description;
+  }
+}
+
+class Query {
+  constructor(meta, date, name, queryString) {
+    this.meta = meta;
+    this.date = date;
+    this.name = name;
+    this.queryString = queryString;
+  }
+}
+
+class Price {
+  constructor(meta, date, currency, amount) {
+    this.meta = meta;
+    this.date = date;
+    this.currency = currency;
+    this.amount = amount;
+  }
+}
+
+class Document {
+  constructor(meta, date, account, filename, tags = null, links = null) {
+    this.meta = meta;
+    this.date = date;
+    this.account = account;
+    this.filename = filename;
+    this.tags = tags;
+    this.links = links;
+  }
+}
+
+// A typed value of a Custom directive; dtype is one of "string", "date",
+// "boolean", "number", "amount" or "account".
+class ValueType {
+  constructor(value, dtype) {
+    this.value = value;
+    this.dtype = dtype;
+  }
+}
+
+class Custom {
+  constructor(meta, date, type, values) {
+    this.meta = meta;
+    this.date = date;
+    this.type = type;
+    this.values = values;
+  }
+}
+
+// A posting along with the transaction it belongs to, for the lists of
+// postings realized per account.
+class TxnPosting {
+  constructor(txn, posting) {
+    this.txn = txn;
+    this.posting = posting;
+  }
+}
 
 // Helper functions
 function createSimplePosting(entry, account, number, currency) {
@@ -120,8 +203,11 @@ const SORT_ORDER = {
   Close: 2
 };
 
+// Entries sort by date, then by type so that on a given day accounts are
+// opened first and balances checked before any transaction, then in the order
+// of the input.
 function entrySortKey(entry) {
-  return [entry.date, SORT_ORDER[entry.constructor.name] || 0, entry.meta.lineno];
+  return [entry.date.toOrdinal(), SORT_ORDER[entry.constructor.name] || 0, entry.meta.lineno];
 }
 
 function sortEntries(entries) {
@@ -156,8 +242,17 @@ export {
   Close,
   Commodity,
   Balance,
+  Pad,
+  Note,
+  Event,
+  Query,
+  Price,
+  Document,
+  Custom,
+  ValueType,
   Posting,
   Transaction,
+  TxnPosting,
   newMetadata,
   createSimplePosting,
   createSimplePostingWithCost,
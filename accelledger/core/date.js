@@ -0,0 +1,187 @@
+/**
+ * A calendar date without a time of day or a timezone, as written in the
+ * input. Directive dates are LocalDate instances.
+ *
+ * JavaScript Date objects represent an instant; a date parsed from
+ * "2020-01-02" is midnight UTC, which is still the 1st of January west of
+ * Greenwich. LocalDate only holds a year, a month and a day, so it renders and
+ * compares the same everywhere.
+ *
+ * Instances are immutable. Their primitive value is the number of days since
+ * 1970-01-01, so that dates compare with <, <=, > and >=, and subtracting two
+ * dates gives the number of days between them. Use equals() to compare for
+ * equality.
+ */
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+const ISO_DATE_RE = /^(\d{4})[-/](\d{2})[-/](\d{2})$/;
+
+function pad(number, width) {
+  return String(number).padStart(width, "0");
+}
+
+class LocalDate {
+  /**
+   * @param {number} year - The year, e.g. 2020.
+   * @param {number} month - The month, from 1 to 12.
+   * @param {number} day - The day of the month, from 1.
+   */
+  constructor(year, month, day) {
+    if (
+      !Number.isInteger(year) ||
+      !Number.isInteger(month) ||
+      !Number.isInteger(day) ||
+      month < 1 ||
+      month > 12 ||
+      day < 1 ||
+      day > LocalDate.daysInMonth(year, month)
+    ) {
+      throw new RangeError(`Invalid date: ${year}-${pad(month, 2)}-${pad(day, 2)}`);
+    }
+    this.year = year;
+    this.month = month;
+    this.day = day;
+    Object.freeze(this);
+  }
+
+  /**
+   * Parse a date written as YYYY-MM-DD or YYYY/MM/DD.
+   * @param {string} string - The date.
+   * @returns {LocalDate} The date.
+   */
+  static fromString(string) {
+    const match = ISO_DATE_RE.exec(string.trim());
+    if (!match) {
+      throw new RangeError(`Invalid date: ${string}`);
+    }
+    return new LocalDate(Number(match[1]), Number(match[2]), Number(match[3]));
+  }
+
+  /**
+   * Get the calendar date of a JavaScript Date in the local timezone.
+   * @param {Date} date - An instant.
+   * @returns {LocalDate} The date.
+   */
+  static fromDate(date) {
+    return new LocalDate(date.getFullYear(), date.getMonth() + 1, date.getDate());
+  }
+
+  /**
+   * Get the date of a day number, as returned by toOrdinal().
+   * @param {number} ordinal - The number of days since 1970-01-01.
+   * @returns {LocalDate} The date.
+   */
+  static fromOrdinal(ordinal) {
+    const date = new Date(ordinal * MS_PER_DAY);
+    return new LocalDate(date.getUTCFullYear(), date.getUTCMonth() + 1, date.getUTCDate());
+  }
+
+  /**
+   * Get today's date in the local timezone.
+   * @returns {LocalDate} The date.
+   */
+  static today() {
+    return LocalDate.fromDate(new Date());
+  }
+
+  static isLeapYear(year) {
+    return (year % 4 === 0 && year % 100 !== 0) || year % 400 === 0;
+  }
+
+  static daysInMonth(year, month) {
+    if (month === 2) {
+      return LocalDate.isLeapYear(year) ? 29 : 28;
+    }
+    return [4, 6, 9, 11].includes(month) ? 30 : 31;
+  }
+
+  /**
+   * @returns {number} The number of days since 1970-01-01.
+   */
+  toOrdinal() {
+    return Date.UTC(this.year, this.month - 1, this.day) / MS_PER_DAY;
+  }
+
+  valueOf() {
+    return this.toOrdinal();
+  }
+
+  equals(other) {
+    return (
+      other instanceof LocalDate &&
+      this.year === other.year &&
+      this.month === other.month &&
+      this.day === other.day
+    );
+  }
+
+  /**
+   * @param {LocalDate} other - Another date.
+   * @returns {number} Negative, zero or positive as this date is before, the
+   *   same as or after the other.
+   */
+  compareTo(other) {
+    return this.toOrdinal() - other.toOrdinal();
+  }
+
+  addDays(days) {
+    return LocalDate.fromOrdinal(this.toOrdinal() + days);
+  }
+
+  /**
+   * Add a number of months, keeping the day of the month, or using the last
+   * day of the month if it has fewer days.
+   * @param {number} months - The number of months, possibly negative.
+   * @returns {LocalDate} The new date.
+   */
+  addMonths(months) {
+    const index = this.year * 12 + (this.month - 1) + months;
+    const year = Math.floor(index / 12);
+    const month = index - year * 12 + 1;
+    return new LocalDate(year, month, Math.min(this.day, LocalDate.daysInMonth(year, month)));
+  }
+
+  addYears(years) {
+    return this.addMonths(years * 12);
+  }
+
+  /**
+   * @returns {number} The ISO day of the week, 1 for Monday to 7 for Sunday.
+   */
+  dayOfWeek() {
+    // 1970-01-01 was a Thursday.
+    return ((((this.toOrdinal() + 3) % 7) + 7) % 7) + 1;
+  }
+
+  /**
+   * @returns {Array} The ISO week-numbering year and week number, e.g.
+   *   [2020, 53] for 2021-01-01.
+   */
+  isoWeek() {
+    // The week belongs to the year of its Thursday.
+    const thursday = this.addDays(4 - this.dayOfWeek());
+    const firstDay = new LocalDate(thursday.year, 1, 1);
+    return [thursday.year, Math.floor((thursday - firstDay) / 7) + 1];
+  }
+
+  /**
+   * @returns {number} The quarter of the year, from 1 to 4.
+   */
+  quarter() {
+    return Math.floor((this.month - 1) / 3) + 1;
+  }
+
+  /**
+   * @returns {string} The date as YYYY-MM-DD.
+   */
+  toString() {
+    return `${pad(this.year, 4)}-${pad(this.month, 2)}-${pad(this.day, 2)}`;
+  }
+
+  toJSON() {
+    return this.toString();
+  }
+}
+
+export { LocalDate };
@@ -0,0 +1,67 @@
+import { describe, expect, test } from "bun:test";
+import { LocalDate } from "./date.js";
+
+const date = (string) => LocalDate.fromString(string);
+
+describe("LocalDate", () => {
+  test("parses dates with dashes or slashes", () => {
+    const parsed = date("2020-02-29");
+    expect([parsed.year, parsed.month, parsed.day]).toEqual([2020, 2, 29]);
+    expect(date("2020/02/29").equals(parsed)).toBe(true);
+    expect(String(date(" 2021-01-05 "))).toBe("2021-01-05");
+  });
+
+  test("rejects invalid dates", () => {
+    expect(() => date("2021-02-29")).toThrow("Invalid date: 2021-02-29");
+    expect(() => date("2020-13-01")).toThrow(RangeError);
+    expect(() => date("20200101")).toThrow("Invalid date: 20200101");
+  });
+
+  test("is immutable", () => {
+    const parsed = date("2020-01-01");
+    expect(() => {
+      parsed.day = 2;
+    }).toThrow();
+  });
+
+  test("compares by day, regardless of the timezone", () => {
+    const [a, b] = [date("2019-12-31"), date("2020-01-01")];
+    expect(a < b).toBe(true);
+    expect(b - a).toBe(1);
+    expect(a.compareTo(b)).toBeLessThan(0);
+    expect(b.compareTo(date("2020-01-01"))).toBe(0);
+    expect(a.equals(date("2019-12-31"))).toBe(true);
+    expect(a.equals("2019-12-31")).toBe(false);
+    expect([b, a].sort((x, y) => x.compareTo(y)).map(String)).toEqual([
+      "2019-12-31",
+      "2020-01-01",
+    ]);
+  });
+
+  test("adds days across months and years", () => {
+    expect(String(date("2020-02-28").addDays(1))).toBe("2020-02-29");
+    expect(String(date("2020-12-31").addDays(1))).toBe("2021-01-01");
+    expect(String(date("2020-03-01").addDays(-1))).toBe("2020-02-29");
+    expect(String(date("1969-12-31").addDays(366))).toBe("1971-01-01");
+  });
+
+  test("adds months, keeping the day within the month", () => {
+    expect(String(date("2020-01-31").addMonths(1))).toBe("2020-02-29");
+    expect(String(date("2020-01-15").addMonths(-1))).toBe("2019-12-15");
+    expect(String(date("2020-02-29").addYears(1))).toBe("2021-02-28");
+  });
+
+  test("tells the ISO day of the week, week and quarter", () => {
+    expect(date("2020-01-06").dayOfWeek()).toBe(1);
+    expect(date("2020-01-12").dayOfWeek()).toBe(7);
+    expect(date("1969-12-31").dayOfWeek()).toBe(3);
+    expect(date("2021-01-01").isoWeek()).toEqual([2020, 53]);
+    expect(date("2020-12-31").quarter()).toBe(4);
+  });
+
+  test("converts to and from day ordinals", () => {
+    expect(date("1970-01-02").toOrdinal()).toBe(1);
+    expect(String(LocalDate.fromOrdinal(date("2020-06-15").toOrdinal()))).toBe("2020-06-15");
+    expect(JSON.stringify({ date: date("2020-06-15") })).toBe('{"date":"2020-06-15"}');
+  });
+});
@@ -2,6 +2,8 @@
  * A settings class to offer control over the number of digits rendered.
  */
 
+import { numFractionalDigits } from './number.js';
+
 // Enums
 const Precision = {
   MOST_COMMON: 'MOST_COMMON',
@@ -24,13 +26,12 @@ class CurrencyContext {
   update(number) {
     if (number === null) return;
 
-    const [integerPart, fractionalPart] = String(number).split('.');
-    
-    if (number < 0) this.hasSign = true;
+    if (number.isNegative()) this.hasSign = true;
     
+    const integerPart = number.abs().trunc().toFixed();
     this.integerMax = Math.max(this.integerMax, integerPart.length);
     
-    const fractionalDigits = fractionalPart ? fractionalPart.length : 0;
+    const fractionalDigits = numFractionalDigits(number);
     this.fractionalDist.set(fractionalDigits, (this.fractionalDist.get(fractionalDigits) || 0) + 1);
   }
 
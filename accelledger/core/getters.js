@@ -188,7 +188,7 @@ function* getActiveYears(entries) {
   const seen = new Set();
   let prevYear = null;
   for (const entry of entries) {
-    const year = entry.date.getFullYear();
+    const year = entry.date.year;
     if (year !== prevYear) {
       prevYear = year;
       if (!seen.has(year)) {
@@ -1,6 +1,12 @@
 // Code used to automatically complete postings without positions.
 
 const Decimal = require("decimal.js");
+const { Amount } = require("./amount");
+const { Cost } = require("./position");
+const { Posting, Transaction } = require("./data");
+const { Inventory } = require("./inventory");
+const { MISSING, getExponent } = require("./number");
+const { getWeight } = require("./convert");
 
 // Simulating Python's collections.namedtuple
 class BalanceError {
@@ -29,60 +35,21 @@ class DefaultDict extends Map {
 // Constants
 const MAXIMUM_TOLERANCE = new Decimal("0.5");
 const MAX_TOLERANCE_DIGITS = 5;
+
+// Metadata keys set by booking. AUTOMATIC_META marks the postings whose
+// numbers were filled in or which were inserted automatically. On a
+// transaction, AUTOMATIC_RESIDUAL holds the residual amounts left after
+// interpolation; on a posting, it marks a posting inserted to absorb them.
+// AUTOMATIC_MERGE marks the postings inserted to merge lots at their average
+// cost, which take the lots out and put the merged lot in.
 const AUTOMATIC_META = "__automatic__";
 const AUTOMATIC_RESIDUAL = "__residual__";
+const AUTOMATIC_MERGE = "__merge__";
 const AUTOMATIC_TOLERANCES = "__tolerances__";
 
 // Simulating Python's Decimal constants
 const ONE = new Decimal(1);
 const ZERO = new Decimal(0);
-const MISSING = Symbol("MISSING");
-
-// Helper classes (simplified versions)
-class Amount {
-  constructor(number, currency) {
-    this.number = number;
-    this.currency = currency;
-  }
-}
-
-class CostSpec {
-  constructor(number_per, number_total, currency) {
-    this.number_per = number_per;
-    this.number_total = number_total;
-    this.currency = currency;
-  }
-}
-
-class Cost {
-  constructor(number, currency) {
-    this.number = number;
-    this.currency = currency;
-  }
-}
-
-class Posting {
-  constructor(account, units, cost, price, flag, meta) {
-    this.account = account;
-    this.units = units;
-    this.cost = cost;
-    this.price = price;
-    this.flag = flag;
-    this.meta = meta || {};
-  }
-}
-
-class Transaction {
-  constructor(date, flag, payee, narration, tags, links, postings) {
-    this.date = date;
-    this.flag = flag;
-    this.payee = payee;
-    this.narration = narration;
-    this.tags = tags;
-    this.links = links;
-    this.postings = postings;
-  }
-}
 
 function isToleranceUserSpecified(tolerance) {
     return tolerance.precision() < MAX_TOLERANCE_DIGITS;
@@ -92,33 +59,15 @@ function hasNontrivialBalance(posting) {
     return posting.cost || posting.price;
 }
 
-class Inventory {
-    constructor() {
-        this.positions = [];
-    }
-
-    addAmount(amount) {
-        // Simplified implementation
-        this.positions.push({ units: amount });
-    }
-
-    addPosition(posting) {
-        // Simplified implementation
-        this.positions.push({ units: posting.units, cost: posting.cost });
-    }
-
-    getPositions() {
-        return this.positions;
-    }
-
-    isEmpty() {
-        return this.positions.length === 0;
-    }
-}
-
+/**
+ * Compute the total weight of a list of postings, leaving out the postings
+ * inserted to absorb a previous residual.
+ * @param {Array} postings - A list of Posting instances.
+ * @returns {Inventory} The residual, empty if the postings balance exactly.
+ */
 function computeResidual(postings) {
-    let inventory = new Inventory();
-    for (let posting of postings) {
+    const inventory = new Inventory();
+    for (const posting of postings) {
         if (posting.meta && posting.meta[AUTOMATIC_RESIDUAL]) {
             continue;
         }
@@ -127,11 +76,22 @@ function computeResidual(postings) {
     return inventory;
 }
 
-function getWeight(posting) {
-    // Simplified implementation
-    return posting.units;
-}
-
+/**
+ * Infer the tolerances of a transaction from the precision of its postings.
+ *
+ * Each currency gets half of the smallest digit its units are written with
+ * (scaled by inferred_tolerance_multiplier), or its inferred_tolerance_default
+ * if that is larger. With infer_tolerance_from_cost, the tolerance of each
+ * posting is also carried over to its cost and price currencies, multiplied
+ * by the per-unit cost or price. Currencies with nothing to infer from get
+ * the "*" default, or zero.
+ *
+ * @param {Array} postings - The postings of a transaction.
+ * @param {Object} optionsMap - An options dict as produced by the parser.
+ * @param {boolean} useCost - Override for infer_tolerance_from_cost.
+ * @returns {Object} A mapping of currency to tolerance, with the default for
+ *   any other currency under "*".
+ */
 function inferTolerances(postings, optionsMap, useCost = null) {
     if (useCost === null) {
         useCost = optionsMap.infer_tolerance_from_cost;
@@ -148,12 +108,12 @@ function inferTolerances(postings, optionsMap, useCost = null) {
         }
 
         const units = posting.units;
-        if (!(units instanceof Amount) || !(units.number instanceof Decimal)) {
+        if (!(units instanceof Amount) || !Decimal.isDecimal(units.number)) {
             continue;
         }
 
         const currency = units.currency;
-        const expo = units.number.e;
+        const expo = getExponent(units.number);
         if (expo < 0) {
             const tolerance = new Decimal(10).pow(expo).times(inferredToleranceMultiplier);
             tolerances[currency] = Decimal.max(tolerance, tolerances[currency] || new Decimal(-1024));
@@ -170,21 +130,21 @@ function inferTolerances(postings, optionsMap, useCost = null) {
                     costTolerance = Decimal.min(tolerance.times(cost.number), MAXIMUM_TOLERANCE);
                 } else {
                     costTolerance = MAXIMUM_TOLERANCE;
-                    for (let costNumber of [cost.number_total, cost.number_per]) {
+                    for (let costNumber of [cost.numberTotal, cost.numberPer]) {
                         if (costNumber === null || costNumber === MISSING) {
                             continue;
                         }
                         costTolerance = Decimal.min(tolerance.times(costNumber), costTolerance);
                     }
                 }
-                costTolerances.get(costCurrency).plus(costTolerance);
+                costTolerances.set(costCurrency, costTolerances.get(costCurrency).plus(costTolerance));
             }
 
             const price = posting.price;
-            if (price instanceof Amount && price.number instanceof Decimal) {
+            if (price instanceof Amount && Decimal.isDecimal(price.number)) {
                 const priceCurrency = price.currency;
                 const priceTolerance = Decimal.min(tolerance.times(price.number), MAXIMUM_TOLERANCE);
-                costTolerances.get(priceCurrency).plus(priceTolerance);
+                costTolerances.set(priceCurrency, costTolerances.get(priceCurrency).plus(priceTolerance));
             }
         }
     }
@@ -193,17 +153,25 @@ function inferTolerances(postings, optionsMap, useCost = null) {
         tolerances[currency] = Decimal.max(tolerance, tolerances[currency] || new Decimal(-1024));
     }
 
-    const defaultTolerance = tolerances['*'] || ZERO;
-    delete tolerances['*'];
+    if (!('*' in tolerances)) {
+        tolerances['*'] = ZERO;
+    }
+    return tolerances;
+}
 
-    return new Proxy(tolerances, {
-        get: (target, prop) => prop in target ? target[prop] : defaultTolerance
-    });
+/**
+ * Look up the tolerance of a currency, falling back on the "*" default.
+ * @param {Object} tolerances - A mapping as returned by inferTolerances().
+ * @param {string} currency - The currency to look up.
+ * @returns {Decimal} The tolerance of the currency.
+ */
+function getTolerance(tolerances, currency) {
+    return tolerances[currency] || tolerances['*'] || ZERO;
 }
 
 function getResidualPostings(residual, accountRounding) {
     const meta = { [AUTOMATIC_META]: true, [AUTOMATIC_RESIDUAL]: true };
-    return residual.getPositions().map(position => 
+    return residual.getPositions().map(position =>
         new Posting(accountRounding, negateAmount(position.units), position.cost, null, null, { ...meta })
     );
 }
@@ -216,7 +184,7 @@ function fillResidualPosting(entry, accountRounding) {
     const residual = computeResidual(entry.postings);
     if (!residual.isEmpty()) {
         const newPostings = [...entry.postings, ...getResidualPostings(residual, accountRounding)];
-        return new Transaction(entry.date, entry.flag, entry.payee, entry.narration, entry.tags, entry.links, newPostings);
+        return new Transaction(entry.meta, entry.date, entry.flag, entry.payee, entry.narration, entry.tags, entry.links, newPostings);
     }
     return entry;
 }
@@ -291,9 +259,9 @@ function getEntryAccounts(entry) {
 }
 
 function quantizeWithTolerance(tolerances, currency, number) {
-    const tolerance = tolerances[currency];
-    if (tolerance) {
-        const quantum = tolerance.times(2).normalize();
+    const tolerance = getTolerance(tolerances, currency);
+    if (!tolerance.isZero()) {
+        const quantum = tolerance.times(2);
         if (isToleranceUserSpecified(quantum)) {
             return number.toDecimalPlaces(quantum.decimalPlaces());
         }
@@ -307,11 +275,13 @@ module.exports = {
     MAX_TOLERANCE_DIGITS,
     AUTOMATIC_META,
     AUTOMATIC_RESIDUAL,
+    AUTOMATIC_MERGE,
     AUTOMATIC_TOLERANCES,
     isToleranceUserSpecified,
     hasNontrivialBalance,
     computeResidual,
     inferTolerances,
+    getTolerance,
     getResidualPostings,
     fillResidualPosting,
     computeEntriesBalance,
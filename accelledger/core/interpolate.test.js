@@ -0,0 +1,83 @@
+import { describe, expect, test } from "bun:test";
+import { loadString } from "../loader.js";
+import { AUTOMATIC_TOLERANCES } from "./interpolate.js";
+
+// Load a transaction with some options, returning its inferred tolerances.
+async function tolerancesOf(postings, options = "") {
+  const [entries, errors] = await loadString(`${options}
+2020-01-01 open Assets:Cash
+2020-01-01 open Assets:Broker
+2020-01-01 open Expenses:Food
+2020-01-02 * "Test"${postings}
+`);
+  const tolerances = entries.at(-1).meta[AUTOMATIC_TOLERANCES];
+  return {
+    tolerances: Object.fromEntries(
+      Object.entries(tolerances).map(([currency, tolerance]) => [currency, tolerance.toString()])
+    ),
+    errors: errors.map((error) => error.message),
+  };
+}
+
+describe("inferred tolerances", () => {
+  test("are half the smallest digit of the postings of each currency", async () => {
+    const { tolerances, errors } = await tolerancesOf(`
+  Assets:Cash  -10.50 USD
+  Expenses:Food  10.500 USD
+  Assets:Broker  1 HOOL
+  Assets:Cash  -1 HOOL`);
+    expect(errors).toEqual([]);
+    expect(tolerances).toEqual({ USD: "0.005", "*": "0" });
+  });
+
+  test("honour the defaults, with the wildcard for other currencies", async () => {
+    const { tolerances } = await tolerancesOf(
+      `
+  Assets:Cash  -10.50 USD
+  Expenses:Food  10.50 USD
+  Assets:Cash  -1 CHF
+  Expenses:Food  1 CHF`,
+      'option "inferred_tolerance_default" "*:0.001"\noption "inferred_tolerance_default" "CHF:0.01"'
+    );
+    expect(tolerances).toEqual({ USD: "0.005", CHF: "0.01", "*": "0.001" });
+  });
+
+  test("are scaled by the multiplier", async () => {
+    const { tolerances } = await tolerancesOf(
+      `
+  Assets:Cash  -10.50 USD
+  Expenses:Food  10.50 USD`,
+      'option "inferred_tolerance_multiplier" "1.1"'
+    );
+    expect(tolerances.USD).toBe("0.011");
+  });
+
+  test("are carried over to the cost currency when enabled", async () => {
+    const postings = `
+  Assets:Broker  10.5 HOOL {100.00 USD}
+  Assets:Cash  -1050.00 USD`;
+    expect((await tolerancesOf(postings)).tolerances).toEqual({
+      HOOL: "0.05",
+      USD: "0.005",
+      "*": "0",
+    });
+    const { tolerances } = await tolerancesOf(
+      postings,
+      'option "infer_tolerance_from_cost" "TRUE"'
+    );
+    expect(tolerances).toEqual({ HOOL: "0.05", USD: "0.5", "*": "0" });
+  });
+
+  test("decide whether a transaction balances", async () => {
+    expect(
+      (await tolerancesOf(`
+  Assets:Cash  -10.004 USD
+  Expenses:Food  10.00 USD`)).errors
+    ).toEqual([]);
+    const { errors } = await tolerancesOf(`
+  Assets:Cash  -10.01 USD
+  Expenses:Food  10.00 USD`);
+    expect(errors).toHaveLength(1);
+    expect(errors[0]).toStartWith("Transaction does not balance");
+  });
+});
@@ -1,6 +1,7 @@
 const Decimal = require("decimal.js");
-const { Amount, Cost, Position } = require("./position");
-const { ZERO, same_sign } = require("./number");
+const { Amount, ZERO } = require("./amount");
+const { Cost, Position } = require("./position");
+const { sameSign } = require("./number");
 const convert = require("./convert");
 
 const ASSERTS_TYPES = false;
@@ -21,7 +22,7 @@ class Inventory extends Map {
     super();
     if (positions) {
       if (positions instanceof Map || positions instanceof Inventory) {
-        for (const [key, value] of positions) {
+        for (const [key, value] of positions.entries()) {
           this.set(key, value);
         }
       } else {
@@ -55,7 +56,8 @@ class Inventory extends Map {
   isSmall(tolerances) {
     if (typeof tolerances === "object") {
       for (const position of this.values()) {
-        const tolerance = tolerances[position.units.currency] || ZERO;
+        const tolerance =
+          tolerances[position.units.currency] || tolerances["*"] || ZERO;
         if (position.units.number.abs().gt(tolerance)) {
           return false;
         }
@@ -89,7 +91,7 @@ class Inventory extends Map {
       const units = position.units;
       if (
         ramount.currency === units.currency &&
-        !same_sign(ramount.number, units.number)
+        !sameSign(ramount.number, units.number)
       ) {
         return true;
       }
@@ -99,7 +101,7 @@ class Inventory extends Map {
 
   neg() {
     const newInventory = new Inventory();
-    for (const [key, position] of this) {
+    for (const [key, position] of this.entries()) {
       newInventory.set(key, position.neg());
     }
     return newInventory;
@@ -107,7 +109,7 @@ class Inventory extends Map {
 
   abs() {
     const newInventory = new Inventory();
-    for (const [key, position] of this) {
+    for (const [key, position] of this.entries()) {
       newInventory.set(key, position.abs());
     }
     return newInventory;
@@ -115,21 +117,23 @@ class Inventory extends Map {
 
   mul(scalar) {
     const newInventory = new Inventory();
-    for (const [key, position] of this) {
+    for (const [key, position] of this.entries()) {
       newInventory.set(key, position.mul(scalar));
     }
     return newInventory;
   }
 
   currencies() {
-    return new Set(Array.from(this.keys()).map(([currency, _]) => currency));
+    return new Set(
+      Array.from(this.values()).map((position) => position.units.currency)
+    );
   }
 
   costCurrencies() {
     return new Set(
-      Array.from(this.keys())
-        .filter(([_, cost]) => cost !== null)
-        .map(([_, cost]) => cost.currency)
+      Array.from(this.values())
+        .filter((position) => position.cost !== null)
+        .map((position) => position.cost.currency)
     );
   }
 
@@ -248,7 +252,7 @@ class Inventory extends Map {
 
     let booking;
     if (pos) {
-      booking = !same_sign(pos.units.number, units.number)
+      booking = !sameSign(pos.units.number, units.number)
         ? MatchResult.REDUCED
         : MatchResult.AUGMENTED;
 
@@ -284,7 +288,7 @@ class Inventory extends Map {
 
   addInventory(other) {
     if (this.isEmpty()) {
-      for (const [key, value] of other) {
+      for (const [key, value] of other.entries()) {
         this.set(key, value);
       }
     } else {
@@ -1,77 +1,177 @@
-const ZERO = 0;
-const HALF = 0.5;
-const ONE = 1;
-const TEN = 10;
+import { createRequire } from "module";
+import Decimal from "decimal.js";
+
+const require = createRequire(import.meta.url);
+
+// The number of significant digits and the rounding mode of arithmetic, the
+// same as the defaults of Python's decimal module.
+const DEFAULT_PRECISION = 28;
+const DEFAULT_ROUNDING = Decimal.ROUND_HALF_EVEN;
+
+/**
+ * Set the precision and the rounding mode of all decimal arithmetic.
+ *
+ * Modules using import and modules using require() get different builds of
+ * decimal.js, each with its own settings, so both are configured.
+ *
+ * @param {number} precision - The number of significant digits of results.
+ * @param {number} rounding - One of the Decimal.ROUND_* modes.
+ */
+function setDecimalContext(precision = DEFAULT_PRECISION, rounding = DEFAULT_ROUNDING) {
+  for (const DecimalClass of [Decimal, require("decimal.js")]) {
+    DecimalClass.set({ precision, rounding });
+  }
+}
+
+setDecimalContext();
+
+const ZERO = new Decimal(0);
+const HALF = new Decimal("0.5");
+const ONE = new Decimal(1);
+const TEN = new Decimal(10);
 
 class MISSING {}
 
+// Decimal numbers drop their trailing zeros, but the precision a number is
+// written with still matters, e.g. "10.50 USD" implies a tolerance on the
+// cent. The exponent of the smallest digit of the numbers read from the input
+// is kept here, without altering the numbers themselves.
+const WRITTEN_EXPONENTS = new WeakMap();
+
+/**
+ * Record the exponent of the smallest digit of a number as it was written.
+ * @param {Decimal} number - A number read from the input.
+ * @param {number} exponent - The exponent, e.g. -2 for "10.50".
+ * @returns {Decimal} The number.
+ */
+function withExponent(number, exponent) {
+  WRITTEN_EXPONENTS.set(number, exponent);
+  return number;
+}
+
+/**
+ * Get the exponent of the smallest digit of a number, as it was written if
+ * it was read from the input.
+ * @param {Decimal} number - A number.
+ * @returns {number} The exponent, zero or negative.
+ */
+function getExponent(number) {
+  if (WRITTEN_EXPONENTS.has(number)) {
+    return WRITTEN_EXPONENTS.get(number);
+  }
+  return -number.decimalPlaces();
+}
+
 const NUMBER_RE = /[+-]?\s*[0-9,]*(?:\.[0-9]*)?/;
 const CLEAN_NUMBER_RE = /[, ]/g;
 
+/**
+ * Convert a string or a number to a Decimal, ignoring commas and spaces.
+ * @param {string|number|Decimal} strord - The value to convert.
+ * @returns {Decimal} The number, zero for null or an empty string.
+ */
 function D(strord = null) {
   if (strord === null || strord === "") {
-    return 0;
+    return ZERO;
+  } else if (Decimal.isDecimal(strord)) {
+    return strord;
   } else if (typeof strord === "string") {
-    return parseFloat(strord.replace(CLEAN_NUMBER_RE, ""));
+    return new Decimal(strord.replace(CLEAN_NUMBER_RE, ""));
   } else if (typeof strord === "number") {
-    return strord;
+    return new Decimal(strord);
   } else {
     throw new Error(`Invalid value to convert: ${strord}`);
   }
 }
 
+/**
+ * Round a number down to a multiple of an increment, towards zero.
+ * @param {Decimal} number - The number to round.
+ * @param {Decimal} increment - The increment, e.g. 0.05.
+ * @returns {Decimal} The rounded number.
+ */
 function roundTo(number, increment) {
-  return Math.floor(number / increment) * increment;
+  return number.div(increment).trunc().times(increment);
 }
 
 function sameSign(number1, number2) {
-  return number1 >= 0 === number2 >= 0;
+  return number1.gte(0) === number2.gte(0);
 }
 
 function autoQuantizedExponent(number, threshold) {
-  let norm = Math.abs(number);
-  const lowThreshold = threshold;
-  const highThreshold = 1.0 - lowThreshold;
+  // Look at the fraction left after each digit, until it's close enough to
+  // zero or one to be dismissed.
+  let norm = number.abs().mod(ONE);
+  const lowThreshold = D(threshold);
+  const highThreshold = ONE.minus(lowThreshold);
   let exponent = 0;
 
-  while (norm !== 0) {
-    if (!(lowThreshold <= norm && norm <= highThreshold)) {
+  while (!norm.isZero()) {
+    if (!(lowThreshold.lte(norm) && norm.lte(highThreshold))) {
       break;
     }
-    norm *= 10;
+    norm = norm.times(TEN).mod(ONE);
     exponent--;
   }
 
   return exponent;
 }
 
+/**
+ * Round a number to the first of its fractional digits that looks like
+ * noise, i.e. after which the remaining fraction is within the threshold of
+ * a whole digit. This is used to clean up the digits of computed prices.
+ * @param {Decimal} number - The number to quantize.
+ * @param {number} threshold - The fraction considered noise, e.g. 0.01.
+ * @returns {Decimal} The quantized number.
+ */
 function autoQuantize(number, threshold) {
   const exponent = autoQuantizedExponent(number, threshold);
-  const factor = Math.pow(10, -exponent);
-  return Math.round(number * factor) / factor;
+  return number.toDecimalPlaces(-exponent);
 }
 
+/**
+ * Count the fractional digits of a number, as it was written if it was read
+ * from the input.
+ * @param {Decimal} number - A number.
+ * @returns {number} The number of digits after the decimal point.
+ */
 function numFractionalDigits(number) {
-  const str = number.toString();
-  const decimalIndex = str.indexOf(".");
-  return decimalIndex === -1 ? 0 : str.length - decimalIndex - 1;
+  return Math.max(0, -getExponent(number));
 }
 
+/**
+ * Infer the quantum to round a list of numbers to, from the largest number
+ * of fractional digits they have once quantized.
+ * @param {Array} numbers - A list of Decimal instances.
+ * @param {number} threshold - The threshold passed to autoQuantize().
+ * @returns {number} The exponent of the quantum, or null for no numbers.
+ */
 function inferQuantumFromList(numbers, threshold = 0.01) {
+  if (numbers.length === 0) {
+    return null;
+  }
   const qnumbers = numbers.map((num) => autoQuantize(num, threshold));
   const maxDigits = Math.max(...qnumbers.map(numFractionalDigits));
   return -maxDigits;
 }
 
 export {
+  DEFAULT_PRECISION,
+  DEFAULT_ROUNDING,
+  setDecimalContext,
   ZERO,
   HALF,
   ONE,
   TEN,
   MISSING,
+  NUMBER_RE,
   D,
   roundTo,
   sameSign,
   autoQuantize,
+  numFractionalDigits,
   inferQuantumFromList,
+  withExponent,
+  getExponent,
 };
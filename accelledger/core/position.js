@@ -1,28 +1,50 @@
 
+const { Amount } = require("./amount");
+const { MISSING, D } = require("./number");
+const { LocalDate } = require("./date");
 
-class Amount {
-  constructor(number, currency) {
+class Cost {
+  constructor(number, currency, date, label) {
     this.number = number;
     this.currency = currency;
+    this.date = date;
+    this.label = label;
   }
 
   toString() {
-    return `${this.number} ${this.currency}`;
+    let parts = [`${this.number} ${this.currency}`];
+    if (this.date) parts.push(this.date.toString());
+    if (this.label) parts.push(`"${this.label}"`);
+    return parts.join(', ');
   }
 }
 
-class Cost {
-  constructor(number, currency, date, label) {
-    this.number = number;
+// A stand-in for an "incomplete" Cost, that is, the specification of the
+// cost of a posting as it was written in the input file. Any of its numbers
+// may be MISSING until booking fills them in and converts it to a Cost.
+class CostSpec {
+  constructor(numberPer, numberTotal, currency, date, label, merge) {
+    this.numberPer = numberPer;
+    this.numberTotal = numberTotal;
     this.currency = currency;
     this.date = date;
     this.label = label;
+    this.merge = merge;
   }
 
   toString() {
-    let parts = [`${this.number} ${this.currency}`];
-    if (this.date) parts.push(this.date.toISOString().split('T')[0]);
+    const parts = [];
+    const format = (number) =>
+      number === null || number === MISSING ? "" : number.toString();
+    let numbers = format(this.numberPer);
+    if (this.numberTotal !== null) {
+      numbers = `${numbers} # ${format(this.numberTotal)}`.trim();
+    }
+    const currency = this.currency !== MISSING ? this.currency : "";
+    if (numbers || currency) parts.push(`${numbers} ${currency}`.trim());
+    if (this.date) parts.push(this.date.toString());
     if (this.label) parts.push(`"${this.label}"`);
+    if (this.merge) parts.push('*');
     return parts.join(', ');
   }
 }
@@ -49,10 +71,10 @@ class Position {
 
   isEqual(other) {
     if (other === null) {
-      return this.units.number === 0;
+      return this.units.number.isZero();
     }
     return (
-      this.units.number === other.units.number &&
+      this.units.number.eq(other.units.number) &&
       this.units.currency === other.units.currency &&
       JSON.stringify(this.cost) === JSON.stringify(other.cost)
     );
@@ -60,27 +82,36 @@ class Position {
 
   getNegative() {
     return new Position(
-      new Amount(-this.units.number, this.units.currency),
+      new Amount(this.units.number.negated(), this.units.currency),
       this.cost
     );
   }
 
   abs() {
     return new Position(
-      new Amount(Math.abs(this.units.number), this.units.currency),
+      new Amount(this.units.number.abs(), this.units.currency),
       this.cost
     );
   }
 
   multiply(scalar) {
     return new Position(
-      new Amount(this.units.number * scalar, this.units.currency),
+      new Amount(this.units.number.times(scalar), this.units.currency),
       this.cost
     );
   }
 
+  /**
+   * @returns {string} The currency of the units and that of the cost, joined
+   *   with a comma, e.g. "HOOL,USD", or "USD," for a position without a cost.
+   *   It is a string so that pairs can be compared and kept in sets.
+   */
+  currencyPair() {
+    return `${this.units.currency},${this.cost ? this.cost.currency : ""}`;
+  }
+
   isNegativeAtCost() {
-    return this.units.number < 0 && this.cost !== null;
+    return this.units.number.isNegative() && this.cost !== null;
   }
 
   static fromString(string) {
@@ -91,14 +122,14 @@ class Position {
     }
 
     const [, number, currency, costExpression] = match;
-    const units = new Amount(parseFloat(number), currency);
+    const units = new Amount(D(number), currency);
 
     let cost = null;
     if (costExpression) {
       const costParts = costExpression.split(',').map(part => part.trim());
-      const costNumber = parseFloat(costParts[0]);
+      const costNumber = D(costParts[0].split(' ')[0]);
       const costCurrency = costParts[0].split(' ')[1];
-      const date = costParts[1] ? new Date(costParts[1]) : null;
+      const date = costParts[1] ? LocalDate.fromString(costParts[1]) : null;
       const label = costParts[2] ? costParts[2].replace(/"/g, '') : null;
       cost = new Cost(costNumber, costCurrency, date, label);
     }
@@ -115,4 +146,4 @@ class Position {
 }
 
 // Export the classes
-module.exports = { Amount, Cost, Position };
\ No newline at end of file
+module.exports = { Amount, Cost, CostSpec, Position };
\ No newline at end of file
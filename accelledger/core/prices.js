@@ -1,19 +1,9 @@
 const Decimal = require("decimal.js");
-
-class Price {
-  constructor(date, currency, amount) {
-    this.date = date;
-    this.currency = currency;
-    this.amount = amount;
-  }
-}
+const { Price } = require("./data");
 
 const ONE = new Decimal(1);
 const ZERO = new Decimal(0);
 
-// Assume Price class is imported from another file
-// import { Price } from './someOtherFile';
-
 class PriceMap extends Map {
   constructor() {
     super();
@@ -66,7 +56,7 @@ function buildPriceMap(entries) {
       .sort((a, b) => a[0] - b[0])
       .filter(
         (item, index, self) =>
-          index === self.findIndex((t) => t[0].getTime() === item[0].getTime())
+          index === self.findIndex((t) => t[0].equals(item[0]))
       );
     sortedPriceMap.set(baseQuote, sortedUnique);
   }
@@ -105,7 +95,7 @@ function project(
 
     const existingPrices = new Set(
       (priceMap.get(`${base},${toCurrency}`) || []).map(([date]) =>
-        date.getTime()
+        date.toOrdinal()
       )
     );
 
@@ -113,7 +103,7 @@ function project(
     for (const [date, price] of prices) {
       const [rateDate, rate] = getPrice(priceMap, currencyPair, date);
       if (!rate) continue;
-      if (existingPrices.has(rateDate.getTime())) continue;
+      if (existingPrices.has(rateDate.toOrdinal())) continue;
 
       const newPrice = price.mul(rate);
       newProjected.push([date, newPrice]);
@@ -149,15 +139,19 @@ function normalizeBaseQuote(baseQuote) {
 }
 
 function lookupPriceAndInverse(priceMap, baseQuote) {
-  const key = baseQuote.join(",");
+  const [base, quote] = baseQuote;
+  const key = `${base},${quote}`;
   if (priceMap.has(key)) {
     return priceMap.get(key);
   }
-  const inverseKey = baseQuote.reverse().join(",");
+  const inverseKey = `${quote},${base}`;
   if (priceMap.has(inverseKey)) {
-    return priceMap.get(inverseKey);
+    return priceMap
+      .get(inverseKey)
+      .filter(([, rate]) => !rate.equals(ZERO))
+      .map(([date, rate]) => [date, ONE.div(rate)]);
   }
-  throw new Error(`Price not found for ${baseQuote.join("/")}`);
+  throw new Error(`Price not found for ${base}/${quote}`);
 }
 
 function getAllPrices(priceMap, baseQuote) {
@@ -194,12 +188,107 @@ function getPrice(priceMap, baseQuote, date = null) {
   try {
     const priceList = lookupPriceAndInverse(priceMap, [base, quote]);
     const index = priceList.findIndex(([priceDate]) => priceDate > date);
-    return index > 0 ? priceList[index - 1] : [null, null];
+    const lastIndex = index === -1 ? priceList.length - 1 : index - 1;
+    return lastIndex >= 0 ? priceList[lastIndex] : [null, null];
   } catch (error) {
     return [null, null];
   }
 }
 
+/**
+ * Compute the rate of a conversion along a given path of currencies, using on
+ * each hop the latest price on or before the date.
+ * @param {Map} priceMap - A price map, as built by buildPriceMap().
+ * @param {Array} path - A list of currencies, from the base to the quote.
+ * @param {LocalDate} date - The date of the conversion, or null for the
+ *   latest prices.
+ * @returns {Object} An object with the path, the date of the price used on
+ *   each hop and the rate, or null if a hop has no price.
+ */
+function getConversionAlong(priceMap, path, date = null) {
+  const dates = [];
+  let rate = ONE;
+  for (let index = 0; index + 1 < path.length; index++) {
+    const [priceDate, hopRate] = getPrice(
+      priceMap,
+      [path[index], path[index + 1]],
+      date
+    );
+    if (hopRate === null) {
+      return null;
+    }
+    dates.push(priceDate);
+    rate = rate.times(hopRate);
+  }
+  return { path, dates, rate };
+}
+
+/**
+ * Find a conversion between two currencies through the graph of the prices,
+ * where each pair of currencies with prices, in either direction, is an edge.
+ *
+ * The path with the fewest hops that have a price on or before the date is
+ * used; of those, the one whose oldest price is the most recent.
+ *
+ * @param {Map} priceMap - A price map, as built by buildPriceMap().
+ * @param {Array|string} baseQuote - The pair of currencies to convert between.
+ * @param {LocalDate} date - The date of the conversion, or null for the
+ *   latest prices.
+ * @returns {Object} The conversion, as returned by getConversionAlong(), or
+ *   null if the currencies aren't connected.
+ */
+function findConversion(priceMap, baseQuote, date = null) {
+  const [base, quote] = normalizeBaseQuote(baseQuote);
+  if (base === quote) {
+    return getConversionAlong(priceMap, [base], date);
+  }
+
+  const neighbors = new Map();
+  const addEdge = (from, to) => {
+    if (!neighbors.has(from)) {
+      neighbors.set(from, new Set());
+    }
+    neighbors.get(from).add(to);
+  };
+  for (const key of priceMap.keys()) {
+    const [from, to] = key.split(",");
+    addEdge(from, to);
+    addEdge(to, from);
+  }
+
+  // Search breadth-first, one hop at a time, keeping for each currency
+  // reached the previous one on the path with the freshest oldest price.
+  const reached = new Map([[base, { previous: null, oldest: Infinity }]]);
+  let frontier = [base];
+  while (frontier.length > 0 && !reached.has(quote)) {
+    const hop = new Map();
+    for (const currency of frontier) {
+      for (const next of neighbors.get(currency) || []) {
+        if (reached.has(next)) continue;
+        const [priceDate, rate] = getPrice(priceMap, [currency, next], date);
+        if (rate === null) continue;
+        const oldest = Math.min(reached.get(currency).oldest, priceDate.valueOf());
+        if (!hop.has(next) || oldest > hop.get(next).oldest) {
+          hop.set(next, { previous: currency, oldest });
+        }
+      }
+    }
+    for (const [currency, step] of hop) {
+      reached.set(currency, step);
+    }
+    frontier = [...hop.keys()];
+  }
+
+  if (!reached.has(quote)) {
+    return null;
+  }
+  const path = [];
+  for (let currency = quote; currency !== null; currency = reached.get(currency).previous) {
+    path.unshift(currency);
+  }
+  return getConversionAlong(priceMap, path, date);
+}
+
 function getLastPriceEntries(entries, date) {
   const priceEntryMap = {};
   for (const entry of entries) {
@@ -225,4 +314,6 @@ module.exports = {
   getAllPrices,
   getLatestPrice,
   getPrice,
+  getConversionAlong,
+  findConversion,
 };
@@ -0,0 +1,102 @@
+import { describe, expect, test } from "bun:test";
+import { parseString } from "../parser/parser.js";
+import { LocalDate } from "./date.js";
+import { Amount } from "./amount.js";
+import { D } from "./number.js";
+import { buildPriceMap, findConversion, getPrice } from "./prices.js";
+import { convertAmount } from "./convert.js";
+
+// HOOL converts to CAD through USD with an old rate, or through EUR with a
+// more recent one from March on.
+const [entries] = parseString(
+  `
+2020-01-01 price HOOL 100 USD
+2020-01-01 price USD 1.30 CAD
+2020-03-01 price HOOL 90 EUR
+2020-03-01 price CAD 0.5 EUR
+2020-06-01 price HOOL 110 USD
+`,
+  "<test>"
+);
+const priceMap = buildPriceMap(entries);
+const date = (string) => LocalDate.fromString(string);
+
+describe("getPrice", () => {
+  test("uses the last price before the date", () => {
+    const [priceDate, rate] = getPrice(priceMap, ["HOOL", "USD"], date("2020-12-31"));
+    expect(priceDate.toString()).toBe("2020-06-01");
+    expect(rate.toString()).toBe("110");
+  });
+
+  test("has no price before the first one", () => {
+    expect(getPrice(priceMap, ["HOOL", "USD"], date("2019-12-31"))).toEqual([null, null]);
+  });
+});
+
+describe("findConversion", () => {
+  test("uses a direct price", () => {
+    const conversion = findConversion(priceMap, "HOOL/USD", date("2020-06-30"));
+    expect(conversion.path).toEqual(["HOOL", "USD"]);
+    expect(conversion.rate.toString()).toBe("110");
+  });
+
+  test("chains prices through another currency", () => {
+    const conversion = findConversion(priceMap, "HOOL/CAD", date("2020-02-01"));
+    expect(conversion.path).toEqual(["HOOL", "USD", "CAD"]);
+    expect(conversion.dates.map(String)).toEqual(["2020-01-01", "2020-01-01"]);
+    expect(conversion.rate.toString()).toBe("130");
+  });
+
+  test("prefers the path whose oldest price is the most recent", () => {
+    const conversion = findConversion(priceMap, "HOOL/CAD", date("2020-06-30"));
+    expect(conversion.path).toEqual(["HOOL", "EUR", "CAD"]);
+    expect(conversion.rate.toString()).toBe("180");
+  });
+
+  test("follows prices in the inverse direction", () => {
+    const conversion = findConversion(priceMap, "CAD/HOOL", date("2020-02-01"));
+    expect(conversion.path).toEqual(["CAD", "USD", "HOOL"]);
+    expect(conversion.rate.times(130).toDecimalPlaces(10).toString()).toBe("1");
+  });
+
+  test("finds nothing for unconnected currencies or before the prices", () => {
+    expect(findConversion(priceMap, "HOOL/JPY", date("2020-06-30"))).toBeNull();
+    expect(findConversion(priceMap, "HOOL/CAD", date("2019-12-31"))).toBeNull();
+  });
+});
+
+describe("convertAmount", () => {
+  test("converts through the price graph and reports the conversion", () => {
+    const conversions = [];
+    const amount = convertAmount(
+      new Amount(D("2"), "HOOL"),
+      "CAD",
+      priceMap,
+      date("2020-02-01"),
+      null,
+      conversions
+    );
+    expect(amount.toString()).toBe("260 CAD");
+    expect(conversions.map((conversion) => conversion.path)).toEqual([
+      ["HOOL", "USD", "CAD"],
+    ]);
+  });
+
+  test("tries the implied currencies before searching the graph", () => {
+    const conversions = [];
+    convertAmount(
+      new Amount(D("1"), "HOOL"),
+      "CAD",
+      priceMap,
+      date("2020-06-30"),
+      ["USD"],
+      conversions
+    );
+    expect(conversions[0].path).toEqual(["HOOL", "USD", "CAD"]);
+  });
+
+  test("returns the amount itself when it cannot be converted", () => {
+    const amount = new Amount(D("2"), "HOOL");
+    expect(convertAmount(amount, "JPY", priceMap)).toBe(amount);
+  });
+});
@@ -6,6 +6,20 @@
  * or other entry types that are attached to an account, such as a Balance or Note entry.
  */
 
+const {
+  Transaction,
+  TxnPosting,
+  Open,
+  Close,
+  Balance,
+  Note,
+  Document,
+  Pad,
+  Custom,
+} = require("./data");
+const account = require("./account");
+const { Inventory } = require("./inventory");
+
 class RealAccount {
   constructor(accountName) {
     this.account = accountName;
@@ -132,7 +146,36 @@ function postingsByAccount(entries) {
   return txnPostingsMap;
 }
 
-// ... (other helper functions like computePostingsBalance, filter, etc.)
+/**
+ * Compute the balance of a list of postings and entries of an account.
+ * @param {Array} txnPostings - A list of TxnPosting and other entries.
+ * @returns {Inventory} The sum of the positions of the postings.
+ */
+function computePostingsBalance(txnPostings) {
+  const finalBalance = new Inventory();
+  for (const txnPosting of txnPostings) {
+    if (txnPosting instanceof TxnPosting) {
+      finalBalance.addPosition(txnPosting.posting);
+    }
+  }
+  return finalBalance;
+}
+
+/**
+ * Compute the total balance of an account and all its children.
+ * @param {RealAccount} realAccount - The root of the subtree to sum.
+ * @param {boolean} leafOnly - Whether to only sum the leaf accounts.
+ * @returns {Inventory} The sum of the balances of the accounts.
+ */
+function computeBalance(realAccount, leafOnly = false) {
+  const balance = new Inventory();
+  for (const child of iterChildren(realAccount, leafOnly)) {
+    balance.addInventory(child.balance);
+  }
+  return balance;
+}
+
+// ... (other helper functions like filter, etc.)
 
 module.exports = {
   RealAccount,
@@ -141,5 +184,7 @@ module.exports = {
   getOrCreate,
   realize,
   postingsByAccount,
+  computePostingsBalance,
+  computeBalance,
   // ... (export other functions as needed)
 };
@@ -1,9 +1,54 @@
+import crypto from "crypto";
 import fs from "fs";
 import path from "path";
-import { parseFile } from "./parser/parser.js";
+import { createRequire } from "module";
+import { fileURLToPath, pathToFileURL } from "url";
+import { Glob } from "bun";
+import Decimal from "decimal.js";
+import {
+  parseIter,
+  parseString,
+  ParseBuilder,
+  createOptionsMap,
+  ParserError,
+  ParserSyntaxError,
+  DeprecatedError,
+} from "./parser/parser.js";
 import { book } from "./parser/booking.js";
+import { formatError } from "./parser/printer.js";
 import { validate } from "./ops/validation.js";
+import {
+  Open,
+  Close,
+  Commodity,
+  Balance,
+  Pad,
+  Note,
+  Event,
+  Query,
+  Price,
+  Document,
+  Custom,
+  ValueType,
+  Posting,
+  Transaction,
+  newMetadata,
+  sortEntries,
+} from "./core/data.js";
+import { Amount } from "./core/amount.js";
+import { LocalDate } from "./core/date.js";
+import {
+  MISSING,
+  getExponent,
+  setDecimalContext,
+  withExponent,
+} from "./core/number.js";
+import { Cost, CostSpec, Position } from "./core/position.js";
 
+// Plugins run on every load, unless the "plugin_processing_mode" option is
+// "raw": PLUGINS_PRE before booking, and PLUGINS_POST after booking and the
+// plugins declared in the input. Names starting with "accelledger." refer to
+// modules of this package.
 const PLUGINS_PRE = [["accelledger.ops.documents", null]];
 
 const PLUGINS_POST = [
@@ -11,6 +56,27 @@ const PLUGINS_POST = [
   ["accelledger.ops.balance", null],
 ];
 
+// Plugins that check adds to PLUGINS_PRE when run with --auto.
+const PLUGINS_AUTO = [["accelledger.plugins.auto_accounts", null]];
+
+// The default name of the cache file, relative to the directory of the
+// top-level file; "{filename}" is replaced by its basename.
+const CACHE_FILENAME = ".{filename}.cache";
+
+// Bump this whenever the shape of the cached data changes, to invalidate
+// existing cache files.
+const CACHE_VERSION = 9;
+
+// The current cache configuration, as set by initialize().
+let useCache = true;
+let cacheFilenamePattern = CACHE_FILENAME;
+
+// The number of directives between progress reports while parsing.
+const PROGRESS_INTERVAL = 100000;
+
+// Include filenames containing any of these characters are glob patterns.
+const GLOB_CHARS_RE = /[*?[{]/;
+
 class LoadError {
   constructor(source, message, entry) {
     this.source = source;
@@ -19,7 +85,48 @@ class LoadError {
   }
 }
 
-function loadFile(
+// The classes whose instances may appear in the loaded entries, errors and
+// options map, by name, so they can be revived from the cache.
+const CACHED_CLASSES = new Map(
+  [
+    Open,
+    Close,
+    Commodity,
+    Balance,
+    Pad,
+    Note,
+    Event,
+    Query,
+    Price,
+    Document,
+    Custom,
+    ValueType,
+    LocalDate,
+    Posting,
+    Transaction,
+    Amount,
+    Cost,
+    CostSpec,
+    Position,
+    LoadError,
+    ParserError,
+    ParserSyntaxError,
+    DeprecatedError,
+  ].map((cls) => [cls.name, cls])
+);
+
+/**
+ * Configure the on-disk cache used by loadFile().
+ * @param {boolean} enabled - Whether to read and write the cache.
+ * @param {string} cacheFilename - A filename pattern overriding the default
+ *   one; "{filename}" is replaced by the basename of the top-level file.
+ */
+function initialize(enabled, cacheFilename = null) {
+  useCache = enabled;
+  cacheFilenamePattern = cacheFilename || CACHE_FILENAME;
+}
+
+async function loadFile(
   filename,
   logTimings = null,
   logErrors = null,
@@ -27,10 +134,20 @@ function loadFile(
   encoding = "utf8"
 ) {
   const absoluteFilename = path.resolve(filename);
-  return _loadFile(absoluteFilename, logTimings, extraValidations, encoding);
+  const load = useCache ? _loadFileCached : _loadFile;
+  const result = await load(
+    absoluteFilename,
+    logTimings,
+    extraValidations,
+    encoding
+  );
+  _logErrors(result[1], logErrors);
+  return result;
 }
 
-function loadString(
+loadFile.initialize = initialize;
+
+async function loadString(
   string,
   logTimings = null,
   logErrors = null,
@@ -41,7 +158,7 @@ function loadString(
   if (dedent) {
     string = string.replace(/^[ \t]+/gm, "");
   }
-  const [entries, errors, optionsMap] = _load(
+  const [entries, errors, optionsMap] = await _load(
     [{ source: string, isFile: false }],
     logTimings,
     extraValidations,
@@ -60,21 +177,230 @@ function _loadFile(filename, logTimings, extraValidations, encoding) {
   );
 }
 
-function _load(sources, logTimings, extraValidations, encoding) {
+/**
+ * Compute the name of the cache file for a top-level file.
+ * @param {string} pattern - The cache filename pattern.
+ * @param {string} filename - The absolute filename of the top-level file.
+ * @returns {string} The absolute filename of the cache file.
+ */
+function getCacheFilename(pattern, filename) {
+  const absolutePattern = path.isAbsolute(pattern)
+    ? pattern
+    : path.join(path.dirname(filename), pattern);
+  return absolutePattern.replace("{filename}", path.basename(filename));
+}
+
+async function _loadFileCached(
+  filename,
+  logTimings,
+  extraValidations,
+  encoding
+) {
+  const cacheFilename = getCacheFilename(cacheFilenamePattern, filename);
+
+  // Use the cache only if none of the files it was built from, inputs and
+  // local plugins, has changed, its include globs still match the same files,
+  // and it was built with the same built-in plugins.
+  const cached = _readCache(cacheFilename);
+  if (
+    cached &&
+    cached.include.includes(filename) &&
+    cached.plugins === _builtinPluginsKey() &&
+    cached.includeGlobs.every(({ directory, pattern, matches }) =>
+      _sameFilenames(expandGlob(directory, pattern), matches)
+    ) &&
+    cached.inputHash ===
+      computeInputHash([...cached.include, ...cached.pluginFiles])
+  ) {
+    if (logTimings) {
+      logTimings(`Loaded ${filename} from cache ${cacheFilename}`);
+    }
+    _setDecimalContext(cached.result[2]);
+    return cached.result;
+  }
+
+  const result = await _loadFile(
+    filename,
+    logTimings,
+    extraValidations,
+    encoding
+  );
+  _writeCache(cacheFilename, result);
+  return result;
+}
+
+function _sameFilenames(filenames, otherFilenames) {
+  return (
+    filenames.length === otherFilenames.length &&
+    filenames.every((filename, index) => filename === otherFilenames[index])
+  );
+}
+
+function _readCache(cacheFilename) {
+  let cache;
+  try {
+    cache = JSON.parse(fs.readFileSync(cacheFilename, "utf8"), _reviveValue);
+  } catch (error) {
+    // A missing or unreadable cache is simply rebuilt.
+    return null;
+  }
+  return cache && cache.version === CACHE_VERSION ? cache : null;
+}
+
+function _writeCache(cacheFilename, result) {
+  const optionsMap = result[2];
+  const cache = {
+    version: CACHE_VERSION,
+    include: optionsMap.include,
+    includeGlobs: optionsMap.includeGlobs,
+    pluginFiles: optionsMap.pluginFiles,
+    plugins: _builtinPluginsKey(),
+    inputHash: optionsMap.inputHash,
+    result: _encodeValue(result),
+  };
+  // Write to a temporary file first so a concurrent load never sees a
+  // partially written cache; failing to write it isn't an error.
+  const temporaryFilename = `${cacheFilename}.${process.pid}.tmp`;
+  try {
+    fs.writeFileSync(temporaryFilename, JSON.stringify(cache));
+    fs.renameSync(temporaryFilename, cacheFilename);
+  } catch (error) {
+    fs.rmSync(temporaryFilename, { force: true });
+  }
+}
+
+/**
+ * Convert a loaded value to a JSON-compatible form, tagging the values JSON
+ * cannot represent with their type so that _reviveValue() can restore them.
+ * @param {*} value - An entry, error, options map or any value within them.
+ * @returns {*} The encoded value.
+ */
+function _encodeValue(value) {
+  if (value === MISSING) {
+    return { "@type": "MISSING" };
+  }
+  if (value === null || typeof value !== "object") {
+    return typeof value === "function" ? undefined : value;
+  }
+  if (Decimal.isDecimal(value)) {
+    // The exponent keeps the precision the number was written with.
+    return {
+      "@type": "Decimal",
+      value: value.toString(),
+      exponent: getExponent(value),
+    };
+  }
+  if (value instanceof Date) {
+    return { "@type": "Date", value: value.getTime() };
+  }
+  if (Array.isArray(value)) {
+    return value.map(_encodeValue);
+  }
+  if (value instanceof Set) {
+    return { "@type": "Set", values: [...value].map(_encodeValue) };
+  }
+  if (value instanceof Map) {
+    return {
+      "@type": "Map",
+      entries: [...value].map((entry) => entry.map(_encodeValue)),
+    };
+  }
+
+  const fields = {};
+  for (const [key, fieldValue] of Object.entries(value)) {
+    fields[key] = _encodeValue(fieldValue);
+  }
+  if (value instanceof Error) {
+    fields.message = value.message;
+  }
+  const cls = value.constructor;
+  if (cls && CACHED_CLASSES.get(cls.name) === cls) {
+    return { "@type": cls.name, fields };
+  }
+  if (value instanceof Error || "@type" in fields) {
+    return { "@type": "Object", fields };
+  }
+  return fields;
+}
+
+function _reviveValue(key, value) {
+  if (value === null || typeof value !== "object" || !("@type" in value)) {
+    return value;
+  }
+  switch (value["@type"]) {
+    case "MISSING":
+      return MISSING;
+    case "Decimal":
+      return withExponent(new Decimal(value.value), value.exponent);
+    case "Date":
+      return new Date(value.value);
+    case "Set":
+      return new Set(value.values);
+    case "Map":
+      return new Map(value.entries);
+    case "Object":
+      return value.fields;
+    default: {
+      const cls = CACHED_CLASSES.get(value["@type"]);
+      return cls
+        ? Object.assign(Object.create(cls.prototype), value.fields)
+        : value.fields;
+    }
+  }
+}
+
+// Apply the arithmetic context of the options of a load, which holds for the
+// rest of the process, reports on its entries included.
+function _setDecimalContext(optionsMap) {
+  setDecimalContext(optionsMap.decimal_precision, optionsMap.decimal_rounding);
+}
+
+function _builtinPluginsKey() {
+  return [...PLUGINS_PRE, ...PLUGINS_POST].map(([name]) => name).join(",");
+}
+
+async function _load(sources, logTimings, extraValidations, encoding) {
   let entries = [];
   let errors = [];
   let optionsMap = null;
 
   // Parse all sources
-  [entries, errors, optionsMap] = _parseRecursive(
+  [entries, errors, optionsMap] = await _parseRecursive(
     sources,
     logTimings,
     encoding
   );
-  entries.sort((a, b) => a.date - b.date);
+  sortEntries(entries);
+  _setDecimalContext(optionsMap);
+
+  const rawMode = optionsMap.plugin_processing_mode === "raw";
+  let pluginErrors;
+  if (!rawMode) {
+    [entries, pluginErrors] = await runTransformations(
+      entries,
+      PLUGINS_PRE,
+      optionsMap,
+      logTimings
+    );
+    errors.push(...pluginErrors);
+  }
 
   // Run booking
-  entries = book(entries, optionsMap);
+  let bookingErrors;
+  [entries, bookingErrors] = book(entries, optionsMap);
+  errors.push(...bookingErrors);
+
+  // Run the plugins declared in the input, then the built-in ones.
+  const plugins = rawMode
+    ? optionsMap.plugin
+    : [...optionsMap.plugin, ...PLUGINS_POST];
+  [entries, pluginErrors] = await runTransformations(
+    entries,
+    plugins,
+    optionsMap,
+    logTimings
+  );
+  errors.push(...pluginErrors);
 
   // Validate entries
   const validationErrors = validate(
@@ -85,32 +411,214 @@ function _load(sources, logTimings, extraValidations, encoding) {
   );
   errors.push(...validationErrors);
 
-  // Compute input hash
-  optionsMap.inputHash = computeInputHash(optionsMap.include);
+  // Compute input hash, over the plugins loaded from files too, since
+  // editing one changes the result as much as editing the input.
+  optionsMap.pluginFiles = getLocalPluginFiles(
+    optionsMap.plugin,
+    optionsMap.filename
+  );
+  optionsMap.inputHash = computeInputHash([
+    ...optionsMap.include,
+    ...optionsMap.pluginFiles,
+  ]);
 
   return [entries, errors, optionsMap];
 }
 
-function _parseRecursive(sources, logTimings, encoding) {
-  let entries = [];
+/**
+ * Run a list of plugins over the entries, in order.
+ *
+ * A plugin is a module, named by package name, by a path relative to the
+ * top-level input file, or as "accelledger.<dir>.<module>" for one in this
+ * package. It exports a __plugins__ array naming the functions to call; each
+ * is called with (entries, optionsMap, config) and returns, or resolves to, a
+ * pair of the new list of entries and a list of errors. Modules that fail to
+ * import or functions that throw are reported as errors.
+ *
+ * @param {Array} entries - The list of directives.
+ * @param {Array} plugins - A list of [name, config] pairs; config is the
+ *   configuration string of the plugin directive, or null.
+ * @param {Object} optionsMap - The options map of the load.
+ * @param {function} logTimings - A function to log the time of each plugin.
+ * @returns {Promise<Array>} The transformed entries and the errors.
+ */
+async function runTransformations(entries, plugins, optionsMap, logTimings) {
+  const errors = [];
+  for (const [pluginName, pluginConfig] of plugins) {
+    let module;
+    try {
+      module = await import(resolvePlugin(pluginName, optionsMap.filename));
+    } catch (error) {
+      errors.push(
+        new LoadError(
+          newMetadata("<load>", 0),
+          `Error importing "${pluginName}": ${error.message}`,
+          null
+        )
+      );
+      continue;
+    }
+
+    const time1 = performance.now();
+    for (const functionName of module.__plugins__ || []) {
+      const callback = module[functionName];
+      if (typeof callback !== "function") {
+        errors.push(
+          new LoadError(
+            newMetadata("<load>", 0),
+            `Plugin "${pluginName}" has no function "${functionName}"`,
+            null
+          )
+        );
+        continue;
+      }
+      // A failing plugin is reported without aborting the whole load; the
+      // entries are left as they were before it ran.
+      try {
+        const [newEntries, callbackErrors] = await callback(
+          entries,
+          optionsMap,
+          pluginConfig
+        );
+        entries = newEntries;
+        errors.push(...callbackErrors);
+      } catch (error) {
+        errors.push(
+          new LoadError(
+            newMetadata("<load>", 0),
+            `Error running plugin "${pluginName}": ${error.message}`,
+            null
+          )
+        );
+      }
+    }
+    sortEntries(entries);
+    if (logTimings) {
+      const elapsed = (performance.now() - time1).toFixed(0);
+      logTimings(`Operation: ${pluginName.padEnd(48)} Time: ${elapsed} ms`);
+    }
+  }
+  return [entries, errors];
+}
+
+/**
+ * Resolve a plugin name to a module specifier for import().
+ * @param {string} pluginName - The name given to the plugin directive.
+ * @param {string} filename - The top-level input file, if any.
+ * @returns {string} A file URL, or a package name.
+ */
+function resolvePlugin(pluginName, filename) {
+  if (pluginName.startsWith("accelledger.")) {
+    const modulePath = pluginName.split(".").slice(1).join("/");
+    return new URL(`./${modulePath}.js`, import.meta.url).href;
+  }
+  const directory = filename ? path.dirname(filename) : process.cwd();
+  if (pluginName.startsWith(".") || path.isAbsolute(pluginName)) {
+    return pathToFileURL(path.resolve(directory, pluginName)).href;
+  }
+  // Look packages up from the input file first, then from this package.
+  try {
+    const require = createRequire(path.join(directory, "<plugin>"));
+    return pathToFileURL(require.resolve(pluginName)).href;
+  } catch (error) {
+    return pluginName;
+  }
+}
+
+/**
+ * Get the files of the plugins named by a path rather than a package.
+ * @param {Array} plugins - A list of [name, config] pairs.
+ * @param {string} filename - The top-level input file, if any.
+ * @returns {Array} The absolute filenames of the plugin modules.
+ */
+function getLocalPluginFiles(plugins, filename) {
+  return plugins
+    .filter(
+      ([pluginName]) => pluginName.startsWith(".") || path.isAbsolute(pluginName)
+    )
+    .map(([pluginName]) => fileURLToPath(resolvePlugin(pluginName, filename)));
+}
+
+/**
+ * Parse a file and the files it includes incrementally, yielding each
+ * directive as soon as it is parsed, without holding the input text in
+ * memory. The directives come in input order, and are neither booked nor
+ * transformed by plugins; this is meant for processing very large ledgers
+ * one directive at a time.
+ *
+ * Only parsing streams: booking, plugins and validations work on the whole
+ * list of directives sorted by date, across all the included files, so
+ * loadFile() still collects them before running those.
+ * @param {string} filename - The top-level file to parse.
+ * @param {function} logTimings - A function receiving progress reports.
+ * @param {string} encoding - The encoding of the files.
+ * @param {Object} result - An object whose errors and optionsMap properties
+ *   are set once the iteration is complete.
+ * @yields {Object} The parsed directives.
+ */
+async function* loadIter(
+  filename,
+  logTimings = null,
+  encoding = "utf8",
+  result = {}
+) {
+  yield* _parseRecursiveIter(
+    [{ source: path.resolve(filename), isFile: true }],
+    logTimings,
+    encoding,
+    result
+  );
+}
+
+async function _parseRecursive(sources, logTimings, encoding) {
+  const result = {};
+  const entries = [];
+  for await (const entry of _parseRecursiveIter(
+    sources,
+    logTimings,
+    encoding,
+    result
+  )) {
+    entries.push(entry);
+  }
+  return [entries, result.errors, result.optionsMap];
+}
+
+async function* _parseRecursiveIter(sources, logTimings, encoding, result) {
   let errors = [];
   let optionsMap = null;
   const otherOptionsMaps = [];
-  const sourceStack = [...sources];
+  // Each source carries the chain of files that included it, in order to
+  // detect and report include cycles.
+  const sourceStack = sources.map((source) => ({ ...source, chain: [] }));
   const filenamesSeen = new Set();
+  // The include globs expanded, with their matches, so that the cache can
+  // tell when files are added or removed.
+  const includeGlobs = [];
 
   while (sourceStack.length > 0) {
-    const { source, isFile } = sourceStack.shift();
+    const { source, isFile, chain } = sourceStack.shift();
     const isTopLevel = optionsMap === null;
 
-    let sourceEntries, sourceErrors, sourceOptionsMap;
+    let sourceErrors, sourceOptionsMap;
 
     if (isFile) {
       const filename = path.resolve(source);
+      if (chain.includes(filename)) {
+        const cycle = [...chain.slice(chain.indexOf(filename)), filename];
+        errors.push(
+          new LoadError(
+            newMetadata("<load>", 0),
+            `Include cycle detected: ${cycle.join(" -> ")}`,
+            null
+          )
+        );
+        continue;
+      }
       if (filenamesSeen.has(filename)) {
         errors.push(
           new LoadError(
-            "<load>",
+            newMetadata("<load>", 0),
             `Duplicate filename parsed: "${filename}"`,
             null
           )
@@ -119,21 +627,39 @@ function _parseRecursive(sources, logTimings, encoding) {
       }
       if (!fs.existsSync(filename)) {
         errors.push(
-          new LoadError("<load>", `File "${filename}" does not exist`, null)
+          new LoadError(
+            newMetadata("<load>", 0),
+            `File "${filename}" does not exist`,
+            null
+          )
         );
         continue;
       }
       filenamesSeen.add(filename);
-      const content = fs.readFileSync(filename, encoding);
-      [sourceEntries, sourceErrors, sourceOptionsMap] = parseFile(
-        filename,
-        encoding
-      );
+
+      const builder = new ParseBuilder(filename);
+      const time1 = performance.now();
+      let count = 0;
+      for await (const entry of parseIter(filename, builder, encoding)) {
+        yield entry;
+        if (logTimings && ++count % PROGRESS_INTERVAL === 0) {
+          logTimings(`Parsed ${count} entries from ${filename}`);
+        }
+      }
+      if (logTimings) {
+        const elapsed = (performance.now() - time1).toFixed(0);
+        logTimings(
+          `Operation: ${`Parsed ${filename}`.padEnd(48)} Time: ${elapsed} ms`
+        );
+      }
+      sourceErrors = builder.errors;
+      sourceOptionsMap = builder.optionsMap;
     } else {
-      [sourceEntries, sourceErrors, sourceOptionsMap] = parse(source);
+      let sourceEntries;
+      [sourceEntries, sourceErrors, sourceOptionsMap] = parseString(source);
+      yield* sourceEntries;
     }
 
-    entries.push(...sourceEntries);
     errors.push(...sourceErrors);
 
     if (isTopLevel) {
@@ -142,58 +668,134 @@ function _parseRecursive(sources, logTimings, encoding) {
       otherOptionsMaps.push(sourceOptionsMap);
     }
 
-    // Process includes
+    // Process includes, expanding glob patterns relative to the including
+    // file into their matches in sorted order.
     if (sourceOptionsMap && sourceOptionsMap.include) {
+      const includeDir = isFile ? path.dirname(source) : process.cwd();
+      const includeChain = isFile ? [...chain, path.resolve(source)] : chain;
       for (const includeFilename of sourceOptionsMap.include) {
-        const absoluteIncludeFilename = path.resolve(
-          path.dirname(source),
-          includeFilename
-        );
-        sourceStack.push({ source: absoluteIncludeFilename, isFile: true });
+        let filenames = [path.resolve(includeDir, includeFilename)];
+        if (GLOB_CHARS_RE.test(includeFilename)) {
+          filenames = expandGlob(includeDir, includeFilename);
+          includeGlobs.push({
+            directory: includeDir,
+            pattern: includeFilename,
+            matches: filenames,
+          });
+          if (filenames.length === 0) {
+            errors.push(
+              new LoadError(
+                newMetadata("<load>", 0),
+                `File glob "${includeFilename}" does not match any files`,
+                null
+              )
+            );
+          }
+        }
+        for (const filename of filenames) {
+          sourceStack.push({
+            source: filename,
+            isFile: true,
+            chain: includeChain,
+          });
+        }
       }
     }
   }
 
   if (optionsMap === null) {
-    optionsMap = { ...defaultOptions };
+    optionsMap = createOptionsMap();
   }
 
   optionsMap.include = Array.from(filenamesSeen).sort();
-  optionsMap = aggregateOptionsMap(optionsMap, otherOptionsMaps);
+  optionsMap.includeGlobs = includeGlobs;
+  result.optionsMap = aggregateOptionsMap(optionsMap, otherOptionsMaps);
+  result.errors = errors;
+}
 
-  return [entries, errors, optionsMap];
+/**
+ * Expand a glob pattern from an include directive.
+ * @param {string} directory - The directory of the including file.
+ * @param {string} pattern - A glob pattern, absolute or relative to it.
+ * @returns {Array} The sorted absolute filenames of the matching files.
+ */
+function expandGlob(directory, pattern) {
+  // Scan from the deepest directory that precedes any wildcard.
+  const parts = path.resolve(directory, pattern).split(path.sep);
+  const index = parts.findIndex((part) => GLOB_CHARS_RE.test(part));
+  const root = parts.slice(0, index).join(path.sep) || path.sep;
+  if (!fs.existsSync(root)) {
+    return [];
+  }
+  const glob = new Glob(parts.slice(index).join("/"));
+  return Array.from(
+    glob.scanSync({ cwd: root, absolute: true, onlyFiles: true })
+  ).sort();
 }
 
 function aggregateOptionsMap(optionsMap, otherOptionsMaps) {
   const newOptionsMap = { ...optionsMap };
 
-  const currencies = new Set(optionsMap.operatingCurrency);
+  const currencies = new Set(optionsMap.operating_currency);
   for (const omap of otherOptionsMaps) {
-    for (const currency of omap.operatingCurrency) {
+    for (const currency of omap.operating_currency) {
       currencies.add(currency);
     }
     // Merge other options as needed
   }
-  newOptionsMap.operatingCurrency = Array.from(currencies);
+  newOptionsMap.operating_currency = Array.from(currencies);
 
   // Process other options as needed
 
   return newOptionsMap;
 }
 
+/**
+ * Compute a hash of a set of input files, which changes whenever any of them
+ * is modified, grows, shrinks or is removed.
+ * @param {Array} filenames - The absolute filenames of the inputs.
+ * @returns {string} A hexadecimal digest.
+ */
 function computeInputHash(filenames) {
-  // Implement hash computation logic
-  return "dummy-hash";
+  const hash = crypto.createHash("sha256");
+  for (const filename of [...filenames].sort()) {
+    hash.update(filename);
+    hash.update("\0");
+    let stat;
+    try {
+      stat = fs.statSync(filename);
+    } catch (error) {
+      hash.update("<missing>\0");
+      continue;
+    }
+    hash.update(`${stat.mtimeMs}:${stat.size}\0`);
+    hash.update(fs.readFileSync(filename));
+  }
+  return hash.digest("hex");
 }
 
 function _logErrors(errors, logErrors) {
   if (logErrors && errors.length > 0) {
+    const output = errors.map(formatError).join("\n");
     if (typeof logErrors === "function") {
-      logErrors(errors.map((e) => `${e.source}: ${e.message}`).join("\n"));
+      logErrors(output);
     } else {
-      console.error(errors.map((e) => `${e.source}: ${e.message}`).join("\n"));
+      console.error(output);
     }
   }
 }
 
-export { loadFile, loadString, LoadError };
+export {
+  PLUGINS_PRE,
+  PLUGINS_POST,
+  PLUGINS_AUTO,
+  loadFile,
+  loadString,
+  loadIter,
+  initialize,
+  runTransformations,
+  resolvePlugin,
+  computeInputHash,
+  getCacheFilename,
+  LoadError,
+};
@@ -0,0 +1,178 @@
+import { afterEach, beforeEach, describe, expect, test } from "bun:test";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import Decimal from "decimal.js";
+import { loadFile, loadIter, loadString } from "./loader.js";
+import { setDecimalContext } from "./core/number.js";
+import { formatEntry } from "./parser/printer.js";
+
+let directory;
+
+beforeEach(() => {
+  directory = fs.mkdtempSync(path.join(os.tmpdir(), "accelledger-loader-"));
+});
+
+afterEach(() => {
+  fs.rmSync(directory, { recursive: true, force: true });
+});
+
+function write(filename, text) {
+  const fullname = path.join(directory, filename);
+  fs.mkdirSync(path.dirname(fullname), { recursive: true });
+  fs.writeFileSync(fullname, text);
+  return fullname;
+}
+
+// Load a file, telling whether the result came from the cache.
+async function load(filename) {
+  const messages = [];
+  const [entries, errors] = await loadFile(filename, (message) =>
+    messages.push(message)
+  );
+  const cached = messages.some((message) => message.startsWith("Loaded "));
+  return { entries, errors, cached };
+}
+
+describe("cache", () => {
+  test("is used while the inputs are unchanged", async () => {
+    const filename = write("main.beancount", "2020-01-01 open Assets:Cash\n");
+    expect((await load(filename)).cached).toBe(false);
+    const { entries, cached } = await load(filename);
+    expect(cached).toBe(true);
+    expect(entries).toHaveLength(1);
+    expect(entries[0].date.toString()).toBe("2020-01-01");
+  });
+
+  test("keeps the precision numbers are written with", async () => {
+    const filename = write(
+      "main.beancount",
+      '2020-01-01 * "Fee"\n  Assets:Cash  -10.50 USD\n  Expenses:Fees  10.50 USD\n'
+    );
+    const fresh = await load(filename);
+    const cached = await load(filename);
+    expect(cached.cached).toBe(true);
+    expect(formatEntry(cached.entries[0])).toBe(formatEntry(fresh.entries[0]));
+    expect(formatEntry(cached.entries[0])).toContain("-10.50 USD");
+  });
+
+  test("is invalidated when an included file changes", async () => {
+    const filename = write("main.beancount", 'include "other.beancount"\n');
+    write("other.beancount", "2020-01-01 open Assets:Cash\n");
+    await load(filename);
+    write("other.beancount", "2020-01-01 open Assets:Cash\n2020-01-02 open Assets:Bank\n");
+    const { entries, cached } = await load(filename);
+    expect(cached).toBe(false);
+    expect(entries).toHaveLength(2);
+  });
+
+  test("is invalidated when a file matching an include glob is added", async () => {
+    const filename = write("main.beancount", 'include "txns/*.beancount"\n');
+    write("txns/2020.beancount", "2020-01-01 open Assets:Cash\n");
+    expect((await load(filename)).entries).toHaveLength(1);
+
+    write("txns/2021.beancount", "2021-01-01 open Assets:Bank\n");
+    const { entries, errors, cached } = await load(filename);
+    expect(cached).toBe(false);
+    expect(errors).toEqual([]);
+    expect(entries.map((entry) => entry.account)).toEqual([
+      "Assets:Cash",
+      "Assets:Bank",
+    ]);
+  });
+
+  test("is invalidated when a glob that matched nothing starts matching", async () => {
+    const filename = write("main.beancount", 'include "txns/*.beancount"\n');
+    expect((await load(filename)).errors).toHaveLength(1);
+
+    write("txns/2020.beancount", "2020-01-01 open Assets:Cash\n");
+    const { entries, errors } = await load(filename);
+    expect(errors).toEqual([]);
+    expect(entries).toHaveLength(1);
+  });
+});
+
+describe("cache and plugins", () => {
+  const plugin = (value) => `
+export const __plugins__ = ["mark"];
+export function mark(entries) {
+  for (const entry of entries) {
+    entry.meta.mark = "${value}";
+  }
+  return [entries, []];
+}
+`;
+
+  test("is invalidated when a local plugin file changes", async () => {
+    const filename = write(
+      "main.beancount",
+      'plugin "./plugin.js"\n2020-01-01 open Assets:Cash\n'
+    );
+    write("plugin.js", plugin("one"));
+    const first = await load(filename);
+    expect(first.errors).toEqual([]);
+    expect(first.entries[0].meta.mark).toBe("one");
+    expect((await load(filename)).cached).toBe(true);
+
+    write("plugin.js", plugin("two"));
+    expect((await load(filename)).cached).toBe(false);
+  });
+});
+
+describe("includes", () => {
+  test("reports include cycles with their chain", async () => {
+    const filename = write("a.beancount", 'include "b.beancount"\n');
+    write("b.beancount", 'include "a.beancount"\n');
+    const { errors } = await load(filename);
+    expect(errors).toHaveLength(1);
+    expect(errors[0].message).toStartWith("Include cycle detected: ");
+    expect(errors[0].message).toContain("b.beancount -> ");
+  });
+});
+
+describe("decimal context", () => {
+  afterEach(() => {
+    setDecimalContext();
+  });
+
+  test("is set from the options of the load", async () => {
+    const [, errors] = await loadString(
+      'option "decimal_precision" "5"\noption "decimal_rounding" "ROUND_UP"\n'
+    );
+    expect(errors).toEqual([]);
+    expect(new Decimal(2).div(3).toString()).toBe("0.66667");
+    expect(new Decimal(1).div(3).toString()).toBe("0.33334");
+
+    await loadString("");
+    expect(new Decimal(2).div(3).toString()).toBe("0.6666666666666666666666666667");
+  });
+
+  test("rejects an invalid rounding mode", async () => {
+    const [, errors] = await loadString('option "decimal_rounding" "UP"\n');
+    expect(errors.map((error) => error.message)).toEqual([
+      'Error for option "decimal_rounding": Invalid rounding mode: UP',
+    ]);
+  });
+});
+
+describe("loadIter", () => {
+  test("yields the parsed entries of the file and its includes in order", async () => {
+    const filename = write(
+      "main.beancount",
+      '2020-01-02 open Assets:Cash\ninclude "other.beancount"\n2020-01-01 open Assets:Bank\n'
+    );
+    write("other.beancount", "2019-01-01 open Assets:Other\n2019-01-02 bad line\n");
+    const result = {};
+    const accounts = [];
+    for await (const entry of loadIter(filename, null, "utf8", result)) {
+      // The errors are only known once the iteration is complete.
+      expect(result.errors).toBeUndefined();
+      accounts.push(entry.account);
+    }
+    expect(accounts).toEqual(["Assets:Cash", "Assets:Bank", "Assets:Other"]);
+    expect(result.errors).toHaveLength(1);
+    expect(result.errors[0].source.filename).toEndWith("other.beancount");
+    expect(result.errors[0].source.lineno).toBe(2);
+    expect(result.optionsMap.include).toHaveLength(2);
+  });
+});
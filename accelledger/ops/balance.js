@@ -2,11 +2,11 @@
  * Automatic padding of gaps between entries.
  */
 
-const { ONE, ZERO } = require('../core/number');
+const { ZERO, TEN, getExponent } = require('../core/number');
 const { Transaction, Balance } = require('../core/data');
 const amount = require('../core/amount');
 const account = require('../core/account');
-const realization = require('../acceledger/core/realization');
+const realization = require('../core/realization');
 const getters = require('../core/getters');
 
 class BalanceError extends Error {
@@ -22,10 +22,10 @@ function getBalanceTolerance(balanceEntry, optionsMap) {
         return balanceEntry.tolerance;
     }
 
-    const expo = balanceEntry.amount.number.exponent;
+    const expo = getExponent(balanceEntry.amount.number);
     if (expo < 0) {
-        const tolerance = optionsMap.inferred_tolerance_multiplier * 2;
-        return ONE.scaleb(expo) * tolerance;
+        const tolerance = optionsMap.inferred_tolerance_multiplier.times(2);
+        return TEN.pow(expo).times(tolerance);
     }
 
     return ZERO;
@@ -51,7 +51,7 @@ function check(entries, optionsMap) {
 
     const openCloseMap = getters.getAccountOpenClose(entries);
 
-    for (const entry of entries) {
+    for (let entry of entries) {
         if (entry instanceof Transaction) {
             for (const posting of entry.postings) {
                 const realAccount = realization.get(realRoot, posting.account);
@@ -92,14 +92,21 @@ function check(entries, optionsMap) {
 
             const tolerance = getBalanceTolerance(entry, optionsMap);
 
-            if (Math.abs(diffAmount.number) > tolerance) {
+            if (diffAmount.number.abs().gt(tolerance)) {
                 checkErrors.push(new BalanceError(
                     entry.meta,
-                    `Balance failed for '${entry.account}': expected ${expectedAmount} != accumulated ${balanceAmount} (${Math.abs(diffAmount.number)} ${diffAmount.number > 0 ? 'too much' : 'too little'})`,
+                    `Balance failed for '${entry.account}': expected ${expectedAmount} != accumulated ${balanceAmount} (${diffAmount.number.abs()} ${diffAmount.number.isPositive() ? 'too much' : 'too little'})`,
                     entry
                 ));
 
-                entry = {...entry, meta: {...entry.meta}, diffAmount};
+                entry = new Balance(
+                    {...entry.meta},
+                    entry.date,
+                    entry.account,
+                    entry.amount,
+                    entry.tolerance,
+                    diffAmount
+                );
             }
         }
 
@@ -110,6 +117,7 @@ function check(entries, optionsMap) {
 }
 
 module.exports = {
+    __plugins__: ['check'],
     BalanceError,
     getBalanceTolerance,
     check
@@ -86,6 +86,7 @@ function findDocuments(directory, inputFilename, accountsOnly = null, strict = f
 }
 
 module.exports = {
+    __plugins__: ['processDocuments', 'verifyDocumentFilesExist'],
     DocumentError,
     processDocuments,
     verifyDocumentFilesExist,
@@ -0,0 +1,196 @@
+/**
+ * Compute the realized capital gains of a ledger, one disposal per lot
+ * reduced.
+ *
+ * Booking replaces each reducing posting by one posting per lot it reduces,
+ * at the cost of that lot; these are the disposals. Their proceeds come from
+ * the price of the posting, e.g. "-5 HOOL {100 USD, 2020-01-02} @ 130 USD",
+ * or failing that from the cash the sale received in the cost currency, or
+ * from the price of the units on the day of the sale.
+ */
+
+const Decimal = require('decimal.js');
+const { Amount } = require('../core/amount');
+const { Transaction } = require('../core/data');
+const { Inventory } = require('../core/inventory');
+const { AUTOMATIC_MERGE } = require('../core/interpolate');
+const { buildPriceMap, getPrice } = require('../core/prices');
+
+// The number of days a lot must be held for its disposal to be long-term.
+const DEFAULT_LONG_TERM_DAYS = 365;
+
+class Disposal {
+    /**
+     * @param {Object} entry - The transaction disposing of the lot.
+     * @param {string} account - The account the lot is held in.
+     * @param {Amount} units - The units disposed of, positive for a sale.
+     * @param {Cost} cost - The cost of the lot.
+     * @param {Amount} price - The per-unit price the units were disposed of
+     *   at, or null if it is not known.
+     */
+    constructor(entry, account, units, cost, price) {
+        this.entry = entry;
+        this.account = account;
+        this.units = units;
+        this.cost = cost;
+        this.price = price;
+    }
+
+    get acquisitionDate() {
+        return this.cost.date;
+    }
+
+    get disposalDate() {
+        return this.entry.date;
+    }
+
+    get holdingDays() {
+        return this.disposalDate - this.acquisitionDate;
+    }
+
+    get costBasis() {
+        return this.units.number.times(this.cost.number);
+    }
+
+    /**
+     * @returns {Decimal} The proceeds in the cost currency, or null if the
+     *   price of the sale is not known in that currency.
+     */
+    get proceeds() {
+        if (this.price === null || this.price.currency !== this.cost.currency) {
+            return null;
+        }
+        return this.units.number.times(this.price.number);
+    }
+
+    get gain() {
+        const proceeds = this.proceeds;
+        return proceeds === null ? null : proceeds.minus(this.costBasis);
+    }
+
+    /**
+     * @param {number} longTermDays - The holding period threshold in days.
+     * @returns {boolean} True if the lot was held for more than the threshold.
+     */
+    isLongTerm(longTermDays = DEFAULT_LONG_TERM_DAYS) {
+        return this.holdingDays > longTermDays;
+    }
+}
+
+/**
+ * Check whether a posting reduces a lot of the balance of its account, that
+ * is, whether the balance has a position at the same cost with the opposite
+ * sign.
+ */
+function reducesLot(balance, posting) {
+    const { units, cost } = posting;
+    return balance.getPositions().some(position =>
+        position.cost !== null &&
+        position.units.currency === units.currency &&
+        position.units.number.isNegative() !== units.number.isNegative() &&
+        position.cost.number.eq(cost.number) &&
+        position.cost.currency === cost.currency &&
+        (position.cost.date === null ? cost.date === null : position.cost.date.equals(cost.date)) &&
+        position.cost.label === cost.label
+    );
+}
+
+function isMerge(posting) {
+    return Boolean(posting.meta && posting.meta[AUTOMATIC_MERGE]);
+}
+
+/**
+ * Compute the per-unit price of a sale from the cash it received: the
+ * transaction must sell a single currency at cost and have a single posting
+ * receiving the cost currency, otherwise the cash can't be told apart from
+ * fees or from the proceeds of other sales.
+ * @param {Transaction} entry - The transaction disposing of the lots.
+ * @param {string} currency - The currency of the units sold.
+ * @param {string} costCurrency - The cost currency of the lots sold.
+ * @returns {Amount} The price, or null if the cash is not known.
+ */
+function getCashPrice(entry, currency, costCurrency) {
+    const sold = entry.postings.filter(posting =>
+        posting.cost !== null && !isMerge(posting) && posting.units.number.isNegative());
+    if (sold.some(posting => posting.units.currency !== currency)) {
+        return null;
+    }
+    const cash = entry.postings.filter(posting =>
+        posting.cost === null &&
+        posting.price === null &&
+        posting.units.currency === costCurrency &&
+        posting.units.number.isPositive());
+    if (cash.length !== 1) {
+        return null;
+    }
+    const units = sold.reduce((total, posting) => total.minus(posting.units.number), new Decimal(0));
+    return new Amount(cash[0].units.number.dividedBy(units), costCurrency);
+}
+
+/**
+ * Find the per-unit price a lot was disposed of at, in its cost currency.
+ * @param {Transaction} entry - The transaction disposing of the lot.
+ * @param {Posting} posting - The posting reducing the lot.
+ * @param {Map} priceMap - The prices of the ledger.
+ * @returns {Amount} The price, or null if it is not known.
+ */
+function getSalePrice(entry, posting, priceMap) {
+    const { units, cost, price } = posting;
+    if (price !== null && price.currency === cost.currency) {
+        return price;
+    }
+    const cashPrice = getCashPrice(entry, units.currency, cost.currency);
+    if (cashPrice !== null) {
+        return cashPrice;
+    }
+    const [, rate] = getPrice(priceMap, [units.currency, cost.currency], entry.date);
+    return rate === null ? null : new Amount(rate, cost.currency);
+}
+
+/**
+ * Find the disposals of lots in a list of booked entries.
+ *
+ * The postings inserted by booking to merge lots at their average cost take
+ * lots out and put the merged lot back in without disposing of anything, so
+ * they are not reported; the reduction of the merged lot is.
+ *
+ * @param {Array} entries - A list of booked directives.
+ * @returns {Array} A list of Disposal instances, in date order.
+ */
+function getDisposals(entries) {
+    const disposals = [];
+    const balances = new Map();
+    const priceMap = buildPriceMap(entries);
+
+    for (const entry of entries) {
+        if (!(entry instanceof Transaction)) continue;
+
+        for (const posting of entry.postings) {
+            if (posting.cost === null) continue;
+
+            if (!balances.has(posting.account)) {
+                balances.set(posting.account, new Inventory());
+            }
+            const balance = balances.get(posting.account);
+
+            if (!isMerge(posting) && reducesLot(balance, posting)) {
+                disposals.push(new Disposal(
+                    entry,
+                    posting.account,
+                    posting.units.negate(),
+                    posting.cost,
+                    getSalePrice(entry, posting, priceMap)
+                ));
+            }
+            balance.addPosition(posting);
+        }
+    }
+
+    return disposals;
+}
+
+module.exports = {
+    DEFAULT_LONG_TERM_DAYS,
+    Disposal,
+    getDisposals
+};
@@ -0,0 +1,125 @@
+import { describe, expect, test } from "bun:test";
+import { loadString } from "../loader.js";
+import { getDisposals } from "./gains.js";
+
+async function disposalsOf(method, sale) {
+  const [entries, errors] = await loadString(`
+2019-01-01 open Assets:Broker HOOL,USD "${method}"
+2019-01-01 open Assets:Cash
+2019-01-01 open Income:Gains
+2019-01-01 * "Buy"
+  Assets:Broker  10 HOOL {100 USD}
+  Assets:Cash
+2020-06-01 * "Buy"
+  Assets:Broker  10 HOOL {120 USD}
+  Assets:Cash
+2020-07-01 * "Sell"
+  ${sale}
+  Assets:Cash
+  Income:Gains  0 USD
+`);
+  expect(errors).toEqual([]);
+  return getDisposals(entries);
+}
+
+describe("getDisposals", () => {
+  test("reports one disposal per lot reduced", async () => {
+    const disposals = await disposalsOf(
+      "FIFO",
+      "Assets:Broker  -15 HOOL {} @ 130 USD"
+    );
+    expect(
+      disposals.map((disposal) => [
+        disposal.units.toString(),
+        disposal.acquisitionDate.toString(),
+        disposal.holdingDays,
+        disposal.costBasis.toString(),
+        disposal.proceeds.toString(),
+        disposal.gain.toString(),
+        disposal.isLongTerm(),
+      ])
+    ).toEqual([
+      ["10 HOOL", "2019-01-01", 547, "1000", "1300", "300", true],
+      ["5 HOOL", "2020-06-01", 30, "600", "650", "50", false],
+    ]);
+  });
+
+  test("reports the reduction of merged lots but not the merge", async () => {
+    const disposals = await disposalsOf(
+      "STRICT",
+      "Assets:Broker  -4 HOOL {*} @ 130 USD"
+    );
+    expect(disposals).toHaveLength(1);
+    const [disposal] = disposals;
+    expect(disposal.units.toString()).toBe("4 HOOL");
+    expect(disposal.cost.number.toString()).toBe("110");
+    expect(disposal.gain.toString()).toBe("80");
+  });
+
+  test("reports a reduction whose units were interpolated", async () => {
+    const [entries, errors] = await loadString(`
+2020-01-01 open Assets:Broker
+2020-01-01 open Assets:Cash
+2020-01-01 open Income:Gains
+2020-01-02 * "Buy"
+  Assets:Broker  10 HOOL {100 USD}
+  Assets:Cash
+2020-03-01 * "Sell"
+  Assets:Broker  HOOL {100 USD, 2020-01-02} @ 130 USD
+  Assets:Cash  1300 USD
+  Income:Gains  -300 USD
+`);
+    expect(errors).toEqual([]);
+    const disposals = getDisposals(entries);
+    expect(disposals.map((disposal) => disposal.units.toString())).toEqual(["10 HOOL"]);
+    expect(disposals[0].gain.toString()).toBe("300");
+  });
+});
+
+describe("proceeds without a price in the cost currency", () => {
+  async function saleOf(legs, prices = "") {
+    const [entries, errors] = await loadString(`
+2020-01-01 open Assets:Broker
+2020-01-01 open Assets:Cash
+2020-01-01 open Expenses:Fees
+2020-01-01 open Income:Gains
+2020-01-02 * "Buy"
+  Assets:Broker  10 HOOL {100 USD}
+  Assets:Broker  10 HOOL {120 USD}
+  Assets:Cash
+${prices}
+2020-03-01 * "Sell"
+  Assets:Broker  -10 HOOL {100 USD}
+  Assets:Broker  -10 HOOL {120 USD}
+  ${legs}
+`);
+    expect(errors).toEqual([]);
+    return getDisposals(entries).map((disposal) => [
+      disposal.proceeds === null ? null : disposal.proceeds.toString(),
+      disposal.gain === null ? null : disposal.gain.toString(),
+    ]);
+  }
+
+  test("come from the cash received by the sale", async () => {
+    expect(await saleOf("Assets:Cash  2600 USD\n  Income:Gains")).toEqual([
+      ["1300", "300"],
+      ["1300", "100"],
+    ]);
+  });
+
+  test("come from the price of the units when the cash is ambiguous", async () => {
+    const legs = "Assets:Cash  2580 USD\n  Expenses:Fees  20 USD\n  Income:Gains";
+    expect(await saleOf(legs, "2020-02-28 price HOOL 125 USD")).toEqual([
+      ["1250", "250"],
+      ["1250", "50"],
+    ]);
+  });
+
+  test("are unknown without cash or a price", async () => {
+    const legs = "Assets:Cash  2580 USD\n  Expenses:Fees  20 USD\n  Income:Gains";
+    expect(await saleOf(legs, "2020-03-02 price HOOL 125 USD")).toEqual([
+      [null, null],
+      [null, null],
+    ]);
+  });
+});
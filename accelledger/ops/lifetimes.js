@@ -9,13 +9,11 @@
 const { Transaction, Open, Close, Balance, Note, Document, Pad, Custom } = require('../core/data');
 const inventory = require('../core/inventory');
 
-const ONEDAY = 24 * 60 * 60 * 1000; // One day in milliseconds
-
 /**
  * Given a list of directives, figure out the life of each commodity.
  *
  * @param {Array} entries - A list of directives.
- * @returns {Object} A map of (currency, cost-currency) commodity strings to lists of [start, end] Date pairs.
+ * @returns {Object} A map of (currency, cost-currency) commodity strings to lists of [start, end] LocalDate pairs.
  */
 function getCommodityLifetimes(entries) {
     const lifetimes = {};
@@ -41,7 +39,7 @@ function getCommodityLifetimes(entries) {
 
         if (commoditiesChanged) {
             const newCommodities = new Set(
-                Object.values(balances).flatMap(inv => inv.currencyPairs())
+                Object.values(balances).flatMap(inv => [...inv.currencyPairs()])
             );
 
             for (const currency of difference(newCommodities, commodities)) {
@@ -52,7 +50,7 @@ function getCommodityLifetimes(entries) {
             for (const currency of difference(commodities, newCommodities)) {
                 const lifetime = lifetimes[currency];
                 const [beginDate] = lifetime.pop();
-                lifetime.push([beginDate, new Date(entry.date.getTime() + ONEDAY)]);
+                lifetime.push([beginDate, entry.date.addDays(1)]);
             }
 
             commodities = newCommodities;
@@ -65,18 +63,17 @@ function getCommodityLifetimes(entries) {
 /**
  * Compress a list of date pairs to ignore short stretches of unused days.
  *
- * @param {Array} intervals - A list of pairs of Date instances.
+ * @param {Array} intervals - A list of pairs of LocalDate instances.
  * @param {number} numDays - The number of unused days to require for intervals to be distinct, to allow a gap.
  * @returns {Array} A new list of intervals where some intervals may have been joined.
  */
 function compressIntervalsDays(intervals, numDays) {
-    const ignoreInterval = numDays * ONEDAY;
     const newIntervals = [];
     let [lastBegin, lastEnd] = intervals[0];
 
     for (let i = 1; i < intervals.length; i++) {
         const [dateBegin, dateEnd] = intervals[i];
-        if (dateBegin - lastEnd < ignoreInterval) {
+        if (dateBegin - lastEnd < numDays) {
             lastEnd = dateEnd;
         } else {
             newIntervals.push([lastBegin, lastEnd]);
@@ -91,10 +88,10 @@ function compressIntervalsDays(intervals, numDays) {
 /**
  * Trim a list of date pairs to be within a start and end date.
  *
- * @param {Array} intervals - A list of pairs of Date instances
- * @param {Date} trimStart - An inclusive starting date.
- * @param {Date} trimEnd - An exclusive ending date.
- * @returns {Array} A list of new intervals (pairs of [Date, Date]).
+ * @param {Array} intervals - A list of pairs of LocalDate instances
+ * @param {LocalDate} trimStart - An inclusive starting date.
+ * @param {LocalDate} trimEnd - An exclusive ending date.
+ * @returns {Array} A list of new intervals (pairs of [LocalDate, LocalDate]).
  */
 function trimIntervals(intervals, trimStart = null, trimEnd = null) {
     if (trimStart && trimEnd && trimEnd < trimStart) {
@@ -2,13 +2,14 @@
  * Automatic padding of gaps between entries.
  */
 
-const { Transaction, Pad, Balance, Posting, EMPTY_SET } = require('../core/data');
-const { Amount } = require('../core/amount');
+const { Transaction, TxnPosting, Pad, Balance, Posting } = require('../core/data');
+const { Amount, sub } = require('../core/amount');
 const account = require('../core/account');
 const inventory = require('../core/inventory');
 const realization = require('../core/realization');
 const getters = require('../core/getters');
 const { FLAG_PADDING } = require('../core/flags');
+const { getBalanceTolerance } = require('./balance');
 
 class PadError extends Error {
     constructor(source, message, entry) {
@@ -32,37 +33,37 @@ function pad(entries, optionsMap) {
 
     const byAccount = realization.postingsByAccount(entries);
 
-    const newEntries = Object.fromEntries(pads.map(pad => [pad.id, []]));
+    const newEntries = new Map(pads.map(pad => [pad, []]));
 
-    for (const [account, padList] of Object.entries(padDict).sort()) {
+    for (const [padAccount, padList] of Object.entries(padDict).sort()) {
         let activePad = null;
         const postings = [];
-        const isChild = account.parentMatcher(account);
+        const isChild = account.parentMatcher(padAccount);
 
         for (const [itemAccount, itemPostings] of Object.entries(byAccount)) {
             if (isChild(itemAccount)) {
                 postings.push(...itemPostings);
             }
         }
-        postings.sort((a, b) => a.date - b.date);
+        postings.sort((a, b) => (a.txn || a).date - (b.txn || b).date);
 
         let paddedLots = new Set();
         const padBalance = new inventory.Inventory();
 
         for (const entry of postings) {
-            if (entry instanceof Transaction) {
+            if (entry instanceof TxnPosting) {
                 padBalance.addPosition(entry.posting);
-            } else if (entry instanceof Pad && entry.account === account) {
+            } else if (entry instanceof Pad && entry.account === padAccount) {
                 activePad = entry;
                 paddedLots = new Set();
             } else if (entry instanceof Balance) {
                 const checkAmount = entry.amount;
                 const balanceAmount = padBalance.getCurrencyUnits(checkAmount.currency);
-                const diffAmount = Amount.sub(balanceAmount, checkAmount);
+                const diffAmount = sub(balanceAmount, checkAmount);
 
                 const tolerance = getBalanceTolerance(entry, optionsMap);
 
-                if (Math.abs(diffAmount.number) > tolerance) {
+                if (diffAmount.number.abs().gt(tolerance)) {
                     if (activePad && !paddedLots.has(checkAmount.currency)) {
                         const positions = padBalance.getPositions().filter(pos => 
                             pos.units.currency === checkAmount.currency
@@ -80,7 +81,7 @@ function pad(entries, optionsMap) {
 
                         const diffPosition = {
                             units: new Amount(
-                                checkAmount.number - balanceAmount.number,
+                                checkAmount.number.minus(balanceAmount.number),
                                 checkAmount.currency
                             ),
                             cost: null
@@ -93,8 +94,8 @@ function pad(entries, optionsMap) {
                             FLAG_PADDING,
                             null,
                             narration,
-                            EMPTY_SET,
-                            EMPTY_SET,
+                            new Set(),
+                            new Set(),
                             []
                         );
 
@@ -108,7 +109,7 @@ function pad(entries, optionsMap) {
                         ));
 
                         const negDiffPosition = {
-                            units: Amount.neg(diffPosition.units),
+                            units: diffPosition.units.negate(),
                             cost: diffPosition.cost
                         };
 
@@ -121,10 +122,10 @@ function pad(entries, optionsMap) {
                             entry.meta
                         ));
 
-                        newEntries[activePad.id].push(newEntry);
+                        newEntries.get(activePad).push(newEntry);
 
                         const [pos] = padBalance.addPosition(diffPosition);
-                        if (pos !== null && pos.isNegativeAtCost()) {
+                        if (pos && pos.isNegativeAtCost()) {
                             throw new Error(`Position held at cost goes negative: ${pos}`);
                         }
                     }
@@ -139,7 +140,7 @@ function pad(entries, optionsMap) {
     for (const entry of entries) {
         paddedEntries.push(entry);
         if (entry instanceof Pad) {
-            const entryList = newEntries[entry.id];
+            const entryList = newEntries.get(entry);
             if (entryList.length > 0) {
                 paddedEntries.push(...entryList);
             } else {
@@ -163,6 +164,7 @@ function groupBy(array, keyFunc) {
 }
 
 module.exports = {
+    __plugins__: ['pad'],
     pad,
     PadError
 };
\ No newline at end of file
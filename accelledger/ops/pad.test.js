@@ -0,0 +1,56 @@
+import { describe, expect, test } from "bun:test";
+import { loadString } from "../loader.js";
+import { Transaction } from "../core/data.js";
+import { FLAG_PADDING } from "../core/flags.js";
+
+function paddingEntries(entries) {
+  return entries.filter(
+    (entry) => entry instanceof Transaction && entry.flag === FLAG_PADDING
+  );
+}
+
+describe("pad", () => {
+  test("inserts a transaction to fulfill the next balance", async () => {
+    const [entries, errors] = await loadString(`
+2020-01-01 open Assets:Cash
+2020-01-01 open Equity:Opening-Balances
+2020-01-01 pad Assets:Cash Equity:Opening-Balances
+2020-01-05 balance Assets:Cash  120.00 USD
+`);
+    expect(errors).toEqual([]);
+    const [padding] = paddingEntries(entries);
+    expect(padding.date.toString()).toBe("2020-01-01");
+    expect(
+      padding.postings.map((posting) => [posting.account, posting.units.toString()])
+    ).toEqual([
+      ["Assets:Cash", "120 USD"],
+      ["Equity:Opening-Balances", "-120 USD"],
+    ]);
+  });
+
+  test("pads only the difference with the existing balance", async () => {
+    const [entries, errors] = await loadString(`
+2020-01-01 open Assets:Cash
+2020-01-01 open Income:Salary
+2020-01-01 open Equity:Opening-Balances
+2020-01-02 * "Pay"
+  Assets:Cash  100 USD
+  Income:Salary
+2020-01-03 pad Assets:Cash Equity:Opening-Balances
+2020-01-05 balance Assets:Cash  80 USD
+`);
+    expect(errors).toEqual([]);
+    const [padding] = paddingEntries(entries);
+    expect(padding.postings[0].units.number.toString()).toBe("-20");
+  });
+
+  test("reports an unused pad", async () => {
+    const [, errors] = await loadString(`
+2020-01-01 open Assets:Cash
+2020-01-01 open Equity:Opening-Balances
+2020-01-01 pad Assets:Cash Equity:Opening-Balances
+2020-01-05 balance Assets:Cash  0 USD
+`);
+    expect(errors.map((error) => error.message)).toEqual(["Unused Pad entry"]);
+  });
+});
@@ -14,7 +14,7 @@ class PriceMap {
         if (!this.prices.has(key)) {
             this.prices.set(key, new Map());
         }
-        this.prices.get(key).set(date.getTime(), new Decimal(price));
+        this.prices.get(key).set(date.toOrdinal(), new Decimal(price));
     }
 
     get(date, base, quote) {
@@ -23,12 +23,12 @@ class PriceMap {
         if (!pricesForPair) return null;
 
         // Find the closest date that's not after the given date
-        const timestamp = date.getTime();
+        const ordinal = date.toOrdinal();
         let closestDate = null;
         let closestPrice = null;
 
         for (const [priceDate, price] of pricesForPair.entries()) {
-            if (priceDate <= timestamp && (!closestDate || priceDate > closestDate)) {
+            if (priceDate <= ordinal && (closestDate === null || priceDate > closestDate)) {
                 closestDate = priceDate;
                 closestPrice = price;
             }
@@ -46,7 +46,7 @@ class PriceMap {
         let latestPrice = null;
 
         for (const [priceDate, price] of pricesForPair.entries()) {
-            if (!latestDate || priceDate > latestDate) {
+            if (latestDate === null || priceDate > latestDate) {
                 latestDate = priceDate;
                 latestPrice = price;
             }
@@ -25,7 +25,7 @@ const options = require('../core/options');
  * Summarize entries before a date and transfer income/expenses to equity.
  *
  * @param {Array} entries - A list of directive objects.
- * @param {Date} date - The date at which to do this.
+ * @param {LocalDate} date - The date at which to do this.
  * @param {Object} accountTypes - An instance of AccountTypes.
  * @param {string} conversionCurrency - The transfer currency to use for zero prices on the conversion entry.
  * @param {string} accountEarnings - The name of the account to transfer previous earnings from the income statement accounts to the balance sheet.
@@ -50,7 +50,7 @@ function open(entries, date, accountTypes, conversionCurrency, accountEarnings,
  * Truncate entries that occur after a particular date and ensure balance.
  *
  * @param {Array} entries - A list of directive objects.
- * @param {Date} date - One day beyond the end of the period.
+ * @param {LocalDate} date - One day beyond the end of the period.
  * @param {string} conversionCurrency - The transfer currency to use for zero prices on the conversion entry.
  * @param {string} accountConversions - The name of the equity account to book currency conversions against.
  * @returns {Array} A new list of entries and the index that points to one beyond the last original transaction that was provided.
@@ -74,7 +74,7 @@ function close(entries, date, conversionCurrency, accountConversions) {
  * Transfer income and expenses balances at the given date to the equity accounts.
  *
  * @param {Array} entries - A list of directive objects.
- * @param {Date} date - One day beyond the end of the period.
+ * @param {LocalDate} date - One day beyond the end of the period.
  * @param {Object} accountTypes - An instance of AccountTypes.
  * @param {string} accountEarnings - The name of the account to transfer previous earnings from the income statement accounts to the balance sheet.
  * @returns {Array} A new list of entries and the index that points to one before the last original transaction before the transfers.
@@ -17,11 +17,13 @@ const {
   Transaction,
   Document,
   Note,
+  Custom,
 } = require("../core/data");
 
 const data = require("../core/data");
 const getters = require("../core/getters");
 const interpolate = require("../core/interpolate");
+const { checkCustomValues } = require("../core/custom");
 
 class ValidationError {
   constructor(source, message, entry) {
@@ -226,13 +228,34 @@ function validateDataTypes(entries, optionsMap) {
   return errors;
 }
 
+function validateCustomDirectives(entries, unusedOptionsMap) {
+  const errors = [];
+  for (const entry of entries) {
+    if (!(entry instanceof Custom)) continue;
+
+    const mismatch = checkCustomValues(entry);
+    if (mismatch !== null) {
+      errors.push(
+        new ValidationError(
+          entry.meta,
+          `Invalid custom "${entry.type}" directive: ${mismatch}`,
+          entry
+        )
+      );
+    }
+  }
+  return errors;
+}
+
 function validateCheckTransactionBalances(entries, optionsMap) {
   const errors = [];
   for (const entry of entries) {
     if (!(entry instanceof Transaction)) continue;
 
     const residual = interpolate.computeResidual(entry.postings);
-    const tolerances = interpolate.inferTolerances(entry.postings, optionsMap);
+    const tolerances =
+      entry.meta[interpolate.AUTOMATIC_TOLERANCES] ||
+      interpolate.inferTolerances(entry.postings, optionsMap);
     if (!residual.isSmall(tolerances)) {
       errors.push(
         new ValidationError(
@@ -252,6 +275,7 @@ const BASIC_VALIDATIONS = [
   validateCurrencyConstraints,
   validateDuplicateBalances,
   validateDuplicateCommodities,
+  validateCustomDirectives,
   validateCheckTransactionBalances,
 ];
 
@@ -274,7 +298,10 @@ function validate(
     errors.push(...newErrors);
     const endTime = Date.now();
     if (logTimings) {
-      logTimings(`function: ${validationFunction.name}`, endTime - startTime);
+      const operationName = `function: ${validationFunction.name}`;
+      logTimings(
+        `Operation: ${operationName.padEnd(48)} Time: ${endTime - startTime} ms`
+      );
     }
   }
 
@@ -289,6 +316,7 @@ module.exports = {
   validateActiveAccounts,
   validateCurrencyConstraints,
   validateDataTypes,
+  validateCustomDirectives,
   validateCheckTransactionBalances,
   validate,
 };
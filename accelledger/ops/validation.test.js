@@ -0,0 +1,26 @@
+import { afterEach, describe, expect, test } from "bun:test";
+import { loadString } from "../loader.js";
+import { registerCustomType, unregisterCustomType } from "../core/custom.js";
+
+afterEach(() => {
+  unregisterCustomType("budget");
+});
+
+describe("validateCustomDirectives", () => {
+  test("reports custom directives that don't match their declared types", async () => {
+    registerCustomType("budget", ["account", "string", "amount"]);
+    const [, errors] = await loadString(`
+2020-01-01 open Expenses:Food
+2020-01-01 custom "budget" Expenses:Food "monthly" 600 USD
+2020-01-02 custom "budget" Expenses:Food "monthly" 600
+2020-01-03 custom "unregistered" 600
+`);
+    expect(errors.map((error) => [error.constructor.name, error.message, error.source.lineno])).toEqual([
+      [
+        "ValidationError",
+        'Invalid custom "budget" directive: expected amount for value 3, found number',
+        4,
+      ],
+    ]);
+  });
+});
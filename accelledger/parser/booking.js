@@ -20,8 +20,11 @@ const {
   sortEntries,
 } = require("../core/data");
 const { Inventory } = require("../core/inventory");
-const { Position } = require("../core/position");
-const { book: bookFull } = require("../parser/booking_full");
+const { Cost } = require("../core/position");
+const {
+  book: bookFull,
+  computeCostNumber,
+} = require("../parser/booking_full");
 const { t } = require("../core/data");
 
 class BookingError {
@@ -33,22 +36,33 @@ class BookingError {
 }
 
 /**
- * Book inventory lots and complete all positions with incomplete numbers.
- * @param {Array} incompleteEntries - A list of directives, with some postings possibly left with incomplete amounts as produced by the parser.
+ * Get the booking method of each account, as given by its Open directive or
+ * else the booking_method option.
+ * @param {Array} entries - A list of directives.
  * @param {Object} optionsMap - An options dict as produced by the parser.
- * @param {Object} initialBalances - A dict of (account, inventory) pairs to start booking from.
- * @returns {Array} A pair of [entries, errors]
+ * @returns {Map} A map of account names to Booking methods.
  */
-function book(incompleteEntries, optionsMap, initialBalances = null) {
-  // Get the list of booking methods for each account.
+function getBookingMethods(entries, optionsMap) {
   const bookingMethods = new Map();
   const defaultBookingMethod = optionsMap.booking_method;
 
-  for (const entry of incompleteEntries) {
-    if (entry instanceof Open && entry.booking) {
-      bookingMethods.set(entry.account, entry.booking);
+  for (const entry of entries) {
+    if (entry instanceof Open) {
+      bookingMethods.set(entry.account, entry.booking || defaultBookingMethod);
     }
   }
+  return bookingMethods;
+}
+
+/**
+ * Book inventory lots and complete all positions with incomplete numbers.
+ * @param {Array} incompleteEntries - A list of directives, with some postings possibly left with incomplete amounts as produced by the parser.
+ * @param {Object} optionsMap - An options dict as produced by the parser.
+ * @param {Object} initialBalances - A dict of (account, inventory) pairs to start booking from.
+ * @returns {Array} A pair of [entries, errors]
+ */
+function book(incompleteEntries, optionsMap, initialBalances = null) {
+  const bookingMethods = getBookingMethods(incompleteEntries, optionsMap);
 
   // Do the booking here!
   const [entries, bookingErrors] = bookFull(
@@ -109,28 +123,17 @@ function convertSpecToCost(units, costSpec) {
     return costSpec;
   }
 
-  const [numberPer, numberTotal, costCurrency, date, label, merge] = costSpec;
-
-  if (numberPer !== MISSING || numberTotal !== null) {
-    let unitCost;
-    if (numberTotal !== null) {
-      const unitsNum = units.number;
-      let costTotal = numberTotal;
-      if (numberPer !== MISSING) {
-        costTotal += numberPer * unitsNum;
-      }
-      unitCost = costTotal / Math.abs(unitsNum);
-    } else {
-      unitCost = numberPer;
-    }
-    return new Position.Cost(unitCost, costCurrency, date, label);
+  const unitCost = computeCostNumber(costSpec, units);
+  if (unitCost === null) {
+    return null;
   }
-
-  return null;
+  const { currency, date, label } = costSpec;
+  return new Cost(unitCost, currency, date, label);
 }
 
 module.exports = {
   book,
+  getBookingMethods,
   validateMissingEliminated,
   convertSpecToCost,
   BookingError,
@@ -2,16 +2,21 @@
 
 const { v4: uuidv4 } = require("uuid");
 const Decimal = require("decimal.js");
-const { Transaction, Booking } = require("../core/data");
-const { Amount, Position, Cost, CostSpec } = require("../core/position");
-const Inventory = require("../core/inventory");
+const { Transaction, Posting, Booking } = require("../core/data");
+const { Amount } = require("../core/amount");
+const { Position, Cost, CostSpec } = require("../core/position");
+const { Inventory } = require("../core/inventory");
+const { MISSING, sameSign, getExponent, withExponent } = require("../core/number");
 const interpolate = require("../core/interpolate");
+const { getRoundingAccount } = require("./options");
+const {
+  handleAmbiguousMatches,
+  postingToString,
+  lotsToString,
+} = require("./booking_method");
 
 // Constants
-const MISSING = Symbol("MISSING");
 const ZERO = new Decimal(0);
-const AUTOMATIC_META = Symbol("__automatic__");
-const AUTOMATIC_TOLERANCES = Symbol("__automatic_tolerances__");
 
 // Enums
 const MissingType = {
@@ -26,6 +31,15 @@ function uniqueLabel() {
   return uuidv4();
 }
 
+// Create a copy of a posting or an entry with some of its fields replaced.
+function replace(object, fields) {
+  return Object.assign(
+    Object.create(Object.getPrototypeOf(object)),
+    object,
+    fields
+  );
+}
+
 // Error classes
 class SelfReduxError extends Error {
   constructor(source, message, entry) {
@@ -70,47 +84,107 @@ function book(entries, optionsMap, methods, initialBalances = null) {
   return [newEntries, errors];
 }
 
+/**
+ * Book the transactions in order, keeping the running balance of each
+ * account to reduce lots from.
+ * @param {Array} entries - A list of directives, sorted.
+ * @param {Object} optionsMap - An options dict as produced by the parser.
+ * @param {Map} methods - The booking method of each account.
+ * @param {Map} initialBalances - The inventories to start booking from.
+ * @returns {Array} A triple of the booked entries, a list of errors and the
+ *   final balances of the accounts.
+ */
 function _book(entries, optionsMap, methods, initialBalances = null) {
   const newEntries = [];
   const errors = [];
-  const balances = initialBalances || new Map();
+  const balances = new Map(initialBalances || []);
+  const roundingAccount = getRoundingAccount(optionsMap);
 
   for (const entry of entries) {
-    if (entry.type === "Transaction") {
-      let updatedEntry = {
-        ...entry,
-        postings: entry.postings.map((posting) => ({ ...posting })),
-      };
-
-      for (let i = 0; i < entry.postings.length; i++) {
-        const posting = entry.postings[i];
-        let balance = balances.get(posting.account) || new Inventory();
-
-        // Apply the booking method
-        const bookingMethod = methods.get(posting.account) || "STRICT";
-        try {
-          balance = balance.book(posting.units, posting.cost, bookingMethod);
-        } catch (error) {
-          errors.push(new BookingError(entry.meta, error.message, entry));
-          continue;
-        }
+    if (!(entry instanceof Transaction)) {
+      newEntries.push(entry);
+      continue;
+    }
 
-        // Update the balance
-        balance.addPosition(posting);
-        balances.set(posting.account, balance);
+    // Group the postings by the currency they balance in.
+    const [referGroups, catErrors] = categorizeByCurrency(entry, balances);
+    if (catErrors.length > 0) {
+      errors.push(...catErrors);
+      continue;
+    }
+    const postingGroups = replaceCurrencies(entry.postings, referGroups);
+
+    if (hasSelfReduction(entry.postings, methods)) {
+      errors.push(
+        new SelfReduxError(
+          entry.meta,
+          "Self-reduction is not allowed",
+          entry
+        )
+      );
+      continue;
+    }
 
-        // Update the corresponding posting in updatedEntry
-        updatedEntry.postings[i] = {
-          ...updatedEntry.postings[i],
-          balance: balance,
-        };
+    const tolerances = interpolate.inferTolerances(entry.postings, optionsMap);
+    const replPostings = [];
+    for (const [currency, groupPostings] of postingGroups) {
+      // Match the reductions against the lots of the running balances.
+      const [bookedPostings, reductionErrors] = bookReductions(
+        entry,
+        groupPostings,
+        balances,
+        methods
+      );
+      if (reductionErrors.length > 0) {
+        errors.push(...reductionErrors);
+        continue;
       }
 
-      newEntries.push(updatedEntry);
-    } else {
-      // For non-Transaction entries, just push them as-is
-      newEntries.push(entry);
+      // Fill in the missing numbers.
+      const [interpolatedPostings, interpolationErrors] = interpolateGroup(
+        bookedPostings,
+        balances,
+        currency,
+        tolerances
+      );
+      if (interpolationErrors.length > 0) {
+        errors.push(...interpolationErrors);
+        continue;
+      }
+      replPostings.push(...interpolatedPostings);
+    }
+
+    // Record the tolerances and what remains unbalanced, e.g. from
+    // quantizing interpolated numbers, for the validation, the rounding
+    // account and for display.
+    const residual = interpolate.computeResidual(replPostings);
+    const meta = {
+      ...entry.meta,
+      [interpolate.AUTOMATIC_TOLERANCES]: tolerances,
+    };
+    if (!residual.isEmpty()) {
+      meta[interpolate.AUTOMATIC_RESIDUAL] = residual
+        .getPositions()
+        .map((position) => position.units);
+
+      // Absorb a residual small enough to be rounding error into the
+      // rounding account; larger ones are left for the validation to report.
+      if (roundingAccount !== null && residual.isSmall(tolerances)) {
+        replPostings.push(
+          ...interpolate.getResidualPostings(residual, roundingAccount)
+        );
+      }
+    }
+    const newEntry = replace(entry, { meta, postings: replPostings });
+
+    // Update the running balances with the booked postings.
+    for (const posting of newEntry.postings) {
+      if (!balances.has(posting.account)) {
+        balances.set(posting.account, new Inventory());
+      }
+      balances.get(posting.account).addPosition(posting);
     }
+    newEntries.push(newEntry);
   }
 
   return [newEntries, errors, balances];
@@ -131,6 +205,36 @@ function getBucketCurrency(refer) {
   return null;
 }
 
+// The lots held at cost in a currency, in an account's running inventory.
+function getCostLots(balance, currency) {
+  if (!balance) {
+    return [];
+  }
+  return balance
+    .getPositions()
+    .filter(
+      (position) =>
+        position.cost !== null && position.units.currency === currency
+    );
+}
+
+function mergeCurrencyError(entry, posting, lots) {
+  return new CategorizationError(
+    posting.meta,
+    `Cannot merge lots with different cost currencies for ` +
+      `"${postingToString(posting)}": ${lotsToString(lots)}`,
+    entry
+  );
+}
+
+/**
+ * Group the postings of a transaction by the currency they are weighed in,
+ * inferring the currencies left out of the input where possible.
+ * @param {Transaction} entry - The transaction.
+ * @param {Map} balances - The running inventory of each account.
+ * @returns {Array} A pair of the list of [currency, refers] groups, in order
+ *   of first appearance, and a list of errors.
+ */
 function categorizeByCurrency(entry, balances) {
   const errors = [];
   const groups = new Map();
@@ -138,6 +242,16 @@ function categorizeByCurrency(entry, balances) {
   const autoPostings = [];
   const unknown = [];
 
+  const addToGroup = (currency, refer) => {
+    if (!sortdict.has(currency)) {
+      sortdict.set(currency, refer.index);
+    }
+    if (!groups.has(currency)) {
+      groups.set(currency, []);
+    }
+    groups.get(currency).push(refer);
+  };
+
   entry.postings.forEach((posting, index) => {
     const { units, cost, price } = posting;
 
@@ -147,6 +261,25 @@ function categorizeByCurrency(entry, balances) {
     let priceCurrency =
       price !== MISSING && price !== null ? price.currency : null;
 
+    // A merge takes in every lot of the currency held, so its cost currency
+    // is that of the lots, never one inferred from the other postings.
+    if (
+      cost !== null &&
+      cost.merge &&
+      costCurrency === MISSING &&
+      typeof unitsCurrency === "string"
+    ) {
+      const lots = getCostLots(balances.get(posting.account), unitsCurrency);
+      const costCurrencies = new Set(lots.map((lot) => lot.cost.currency));
+      if (costCurrencies.size > 1) {
+        errors.push(mergeCurrencyError(entry, posting, lots));
+        return;
+      }
+      if (costCurrencies.size === 1) {
+        [costCurrency] = costCurrencies;
+      }
+    }
+
     if (costCurrency === MISSING && typeof priceCurrency === "string") {
       costCurrency = priceCurrency;
     }
@@ -161,21 +294,113 @@ function categorizeByCurrency(entry, balances) {
     } else {
       const currency = getBucketCurrency(refer);
       if (currency !== null) {
-        if (!sortdict.has(currency)) {
-          sortdict.set(currency, index);
-        }
-        if (!groups.has(currency)) {
-          groups.set(currency, []);
-        }
-        groups.get(currency).push(refer);
+        addToGroup(currency, refer);
       } else {
         unknown.push(refer);
       }
     }
   });
 
-  // Handle unknown and auto-postings...
-  // (This part would be similar to the Python implementation)
+  // With a single group, the unknown currencies can only be that group's.
+  if (unknown.length > 0 && groups.size === 1) {
+    const [currency] = groups.keys();
+    for (const refer of unknown.splice(0)) {
+      addToGroup(currency, {
+        ...refer,
+        costCurrency:
+          refer.costCurrency === MISSING ? currency : refer.costCurrency,
+        priceCurrency:
+          refer.priceCurrency === MISSING ? currency : refer.priceCurrency,
+      });
+    }
+  }
+
+  // Otherwise infer them from the currencies held in the account.
+  for (const refer of unknown) {
+    const posting = entry.postings[refer.index];
+    const balance = balances.get(posting.account);
+    const inferred = { ...refer };
+    if (balance) {
+      if (inferred.unitsCurrency === MISSING) {
+        const currencies = balance.currencies();
+        if (currencies.size === 1) {
+          [inferred.unitsCurrency] = currencies;
+        }
+      }
+      if (inferred.costCurrency === MISSING) {
+        const costCurrencies = balance.costCurrencies();
+        if (costCurrencies.size === 1) {
+          [inferred.costCurrency] = costCurrencies;
+        }
+      }
+    }
+    const currency = getBucketCurrency(inferred);
+    if (currency !== null) {
+      addToGroup(currency, inferred);
+    } else if (posting.cost !== null && posting.cost.merge && balance) {
+      // Merging lots held in several cost currencies.
+      errors.push(
+        mergeCurrencyError(
+          entry,
+          posting,
+          getCostLots(balance, posting.units.currency)
+        )
+      );
+    } else {
+      errors.push(
+        new CategorizationError(
+          posting.meta,
+          "Failed to categorize posting",
+          entry
+        )
+      );
+    }
+  }
+
+  // The auto-posting absorbs the residual of every group.
+  if (autoPostings.length > 1) {
+    const refer = autoPostings[autoPostings.length - 1];
+    errors.push(
+      new CategorizationError(
+        entry.postings[refer.index].meta,
+        "You may not have more than one auto-posting per currency",
+        entry
+      )
+    );
+    autoPostings.length = 1;
+  }
+  for (const refer of autoPostings) {
+    for (const currency of groups.keys()) {
+      groups.get(currency).push({
+        index: refer.index,
+        unitsCurrency: currency,
+        costCurrency: null,
+        priceCurrency: null,
+      });
+    }
+  }
+
+  // Report the currencies that could not be resolved.
+  for (const refers of groups.values()) {
+    for (const refer of refers) {
+      const posting = entry.postings[refer.index];
+      for (const [currency, name] of [
+        [refer.unitsCurrency, "units"],
+        [refer.costCurrency, "cost"],
+        [refer.priceCurrency, "price"],
+      ]) {
+        if (currency === MISSING) {
+          errors.push(
+            new CategorizationError(
+              posting.meta,
+              `Could not resolve ${name} currency`,
+              entry
+            )
+          );
+        }
+      }
+    }
+  }
 
   const sortedGroups = Array.from(groups.entries()).sort(
     (a, b) => sortdict.get(a[0]) - sortdict.get(b[0])
@@ -183,35 +408,37 @@ function categorizeByCurrency(entry, balances) {
   return [sortedGroups, errors];
 }
 
+/**
+ * Fill in the currencies resolved by the categorization into the postings.
+ * @param {Array} postings - The original postings of the transaction.
+ * @param {Array} referGroups - The groups of refers from categorization.
+ * @returns {Array} A list of [currency, postings] groups.
+ */
 function replaceCurrencies(postings, referGroups) {
   const newGroups = [];
   for (const [currency, refers] of referGroups) {
     const newPostings = [];
-    for (const refer of refers.sort((a, b) => a.index - b.index)) {
+    for (const refer of [...refers].sort((a, b) => a.index - b.index)) {
       let posting = postings[refer.index];
       const { units, cost, price } = posting;
 
       if (units === MISSING || units === null) {
-        posting = {
-          ...posting,
+        posting = replace(posting, {
           units: new Amount(MISSING, refer.unitsCurrency),
-        };
+        });
       } else {
-        let replace = false;
+        const fields = {};
         if (units.currency === MISSING) {
-          units.currency = refer.unitsCurrency;
-          replace = true;
+          fields.units = new Amount(units.number, refer.unitsCurrency);
         }
         if (cost && cost.currency === MISSING) {
-          cost.currency = refer.costCurrency;
-          replace = true;
+          fields.cost = replace(cost, { currency: refer.costCurrency });
         }
         if (price && price.currency === MISSING) {
-          price.currency = refer.priceCurrency;
-          replace = true;
+          fields.price = new Amount(price.number, refer.priceCurrency);
         }
-        if (replace) {
-          posting = { ...posting, units, cost, price };
+        if (Object.keys(fields).length > 0) {
+          posting = replace(posting, fields);
         }
       }
       newPostings.push(posting);
@@ -227,6 +454,7 @@ function hasSelfReduction(postings, methods) {
     const cost = posting.cost;
     if (cost === null) continue;
     if (methods.get(posting.account) === Booking.NONE) continue;
+    if (posting.units === MISSING || posting.units.number === MISSING) continue;
     const key = `${posting.account},${posting.units.currency}`;
     const sign = posting.units.number.gt(ZERO) ? 1 : -1;
     if (costChanges.has(key) && costChanges.get(key) !== sign) {
@@ -237,105 +465,197 @@ function hasSelfReduction(postings, methods) {
   return false;
 }
 
+/**
+ * Check whether the lot of a position is selected by a cost specification.
+ * Only the components given in the specification are compared.
+ * @param {Position} position - A position of the balance being reduced.
+ * @param {CostSpec} costspec - The cost specification of the reduction.
+ * @param {Decimal} costNumber - The per-unit cost from the specification, or
+ *   null if it has none.
+ * @returns {boolean} True if the lot of the position matches.
+ */
+function matchesCostSpec(position, costspec, costNumber) {
+  const { cost } = position;
+  if (cost === null) {
+    return false;
+  }
+  if (costNumber !== null && !cost.number.eq(costNumber)) {
+    return false;
+  }
+  if (costspec.currency !== MISSING && cost.currency !== costspec.currency) {
+    return false;
+  }
+  if (
+    costspec.date !== null &&
+    (cost.date === null || !cost.date.equals(costspec.date))
+  ) {
+    return false;
+  }
+  if (costspec.label !== null && cost.label !== costspec.label) {
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Book the reducing postings of a group against the lots of the accounts.
+ *
+ * A posting with a cost that reduces the balance of its account is matched
+ * against the lots of that balance on the components of its cost spec that
+ * are given (number, currency, date and label), and the booking method of the account
+ * decides which of the matches get reduced; it is replaced by one posting per
+ * lot reduced, at the cost of that lot. Augmenting postings are dated if
+ * their cost has no date, and passed through.
+ *
+ * @param {Transaction} entry - The parent transaction.
+ * @param {Array} groupPostings - The postings of one currency group.
+ * @param {Map} balances - The running inventory of each account.
+ * @param {Map} methods - The booking method of each account.
+ * @returns {Array} A pair of the booked postings and a list of errors.
+ */
 function bookReductions(entry, groupPostings, balances, methods) {
   const errors = [];
-  const localBalances = new Map(balances);
+  const localBalances = new Map();
   const empty = new Inventory();
   const bookedPostings = [];
 
   for (let posting of groupPostings) {
     const { units, cost: costspec, account } = posting;
 
+    // Reductions within the same group apply to a copy of the balance.
     if (!localBalances.has(account)) {
       const previousBalance = balances.get(account) || empty;
-      localBalances.set(account, previousBalance.copy());
+      localBalances.set(account, previousBalance.clone());
     }
     const balance = localBalances.get(account);
 
     if (costspec === null || units.number === MISSING) {
       bookedPostings.push(posting);
-    } else {
-      const method = methods.get(account);
-      if (
-        method !== Booking.NONE &&
-        balance !== null &&
-        balance.isReducedBy(units)
-      ) {
-        const costNumber = computeCostNumber(costspec, units);
-        const matches = [];
-        for (const position of balance) {
-          // Matching logic...
-        }
+      continue;
+    }
 
-        if (matches.length === 0) {
-          errors.push(
-            new ReductionError(
-              entry.meta,
-              `No position matches "${posting}" against balance ${balance}`,
-              entry
-            )
-          );
-          return [[], errors];
-        }
+    // A merge cost spec books at the average cost, whatever the method of
+    // the account.
+    const method = costspec.merge
+      ? Booking.AVERAGE
+      : methods.get(account) || Booking.STRICT;
+    if (method !== Booking.NONE && balance.isReducedBy(units)) {
+      const costNumber = computeCostNumber(costspec, units);
+      const matches = balance
+        .getPositions()
+        .filter(
+          (position) =>
+            position.units.currency === units.currency &&
+            !sameSign(position.units.number, units.number) &&
+            matchesCostSpec(position, costspec, costNumber)
+        );
 
-        // Handle ambiguous matches...
-        // This part would require implementation of booking_method.handleAmbiguousMatches
+      if (matches.length === 0) {
+        errors.push(
+          new ReductionError(
+            entry.meta,
+            `No position matches "${postingToString(posting)}" against ` +
+              `balance ${balance}`,
+            entry
+          )
+        );
+        return [[], errors];
+      }
 
-        bookedPostings.push(...reductionPostings);
+      const [reductionPostings, matchErrors] = handleAmbiguousMatches(
+        entry,
+        posting,
+        matches,
+        method
+      );
+      if (matchErrors.length > 0) {
+        errors.push(...matchErrors);
+        return [[], errors];
+      }
 
-        for (const posting of reductionPostings) {
-          balance.addPosition(posting);
-        }
-      } else {
-        if (costspec.date === null) {
-          const datedCostspec = { ...costspec, date: entry.date };
-          posting = { ...posting, cost: datedCostspec };
-        }
-        bookedPostings.push(posting);
+      bookedPostings.push(...reductionPostings);
+      for (const reductionPosting of reductionPostings) {
+        balance.addPosition(reductionPosting);
+      }
+    } else if (costspec.merge) {
+      errors.push(
+        new ReductionError(
+          entry.meta,
+          `Lots can only be merged by a reduction, "${postingToString(posting)}" ` +
+            `does not reduce balance ${balance}`,
+          entry
+        )
+      );
+      return [[], errors];
+    } else {
+      // An augmentation; new lots are dated with the transaction by default.
+      if (costspec.date === null) {
+        posting = replace(posting, {
+          cost: replace(costspec, { date: entry.date }),
+        });
       }
+      bookedPostings.push(posting);
     }
   }
 
   return [bookedPostings, errors];
 }
 
+/**
+ * Compute the per-unit cost of a cost specification, spreading its total
+ * number over the units.
+ * @param {CostSpec} costspec - A cost specification.
+ * @param {Amount} units - The units of the posting.
+ * @returns {Decimal} The per-unit cost, or null if a number of the
+ *   specification is missing.
+ */
 function computeCostNumber(costspec, units) {
   const { numberPer, numberTotal } = costspec;
   if (numberPer === MISSING || numberTotal === MISSING) {
     return null;
   }
   if (numberTotal !== null) {
-    const costTotal = numberTotal;
     const unitsNumber = units.number.abs();
+    if (unitsNumber.isZero()) {
+      return null;
+    }
     if (numberPer !== null) {
-      return costTotal.plus(numberPer.times(unitsNumber)).div(unitsNumber);
+      return numberTotal.plus(numberPer.times(unitsNumber)).div(unitsNumber);
     }
-    return costTotal.div(unitsNumber);
+    return numberTotal.div(unitsNumber);
   }
-  return numberPer !== null ? numberPer : null;
+  return numberPer;
 }
 
 function convertCostspecToCost(posting) {
   const { cost } = posting;
-  if (cost instanceof CostSpec && cost !== null) {
-    const { numberPer, numberTotal, currency, date, label } = cost;
-    let unitCost;
-    if (numberTotal !== null) {
-      const unitsNumber = posting.units.number.abs();
-      const costTotal = numberTotal;
-      unitCost =
-        numberPer !== MISSING
-          ? costTotal.plus(numberPer.times(unitsNumber)).div(unitsNumber)
-          : costTotal.div(unitsNumber);
-    } else {
-      unitCost = numberPer;
-    }
+  if (cost instanceof CostSpec) {
+    const { currency, date, label } = cost;
+    const unitCost = computeCostNumber(cost, posting.units);
     const newCost = new Cost(unitCost, currency, date, label);
-    return { ...posting, cost: newCost };
+    return replace(posting, { cost: newCost });
   }
   return posting;
 }
 
+/**
+ * Fill in the missing number of a group of postings weighed in the same
+ * currency, from the residual of the other postings of the group.
+ *
+ * A group may have a single missing number: the units of a posting, the
+ * per-unit or total number of a cost, or the number of a price. A missing
+ * units number is quantized to the tolerance of its currency and keeps the
+ * precision of the other numbers in that currency, and an auto-posting that
+ * ends up with no weight is dropped.
+ *
+ * @param {Array} postings - The booked postings of the group.
+ * @param {Map} balances - The running inventory of each account.
+ * @param {string} currency - The currency the group is weighed in.
+ * @param {Object} tolerances - The tolerances inferred for the transaction.
+ * @returns {Array} A triple of the completed postings, with their costs
+ *   converted to Cost instances, a list of errors, and whether a number was
+ *   interpolated.
+ */
 function interpolateGroup(postings, balances, currency, tolerances) {
   const errors = [];
   const incomplete = [];
@@ -355,9 +675,10 @@ function interpolateGroup(postings, balances, currency, tolerances) {
         incomplete.push([MissingType.COST_TOTAL, index]);
       }
     } else if (cost !== null) {
-      if (!(cost.number instanceof Decimal)) {
+      if (!Decimal.isDecimal(cost.number)) {
         throw new Error(
-          `Internal error: cost has no number: ${cost}; on postings: ${postings}`
+          `Internal error: cost has no number: ${cost}; on postings: ` +
+            postings.map(postingToString).join(", ")
         );
       }
     }
@@ -367,43 +688,229 @@ function interpolateGroup(postings, balances, currency, tolerances) {
     }
   });
 
-  let newPosting = null;
-
   if (incomplete.length === 0) {
     const outPostings = postings.map(convertCostspecToCost);
-    return [outPostings, errors, false];
-  } else if (incomplete.length > 1) {
+    return [outPostings, checkBookedPostings(outPostings), false];
+  }
+
+  if (incomplete.length > 1) {
     const [, postingIndex] = incomplete[0];
+    const accounts = [
+      ...new Set(incomplete.map(([, index]) => postings[index].account)),
+    ];
     errors.push(
       new InterpolationError(
         postings[postingIndex].meta,
-        `Too many missing numbers for currency group '${currency}'`,
+        `Too many missing numbers for currency group '${currency}': ` +
+          `${incomplete.length} numbers are missing (on ` +
+          `${accounts.join(", ")}), at most one can be inferred`,
         null
       )
     );
     return [[], errors, false];
-  } else {
-    const [missing, index] = incomplete[0];
-    const incompletePosting = postings[index];
+  }
 
-    const newPostings = postings.map((posting) =>
-      posting === incompletePosting ? posting : convertCostspecToCost(posting)
-    );
+  const [[missing, index]] = incomplete;
+  const incompletePosting = postings[index];
+
+  const newPostings = postings.map((posting) =>
+    posting === incompletePosting ? posting : convertCostspecToCost(posting)
+  );
 
-    const residual = interpolate.computeResidual(
-      newPostings.filter((posting) => posting !== incompletePosting)
+  // The weight the incomplete posting needs to balance the group.
+  const residual = interpolate.computeResidual(
+    newPostings.filter((posting) => posting !== incompletePosting)
+  );
+  if (residual.size > 1) {
+    throw new Error(
+      `Internal error: residual of currency group '${currency}' has ` +
+        `several currencies: ${residual}`
     );
+  }
+  const weight = residual.isEmpty()
+    ? ZERO
+    : residual.getOnlyPosition().units.number.negated();
 
-    // Handle residual and weight calculation...
+  const { units, cost, price } = incompletePosting;
+  let newPosting = null;
 
-    // Handle different missing types (UNITS, COST_PER, COST_TOTAL, PRICE)...
+  switch (missing) {
+    case MissingType.UNITS: {
+      let unitsNumber;
+      if (cost !== null) {
+        const costNumber = cost instanceof CostSpec ? cost.numberPer : cost.number;
+        const costTotal =
+          cost instanceof CostSpec && cost.numberTotal !== null
+            ? cost.numberTotal
+            : ZERO;
+        if (costNumber === null || costNumber.isZero()) {
+          errors.push(
+            new InterpolationError(
+              incompletePosting.meta,
+              `Cannot infer the units of "${postingToString(incompletePosting)}" ` +
+                `without a per-unit cost`,
+              null
+            )
+          );
+          return [[], errors, false];
+        }
+        unitsNumber = weight.minus(costTotal).div(costNumber);
+      } else if (price !== null) {
+        unitsNumber = weight.div(price.number);
+      } else {
+        unitsNumber = weight;
+      }
+      unitsNumber = interpolate.quantizeWithTolerance(
+        tolerances || {},
+        units.currency,
+        unitsNumber
+      );
+      // Written with as many digits as the other numbers of the currency,
+      // e.g. "10.50" for the other side of "-10.50 USD".
+      const exponent = getWrittenExponent(newPostings, units.currency);
+      if (exponent !== null) {
+        unitsNumber = withExponent(
+          unitsNumber,
+          Math.min(exponent, getExponent(unitsNumber))
+        );
+      }
+      if (!weight.isZero()) {
+        newPosting = replace(incompletePosting, {
+          units: new Amount(unitsNumber, units.currency),
+        });
+      }
+      break;
+    }
+
+    case MissingType.COST_PER: {
+      if (units.number.isZero()) {
+        errors.push(
+          new InterpolationError(
+            incompletePosting.meta,
+            `Cannot infer the per-unit cost of "${postingToString(incompletePosting)}" ` +
+              `with zero units`,
+            null
+          )
+        );
+        return [[], errors, false];
+      }
+      const costTotal = cost.numberTotal !== null ? cost.numberTotal : ZERO;
+      const numberPer = weight.minus(costTotal).div(units.number);
+      newPosting = replace(incompletePosting, {
+        cost: replace(cost, { numberPer }),
+      });
+      break;
+    }
 
-    // Replace the number in the posting...
+    case MissingType.COST_TOTAL: {
+      const costPer =
+        cost.numberPer !== null ? cost.numberPer.times(units.number) : ZERO;
+      const numberTotal = weight.minus(costPer);
+      newPosting = replace(incompletePosting, {
+        cost: replace(cost, { numberTotal }),
+      });
+      break;
+    }
 
-    // Check that units are non-zero and that no cost remains negative...
+    case MissingType.PRICE: {
+      if (cost !== null) {
+        errors.push(
+          new InterpolationError(
+            incompletePosting.meta,
+            "Cannot infer price for postings with units held at cost",
+            null
+          )
+        );
+        return [[], errors, false];
+      }
+      if (units.number.isZero()) {
+        errors.push(
+          new InterpolationError(
+            incompletePosting.meta,
+            `Cannot infer the price of "${postingToString(incompletePosting)}" ` +
+              `with zero units`,
+            null
+          )
+        );
+        return [[], errors, false];
+      }
+      newPosting = replace(incompletePosting, {
+        price: new Amount(weight.div(units.number), price.currency),
+      });
+      break;
+    }
+  }
 
-    return [outPostings, errors, newPosting !== null];
+  // Mark the completed posting as interpolated, or drop an auto-posting that
+  // has nothing to absorb.
+  if (newPosting !== null) {
+    newPosting = replace(newPosting, {
+      meta: { ...newPosting.meta, [interpolate.AUTOMATIC_META]: true },
+    });
+    newPostings[index] = convertCostspecToCost(newPosting);
+  } else {
+    newPostings.splice(index, 1);
+  }
+
+  errors.push(...checkBookedPostings(newPostings));
+  return [newPostings, errors, newPosting !== null];
+}
+
+/**
+ * Get the exponent of the smallest digit of the numbers of a currency in a
+ * list of postings, in their units, costs and prices.
+ * @param {Array} postings - A list of postings.
+ * @param {string} currency - The currency.
+ * @returns {number} The exponent, or null if no number is in the currency.
+ */
+function getWrittenExponent(postings, currency) {
+  let exponent = null;
+  for (const { units, cost, price } of postings) {
+    for (const amount of [units, cost, price]) {
+      if (
+        amount &&
+        amount.currency === currency &&
+        Decimal.isDecimal(amount.number)
+      ) {
+        const amountExponent = getExponent(amount.number);
+        exponent = exponent === null ? amountExponent : Math.min(exponent, amountExponent);
+      }
+    }
+  }
+  return exponent;
+}
+
+/**
+ * Check that postings held at cost have non-zero units and no negative cost.
+ * @param {Array} postings - A list of booked postings.
+ * @returns {Array} A list of errors.
+ */
+function checkBookedPostings(postings) {
+  const errors = [];
+  for (const posting of postings) {
+    if (posting.cost === null) {
+      continue;
+    }
+    if (posting.units.number.isZero()) {
+      errors.push(
+        new InterpolationError(
+          posting.meta,
+          `Amount is zero: "${posting.units}"`,
+          null
+        )
+      );
+    }
+    if (posting.cost.number !== null && posting.cost.number.isNegative()) {
+      errors.push(
+        new InterpolationError(
+          posting.meta,
+          `Cost is negative: "${posting.cost}"`,
+          null
+        )
+      );
+    }
   }
+  return errors;
 }
 
 module.exports = {
@@ -416,6 +923,11 @@ module.exports = {
   uniqueLabel,
   getBucketCurrency,
   hasSelfReduction,
+  categorizeByCurrency,
+  replaceCurrencies,
+  matchesCostSpec,
+  bookReductions,
   computeCostNumber,
   convertCostspecToCost,
+  interpolateGroup,
 };
@@ -0,0 +1,345 @@
+import { describe, expect, test } from "bun:test";
+import { loadString } from "../loader.js";
+import { AUTOMATIC_META, AUTOMATIC_RESIDUAL } from "../core/interpolate.js";
+import { formatEntry, formatPosition } from "./printer.js";
+
+// Two lots of HOOL in an account booked with a method, then a sale.
+function ledger(method, sale) {
+  return `
+2020-01-01 open Assets:Broker HOOL,USD "${method}"
+2020-01-01 open Assets:Cash
+2020-01-01 open Income:Gains
+2020-01-02 * "Buy"
+  Assets:Broker  10 HOOL {100 USD}
+  Assets:Cash
+2020-01-03 * "Buy"
+  Assets:Broker  10 HOOL {120 USD, "lot-2"}
+  Assets:Cash
+2020-01-04 * "Buy"
+  Assets:Broker  10 HOOL {110 USD}
+  Assets:Cash
+2020-01-10 * "Sell"
+  ${sale}
+  Assets:Cash
+`;
+}
+
+// The reductions of the last transaction, as units and lot cost.
+async function bookSale(method, sale) {
+  const [entries, errors] = await loadString(ledger(method, sale));
+  const sell = entries.findLast((entry) => entry.narration === "Sell");
+  const reductions = sell
+    ? sell.postings
+        .filter((posting) => posting.account === "Assets:Broker")
+        .map(({ units, cost }) => `${units} {${cost.number} ${cost.currency}}`)
+    : [];
+  return { reductions, errors: errors.map((error) => error.message) };
+}
+
+describe("booking methods", () => {
+  test("FIFO reduces the oldest lots first", async () => {
+    const { reductions, errors } = await bookSale(
+      "FIFO",
+      "Assets:Broker  -15 HOOL {}"
+    );
+    expect(errors).toEqual([]);
+    expect(reductions).toEqual(["-10 HOOL {100 USD}", "-5 HOOL {120 USD}"]);
+  });
+
+  test("LIFO reduces the most recent lots first", async () => {
+    const { reductions, errors } = await bookSale(
+      "LIFO",
+      "Assets:Broker  -15 HOOL {}"
+    );
+    expect(errors).toEqual([]);
+    expect(reductions).toEqual(["-10 HOOL {110 USD}", "-5 HOOL {120 USD}"]);
+  });
+
+  test("HIFO reduces the lots with the highest cost first", async () => {
+    const { reductions, errors } = await bookSale(
+      "HIFO",
+      "Assets:Broker  -15 HOOL {}"
+    );
+    expect(errors).toEqual([]);
+    expect(reductions).toEqual(["-10 HOOL {120 USD}", "-5 HOOL {110 USD}"]);
+  });
+
+  test("STRICT reports an ambiguous reduction", async () => {
+    const { reductions, errors } = await bookSale(
+      "STRICT",
+      "Assets:Broker  -15 HOOL {}"
+    );
+    expect(reductions).toEqual([]);
+    expect(errors).toHaveLength(1);
+    expect(errors[0]).toStartWith('Ambiguous matches for "Assets:Broker');
+  });
+
+  test("STRICT reduces all of the matching lots at once", async () => {
+    const { reductions, errors } = await bookSale(
+      "STRICT",
+      "Assets:Broker  -30 HOOL {}"
+    );
+    expect(errors).toEqual([]);
+    expect(reductions).toHaveLength(3);
+  });
+
+  test("STRICT_WITH_SIZE picks the oldest lot of the reduced size", async () => {
+    const { reductions, errors } = await bookSale(
+      "STRICT_WITH_SIZE",
+      "Assets:Broker  -10 HOOL {}"
+    );
+    expect(errors).toEqual([]);
+    expect(reductions).toEqual(["-10 HOOL {100 USD}"]);
+  });
+
+  test("reports a reduction larger than the matching lots", async () => {
+    const { errors } = await bookSale("FIFO", "Assets:Broker  -31 HOOL {}");
+    expect(errors).toHaveLength(1);
+    expect(errors[0]).toStartWith('Not enough lots to reduce "Assets:Broker');
+  });
+});
+
+describe("lot matching", () => {
+  test("matches a lot by cost number", async () => {
+    const { reductions, errors } = await bookSale(
+      "STRICT",
+      "Assets:Broker  -5 HOOL {110 USD}"
+    );
+    expect(errors).toEqual([]);
+    expect(reductions).toEqual(["-5 HOOL {110 USD}"]);
+  });
+
+  test("matches a lot by date", async () => {
+    const { reductions, errors } = await bookSale(
+      "STRICT",
+      "Assets:Broker  -5 HOOL {2020-01-03}"
+    );
+    expect(errors).toEqual([]);
+    expect(reductions).toEqual(["-5 HOOL {120 USD}"]);
+  });
+
+  test("matches a lot by label", async () => {
+    const { reductions, errors } = await bookSale(
+      "STRICT",
+      'Assets:Broker  -5 HOOL {"lot-2"}'
+    );
+    expect(errors).toEqual([]);
+    expect(reductions).toEqual(["-5 HOOL {120 USD}"]);
+  });
+
+  test("reports a reduction that matches no lot", async () => {
+    const { errors } = await bookSale("STRICT", "Assets:Broker  -5 HOOL {90 USD}");
+    expect(errors).toHaveLength(1);
+    expect(errors[0]).toStartWith('No position matches "Assets:Broker');
+  });
+});
+
+describe("merge cost spec", () => {
+  test("merges the lots at their average cost before reducing", async () => {
+    const { reductions, errors } = await bookSale(
+      "STRICT",
+      "Assets:Broker  -6 HOOL {*}"
+    );
+    expect(errors).toEqual([]);
+    expect(reductions).toEqual([
+      "-10 HOOL {100 USD}",
+      "-10 HOOL {120 USD}",
+      "-10 HOOL {110 USD}",
+      "30 HOOL {110 USD}",
+      "-6 HOOL {110 USD}",
+    ]);
+  });
+
+  // A cash leg in USD must not narrow the merge down to the USD lots.
+  for (const cash of ["Assets:Cash", "Assets:Cash  500 USD"]) {
+    test(`reports lots with different cost currencies, against "${cash}"`, async () => {
+      const [, errors] = await loadString(`
+2020-01-01 open Assets:Broker
+2020-01-01 open Assets:Cash
+2020-01-02 * "Buy"
+  Assets:Broker  10 HOOL {100 USD}
+  Assets:Cash
+2020-01-03 * "Buy"
+  Assets:Broker  10 HOOL {100 CAD}
+  Assets:Cash
+2020-01-10 * "Sell"
+  Assets:Broker  -5 HOOL {*}
+  ${cash}
+`);
+      expect(errors).toHaveLength(1);
+      expect(errors[0].message).toBe(
+        'Cannot merge lots with different cost currencies for "Assets:Broker -5 HOOL {*}": ' +
+          "(10 HOOL {100 USD, 2020-01-02}, 10 HOOL {100 CAD, 2020-01-03})"
+      );
+    });
+  }
+
+  test("merges against a cash leg in the cost currency", async () => {
+    const [entries, errors] = await loadString(`
+2020-01-01 open Assets:Broker
+2020-01-01 open Assets:Cash
+2020-01-02 * "Buy"
+  Assets:Broker  10 HOOL {100 CAD}
+  Assets:Cash
+2020-01-03 * "Buy"
+  Assets:Broker  10 HOOL {120 CAD}
+  Assets:Cash
+2020-01-10 * "Sell"
+  Assets:Broker  -5 HOOL {*}
+  Assets:Cash  550 CAD
+`);
+    expect(errors).toEqual([]);
+    expect(entries.at(-1).postings.map(formatPosition)).toEqual([
+      "-10 HOOL {100 CAD, 2020-01-02}",
+      "-10 HOOL {120 CAD, 2020-01-03}",
+      "20 HOOL {110 CAD, 2020-01-02}",
+      "-5 HOOL {110 CAD, 2020-01-02}",
+      "550 CAD",
+    ]);
+  });
+
+  test("reports a merge that does not reduce", async () => {
+    const { errors } = await bookSale("STRICT", "Assets:Broker  5 HOOL {*}");
+    expect(errors).toHaveLength(1);
+    expect(errors[0]).toStartWith("Lots can only be merged by a reduction");
+  });
+});
+
+describe("total cost specs", () => {
+  async function bookedCost(costSpec) {
+    const [entries, errors] = await loadString(`
+2020-01-01 open Assets:Broker
+2020-01-01 open Assets:Cash
+2020-01-02 * "Buy"
+  Assets:Broker  10 HOOL ${costSpec}
+  Assets:Cash
+`);
+    expect(errors).toEqual([]);
+    const [broker, cash] = entries.at(-1).postings;
+    return { cost: broker.cost, cash: cash.units };
+  }
+
+  test("books a total cost per unit", async () => {
+    const { cost, cash } = await bookedCost("{{1009.95 USD}}");
+    expect(cost.number.toString()).toBe("100.995");
+    expect(cost.currency).toBe("USD");
+    expect(cash.toString()).toBe("-1009.95 USD");
+  });
+
+  test("books a per-unit cost combined with a total", async () => {
+    const { cost, cash } = await bookedCost("{100.00 # 9.95 USD}");
+    expect(cost.number.toString()).toBe("100.995");
+    expect(cash.toString()).toBe("-1009.95 USD");
+  });
+
+  test("keeps the date and label of a total cost", async () => {
+    const { cost } = await bookedCost('{{1000 USD, 2019-12-31, "lot-1"}}');
+    expect(cost.number.toString()).toBe("100");
+    expect(String(cost.date)).toBe("2019-12-31");
+    expect(cost.label).toBe("lot-1");
+  });
+});
+
+describe("interpolation", () => {
+  async function book(postings) {
+    const [entries, errors] = await loadString(`
+2020-01-01 open Assets:Cash
+2020-01-01 open Assets:Broker
+2020-01-01 open Expenses:Food
+2020-01-01 open Expenses:Fees
+2020-01-02 * "Test"${postings}
+`);
+    return { entry: entries.at(-1), errors: errors.map((error) => error.message) };
+  }
+
+  test("fills in one missing number per currency group", async () => {
+    const { entry, errors } = await book(`
+  Assets:Cash  -10.50 USD
+  Assets:Cash  -20 CAD
+  Expenses:Food`);
+    expect(errors).toEqual([]);
+    const filled = entry.postings.filter((posting) => posting.account === "Expenses:Food");
+    expect(filled.map(formatPosition)).toEqual([
+      "10.50 USD",
+      "20 CAD",
+    ]);
+    expect(filled.every((posting) => posting.meta[AUTOMATIC_META])).toBe(true);
+  });
+
+  test("fills in a fee leg next to a cash leg and a price leg", async () => {
+    const { entry, errors } = await book(`
+  Assets:Cash  -100.00 USD
+  Assets:Broker  -10 EUR @ 1.10 USD
+  Expenses:Fees`);
+    expect(errors).toEqual([]);
+    expect(formatPosition(entry.postings[2])).toBe("111.00 USD");
+  });
+
+  test("fills in a missing price", async () => {
+    const { entry, errors } = await book(`
+  Assets:Cash  -11.00 USD
+  Assets:Broker  10 EUR @ USD`);
+    expect(errors).toEqual([]);
+    expect(entry.postings[1].price.toString()).toBe("1.1 USD");
+  });
+
+  test("records the residual of the transaction", async () => {
+    const { entry, errors } = await book(`
+  Assets:Cash  -10.00 USD
+  Assets:Broker  3 EUR @ 3.3333 USD`);
+    expect(errors).toEqual([]);
+    expect(entry.meta[AUTOMATIC_RESIDUAL].map(String)).toEqual(["-0.0001 USD"]);
+  });
+
+  test("reports a group with several missing numbers", async () => {
+    const { errors } = await book(`
+  Assets:Broker  -10 EUR @ USD
+  Expenses:Fees`);
+    expect(errors).toEqual([
+      "Too many missing numbers for currency group 'USD': 2 numbers are " +
+        "missing (on Assets:Broker, Expenses:Fees), at most one can be inferred",
+    ]);
+  });
+});
+
+describe("rounding account", () => {
+  const ledger = (options) => `${options}
+2020-01-01 open Assets:Cash
+2020-01-01 open Assets:Broker
+2020-01-01 open Equity:Rounding
+2020-01-02 * "Exchange"
+  Assets:Cash  -10.00 USD
+  Assets:Broker  3 EUR @ 3.3333 USD
+`;
+
+  test("absorbs a residual within tolerance", async () => {
+    const [entries, errors] = await loadString(
+      ledger('option "account_rounding" "Rounding"')
+    );
+    expect(errors).toEqual([]);
+    const rounding = entries.at(-1).postings.at(-1);
+    expect(rounding.account).toBe("Equity:Rounding");
+    expect(rounding.units.toString()).toBe("0.0001 USD");
+    expect(rounding.meta[AUTOMATIC_META]).toBe(true);
+    expect(rounding.meta[AUTOMATIC_RESIDUAL]).toBe(true);
+    expect(formatEntry(entries.at(-1))).toContain(
+      "Equity:Rounding  0.0001 USD  ; rounding\n"
+    );
+  });
+
+  test("is not used unless the option is set", async () => {
+    const [entries, errors] = await loadString(ledger(""));
+    expect(errors).toEqual([]);
+    expect(entries.at(-1).postings).toHaveLength(2);
+  });
+
+  test("leaves a residual beyond the tolerance to the validation", async () => {
+    const [entries, errors] = await loadString(
+      ledger('option "account_rounding" "Rounding"').replace("3.3333", "3.3")
+    );
+    expect(entries.at(-1).postings).toHaveLength(2);
+    expect(errors.map((error) => error.message)).toEqual([
+      "Transaction does not balance: (-0.1 USD)",
+    ]);
+  });
+});
@@ -1,98 +1,275 @@
-const Big = require('big.js');
+// Implementations of the booking methods, that is, the ways of choosing which
+// of the lots matched by a reduction get reduced, and by how much.
 
-class BookingMethod {
-    constructor(method = 'FIFO') {
-        this.method = method;
-        this.inventory = [];
+const Decimal = require("decimal.js");
+const { Booking, Posting } = require("../core/data");
+const { Amount } = require("../core/amount");
+const { Inventory } = require("../core/inventory");
+const { AUTOMATIC_MERGE, AUTOMATIC_META } = require("../core/interpolate");
+
+class BookingError extends Error {
+    constructor(source, message, entry) {
+        super(message);
+        this.source = source;
+        this.entry = entry;
     }
+}
 
-    applyMethod(transaction) {
-        switch (this.method) {
-            case 'FIFO':
-                return this.applyFIFO(transaction);
-            case 'LIFO':
-                return this.applyLIFO(transaction);
-            case 'AVERAGE':
-                return this.applyAverage(transaction);
-            default:
-                throw new Error(`Unknown booking method: ${this.method}`);
-        }
+class AmbiguousMatchError extends Error {
+    constructor(source, message, entry) {
+        super(message);
+        this.source = source;
+        this.entry = entry;
     }
+}
 
-    applyFIFO(transaction) {
-        // Implement FIFO logic
-        let remaining = new Big(transaction.amount);
-        const booked = [];
-
-        while (remaining.gt(0) && this.inventory.length > 0) {
-            const oldest = this.inventory[0];
-            if (oldest.amount.gte(remaining)) {
-                oldest.amount = oldest.amount.minus(remaining);
-                booked.push({ ...oldest, amount: remaining });
-                remaining = new Big(0);
-            } else {
-                booked.push(oldest);
-                remaining = remaining.minus(oldest.amount);
-                this.inventory.shift();
-            }
-        }
+/**
+ * Render a posting for an error message.
+ * @param {Posting} posting - The posting to render.
+ * @returns {string} The account, units and cost of the posting.
+ */
+function postingToString(posting) {
+    const cost = posting.cost !== null ? ` {${posting.cost}}` : "";
+    return `${posting.account} ${posting.units}${cost}`;
+}
+
+/**
+ * Render a list of lots for an error message.
+ * @param {Array} positions - A list of Position instances.
+ * @returns {string} The positions, comma-separated and in parentheses.
+ */
+function lotsToString(positions) {
+    return `(${positions.map((position) => position.toString()).join(", ")})`;
+}
 
-        if (remaining.gt(0)) {
-            this.inventory.push({ ...transaction, amount: remaining });
+/**
+ * Create the posting reducing a particular lot.
+ * @param {Posting} posting - The reducing posting, as it was written.
+ * @param {Decimal} number - The signed number of units taken off the lot.
+ * @param {Cost} cost - The cost of the lot being reduced.
+ * @returns {Posting} A new posting, at the cost of the lot.
+ */
+function reducePosting(posting, number, cost) {
+    return new Posting(
+        posting.account,
+        new Amount(number, posting.units.currency),
+        cost,
+        posting.price,
+        posting.flag,
+        posting.meta
+    );
+}
+
+/**
+ * Reduce the matching lots in the order given, taking as many units off each
+ * as possible until the reduction is filled.
+ * @param {Object} entry - The parent transaction.
+ * @param {Posting} posting - The reducing posting.
+ * @param {Array} matches - The matching positions, in the order to reduce.
+ * @returns {Array} A pair of the reducing postings and a list of errors.
+ */
+function bookInOrder(entry, posting, matches) {
+    const sign = posting.units.number.isNegative() ? -1 : 1;
+    let remaining = posting.units.number.abs();
+    const postings = [];
+    for (const match of matches) {
+        if (remaining.isZero()) {
+            break;
         }
+        const size = Decimal.min(match.units.number.abs(), remaining);
+        postings.push(reducePosting(posting, size.times(sign), match.cost));
+        remaining = remaining.minus(size);
+    }
 
-        return booked;
+    if (!remaining.isZero()) {
+        return [[], [
+            new BookingError(
+                entry.meta,
+                `Not enough lots to reduce "${postingToString(posting)}": ` +
+                    lotsToString(matches),
+                entry
+            ),
+        ]];
     }
+    return [postings, []];
+}
 
-    applyLIFO(transaction) {
-        let remaining = new Big(transaction.amount);
-        const booked = [];
-
-        while (remaining.gt(0) && this.inventory.length > 0) {
-            const newest = this.inventory[this.inventory.length - 1];
-            if (newest.amount.gte(remaining)) {
-                newest.amount = newest.amount.minus(remaining);
-                booked.push({ ...newest, amount: remaining });
-                remaining = new Big(0);
-            } else {
-                booked.push(newest);
-                remaining = remaining.minus(newest.amount);
-                this.inventory.pop();
-            }
+/**
+ * Order positions by the date of their lots. The sort is stable, so lots
+ * acquired on the same day keep their inventory order.
+ * @param {Array} positions - A list of Position instances.
+ * @param {boolean} reverse - True to put the most recent lots first.
+ * @returns {Array} A new sorted list of positions.
+ */
+function sortByDate(positions, reverse = false) {
+    const sign = reverse ? -1 : 1;
+    return [...positions].sort(
+        (a, b) => sign * (a.cost.date - b.cost.date)
+    );
+}
+
+/**
+ * Strict booking: the reduction must match a single lot, unless it reduces
+ * all of the matching lots at once.
+ */
+function bookingMethodSTRICT(entry, posting, matches) {
+    if (matches.length > 1) {
+        const total = matches.reduce(
+            (sum, match) => sum.plus(match.units.number.abs()),
+            new Decimal(0)
+        );
+        if (!total.eq(posting.units.number.abs())) {
+            return [[], [
+                new AmbiguousMatchError(
+                    entry.meta,
+                    `Ambiguous matches for "${postingToString(posting)}": ` +
+                        `${matches.length} lots match ${lotsToString(matches)}; ` +
+                        "specify the cost, date or label of the lot to reduce",
+                    entry
+                ),
+            ]];
         }
+    }
+    return bookInOrder(entry, posting, matches);
+}
 
-        if (remaining.gt(0)) {
-            this.inventory.push({ ...transaction, amount: remaining });
+/**
+ * Strict booking, except that an ambiguous reduction picks the oldest of the
+ * lots whose size is exactly that of the reduction.
+ */
+function bookingMethodSTRICT_WITH_SIZE(entry, posting, matches) {
+    if (matches.length > 1) {
+        const size = posting.units.number.abs();
+        const sized = matches.filter((match) =>
+            match.units.number.abs().eq(size)
+        );
+        if (sized.length > 0) {
+            return bookInOrder(entry, posting, sortByDate(sized).slice(0, 1));
         }
+    }
+    return bookingMethodSTRICT(entry, posting, matches);
+}
+
+/**
+ * First-in first-out: reduce the oldest lots first.
+ */
+function bookingMethodFIFO(entry, posting, matches) {
+    return bookInOrder(entry, posting, sortByDate(matches));
+}
+
+/**
+ * Last-in first-out: reduce the most recent lots first.
+ */
+function bookingMethodLIFO(entry, posting, matches) {
+    return bookInOrder(entry, posting, sortByDate(matches, true));
+}
 
-        return booked;
+/**
+ * Highest-in first-out: reduce the lots with the highest cost first, the
+ * oldest first among lots of equal cost.
+ */
+function bookingMethodHIFO(entry, posting, matches) {
+    const sorted = sortByDate(matches).sort((a, b) =>
+        b.cost.number.comparedTo(a.cost.number)
+    );
+    return bookInOrder(entry, posting, sorted);
+}
+
+/**
+ * Average cost: merge the matching lots into a single lot at their average
+ * cost, then reduce that lot. The merge is recorded as automatic postings
+ * taking each lot out and putting the merged lot in, so that the balance of
+ * the account can still be computed from its postings.
+ */
+function bookingMethodAVERAGE(entry, posting, matches) {
+    if (matches.length === 1) {
+        return bookInOrder(entry, posting, matches);
     }
 
-    applyAverage(transaction) {
-        const totalAmount = this.inventory.reduce((sum, item) => sum.plus(item.amount), new Big(0));
-        const totalCost = this.inventory.reduce((sum, item) => sum.plus(item.amount.times(item.price)), new Big(0));
-        
-        let averageCost;
-        if (totalAmount.eq(0)) {
-            averageCost = new Big(transaction.price);
-        } else {
-            averageCost = totalCost.div(totalAmount);
-        }
+    const costCurrencies = new Set(matches.map((match) => match.cost.currency));
+    if (costCurrencies.size > 1) {
+        return [[], [
+            new BookingError(
+                entry.meta,
+                `Cannot merge lots with different cost currencies for ` +
+                    `"${postingToString(posting)}": ${lotsToString(matches)}`,
+                entry
+            ),
+        ]];
+    }
+
+    // All the lots have the same cost currency, so they average to a single
+    // lot, dated with the oldest of them.
+    const average = new Inventory(matches).average().getOnlyPosition();
 
-        const newAmount = totalAmount.plus(transaction.amount);
-        const newCost = totalCost.plus(new Big(transaction.amount).times(transaction.price));
-        const newAverageCost = newCost.div(newAmount);
+    const meta = { ...posting.meta, [AUTOMATIC_META]: true, [AUTOMATIC_MERGE]: true };
+    const mergePostings = matches.map(
+        (match) =>
+            new Posting(
+                posting.account,
+                new Amount(match.units.number.negated(), match.units.currency),
+                match.cost,
+                null,
+                posting.flag,
+                meta
+            )
+    );
+    const merged = new Posting(
+        posting.account,
+        average.units,
+        average.cost,
+        null,
+        posting.flag,
+        meta
+    );
+    mergePostings.push(merged);
+
+    const [postings, errors] = bookInOrder(entry, posting, [merged]);
+    if (errors.length > 0) {
+        return [[], errors];
+    }
+    return [[...mergePostings, ...postings], []];
+}
 
-        this.inventory = [{
-            amount: newAmount,
-            price: newAverageCost
-        }];
+const BOOKING_METHODS = new Map([
+    [Booking.STRICT, bookingMethodSTRICT],
+    [Booking.STRICT_WITH_SIZE, bookingMethodSTRICT_WITH_SIZE],
+    [Booking.FIFO, bookingMethodFIFO],
+    [Booking.LIFO, bookingMethodLIFO],
+    [Booking.HIFO, bookingMethodHIFO],
+    [Booking.AVERAGE, bookingMethodAVERAGE],
+]);
 
-        return [{
-            amount: new Big(transaction.amount),
-            price: averageCost
-        }];
+/**
+ * Resolve a reduction against the lots it matches using a booking method.
+ * Accounts booked with NONE never get here, their reductions are added to the
+ * inventory as new lots instead.
+ * @param {Object} entry - The parent transaction.
+ * @param {Posting} posting - The reducing posting.
+ * @param {Array} matches - The positions matched by the reduction.
+ * @param {string} method - One of the Booking methods.
+ * @returns {Array} A pair of the reducing postings, each at the cost of the
+ *   lot it reduces, and a list of errors.
+ */
+function handleAmbiguousMatches(entry, posting, matches, method) {
+    const bookingMethod = BOOKING_METHODS.get(method);
+    if (!bookingMethod) {
+        return [[], [
+            new BookingError(
+                entry.meta,
+                `Unsupported booking method: ${method}`,
+                entry
+            ),
+        ]];
     }
+    return bookingMethod(entry, posting, matches);
 }
 
-module.exports = BookingMethod;
\ No newline at end of file
+module.exports = {
+    BookingError,
+    AmbiguousMatchError,
+    BOOKING_METHODS,
+    handleAmbiguousMatches,
+    postingToString,
+    lotsToString,
+};
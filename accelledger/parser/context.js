@@ -1,13 +1,24 @@
 const { v4: uuidv4 } = require('uuid');
-const moment = require('moment');
-const path = require('path');
+const fs = require('fs');
 const { parseFile } = require('./parser.js');
-const { hash } = require('../core/compare.js');
+const { hashEntry } = require('../core/compare.js');
 const { getEntryAccounts } = require('../core/getters.js');
-const { computeEntryContext } = require('../core/interpolate.js');
-const { printEntry } = require('./printer.js');
+const { Booking, Transaction } = require('../core/data.js');
+const { LocalDate } = require('../core/date.js');
+const {
+    AUTOMATIC_MERGE,
+    AUTOMATIC_TOLERANCES,
+    computeEntryContext,
+    computeResidual,
+    inferTolerances,
+} = require('../core/interpolate.js');
+const { EntryPrinter } = require('./printer.js');
+const { getBookingMethods } = require('./booking.js');
+const { computeCostNumber, matchesCostSpec } = require('./booking_full.js');
+const { postingToString } = require('./booking_method.js');
 const { Inventory } = require('../core/inventory.js');
 const { getCost } = require('../core/convert.js');
+const { MISSING, sameSign } = require('../core/number.js');
 
 class Context {
     constructor() {
@@ -24,7 +35,7 @@ class Context {
             entry.meta.uuid = uuidv4();
         }
         if (!entry.date) {
-            entry.date = moment().format('YYYY-MM-DD');
+            entry.date = LocalDate.today();
         }
         this.entries.push(entry);
     }
@@ -56,31 +67,22 @@ class Context {
 }
 
 function renderFileContext(entries, optionsMap, filename, lineno) {
-    // Find the closest entry
-    const closestEntry = findClosestEntry(entries, filename, lineno);
-    if (!closestEntry) {
-        throw new Error(`No entry could be found before ${filename}:${lineno}`);
-    }
-
-    // Parse the original file to get the unbooked transaction
-    let closestParsedEntry = null;
-    if (path.existsSync(filename)) {
-        const [parsedEntries] = parseFile(filename);
-        closestParsedEntry = parsedEntries.find(entry => 
-            entry.meta && entry.meta.lineno === closestEntry.meta.lineno
-        );
-    }
-
+    const [closestEntry, closestParsedEntry] = findEntryAtLocation(entries, filename, lineno);
     return renderEntryContext(entries, optionsMap, closestEntry, closestParsedEntry);
 }
 
+function renderFileBookingExplanation(entries, optionsMap, filename, lineno) {
+    const [closestEntry, closestParsedEntry] = findEntryAtLocation(entries, filename, lineno);
+    return renderBookingExplanation(entries, optionsMap, closestEntry, closestParsedEntry);
+}
+
 function renderEntryContext(entries, optionsMap, entry, parsedEntry = null) {
     let output = '';
     const print = (str = '') => output += str + '\n';
 
     print(`** Transaction Id --------------------------------`);
     print();
-    print(`Hash: ${hash(entry)}`);
+    print(`Hash: ${hashEntry(entry)}`);
     print(`Location: ${entry.meta.filename}:${entry.meta.lineno}`);
     print();
     print();
@@ -108,19 +110,21 @@ function renderEntryContext(entries, optionsMap, entry, parsedEntry = null) {
     // Print the unbooked transaction
     print(`** Unbooked Transaction --------------------------------`);
     print();
+    // Weights are only known once the missing numbers are filled in, so
+    // they are rendered for the booked transaction only.
     if (parsedEntry) {
-        printEntry(parsedEntry, optionsMap.dcontext, { renderWeights: true }, print);
+        print(new EntryPrinter(optionsMap.dcontext).call(parsedEntry));
     }
     print();
 
     // Print the booked transaction
     print(`** Transaction --------------------------------`);
     print();
-    printEntry(entry, optionsMap.dcontext, { renderWeights: true }, print);
+    print(new EntryPrinter(optionsMap.dcontext, true).call(entry));
     print();
 
     // Print residual and tolerances for transactions
-    if (entry.type === 'Transaction') {
+    if (entry instanceof Transaction) {
         print(`** Residual and Tolerances --------------------------------`);
         print();
         printResidualAndTolerances(entry, optionsMap, print);
@@ -134,8 +138,138 @@ function renderEntryContext(entries, optionsMap, entry, parsedEntry = null) {
     return output;
 }
 
+/**
+ * Explain how the postings of a transaction were booked: the balances of its
+ * accounts before, and for each posting held at cost, the booking method of
+ * its account, the lots it could reduce and those its cost spec matched, the
+ * lots it reduced and the cost basis realized, then the balances after.
+ * @param {Array} entries - The booked entries.
+ * @param {Object} optionsMap - An options dict as produced by the parser.
+ * @param {Transaction} entry - The booked transaction to explain.
+ * @param {Transaction} parsedEntry - The same transaction as parsed, before
+ *   booking, whose cost specs are matched against the lots.
+ * @returns {string} The explanation.
+ */
+function renderBookingExplanation(entries, optionsMap, entry, parsedEntry = null) {
+    if (!(entry instanceof Transaction)) {
+        throw new Error(`The entry at ${entry.meta.filename}:${entry.meta.lineno} is not a transaction`);
+    }
+    if (!parsedEntry) {
+        throw new Error(`The transaction at ${entry.meta.filename}:${entry.meta.lineno} could not be parsed again`);
+    }
+
+    let output = '';
+    const print = (str = '') => output += str + '\n';
+
+    const accounts = getSortedAccounts(parsedEntry);
+    const [balanceBefore, balanceAfter] = computeEntryContext(entries, entry, accounts);
+    const methods = getBookingMethods(entries, optionsMap);
+    const printer = new EntryPrinter(optionsMap.dcontext);
+
+    print(`** Unbooked Transaction --------------------------------`);
+    print();
+    print(printer.call(parsedEntry));
+    print();
+
+    print(`** Balances before transaction --------------------------------`);
+    print();
+    printBalances(balanceBefore, accounts, new Set(), {}, print);
+
+    for (const posting of parsedEntry.postings) {
+        if (posting.cost !== null) {
+            print(`** Booking of ${postingToString(posting)} --------------------------------`);
+            print();
+            printPostingBooking(entry, posting, balanceBefore.get(posting.account), methods, print);
+        }
+    }
+
+    print(`** Booked Transaction --------------------------------`);
+    print();
+    print(printer.call(entry));
+    print();
+
+    print(`** Balances after transaction --------------------------------`);
+    print();
+    printBalances(balanceAfter, accounts, new Set(), {}, print);
+
+    return output;
+}
+
 // Helper functions
 
+function findEntryAtLocation(entries, filename, lineno) {
+    // Find the closest entry
+    const closestEntry = findClosestEntry(entries, filename, lineno);
+    if (!closestEntry) {
+        throw new Error(`No entry could be found before ${filename}:${lineno}`);
+    }
+
+    // Parse the original file to get the unbooked transaction
+    let closestParsedEntry = null;
+    if (fs.existsSync(filename)) {
+        const [parsedEntries] = parseFile(filename);
+        closestParsedEntry = parsedEntries.find(entry => 
+            entry.meta && entry.meta.lineno === closestEntry.meta.lineno
+        );
+    }
+
+    return [closestEntry, closestParsedEntry];
+}
+
+function printPostingBooking(entry, posting, balance, methods, print) {
+    const { account, units, cost: costspec } = posting;
+    const method = costspec.merge ? Booking.AVERAGE : methods.get(account) || Booking.STRICT;
+    print(`Booking method: ${method}${costspec.merge ? ' (merge cost spec)' : ''}`);
+
+    if (units.number === MISSING) {
+        print('The units are inferred, so the posting cannot reduce any lot.');
+        print();
+        print();
+        return;
+    }
+    if (method === Booking.NONE || !balance.isReducedBy(units)) {
+        print('The posting does not reduce the balance: it adds a new lot.');
+        print();
+        print();
+        return;
+    }
+
+    // The lots the posting could reduce, and those its cost spec selects.
+    const costNumber = computeCostNumber(costspec, units);
+    const candidates = balance.getPositions().filter(position =>
+        position.units.currency === units.currency &&
+        !sameSign(position.units.number, units.number)
+    );
+    print('Candidate lots (* matches the cost spec):');
+    for (const position of candidates) {
+        const matched = matchesCostSpec(position, costspec, costNumber);
+        print(`  ${matched ? '*' : ' '} ${position}`);
+    }
+    print();
+
+    // The lots actually reduced, as booked.
+    const reductions = entry.postings.filter(booked =>
+        booked.account === account &&
+        booked.units.currency === units.currency &&
+        booked.cost !== null &&
+        !(booked.meta && booked.meta[AUTOMATIC_MERGE]) &&
+        sameSign(booked.units.number, units.number)
+    );
+    if (reductions.length === 0) {
+        print('No lot was reduced; see the errors for this transaction.');
+    } else {
+        print('Reduced lots:');
+        for (const booked of reductions) {
+            print(`    ${booked.units} {${booked.cost}}`);
+        }
+        const basis = new Inventory(reductions).reduce(getCost);
+        print();
+        print(`Realized cost basis: ${basis.abs()}`);
+    }
+    print();
+    print();
+}
+
 function findClosestEntry(entries, filename, lineno) {
     return entries.reduce((closest, entry) => {
         if (entry.meta && entry.meta.filename === filename && 
@@ -148,14 +282,16 @@ function findClosestEntry(entries, filename, lineno) {
 }
 
 function getSortedAccounts(entry) {
-    const accounts = getEntryAccounts(entry);
+    const accounts = [...getEntryAccounts(entry)];
     const order = {};
-    if (entry.type === 'Transaction') {
+    if (entry instanceof Transaction) {
         entry.postings.forEach((posting, index) => {
-            order[posting.account] = index;
+            if (!(posting.account in order)) {
+                order[posting.account] = index;
+            }
         });
     }
-    return accounts.sort((a, b) => (order[a] || 1000) - (order[b] || 1000));
+    return accounts.sort((a, b) => (order[a] ?? 1000) - (order[b] ?? 1000));
 }
 
 function printBalances(balances, accounts, beforeHashes, averageCosts, print) {
@@ -164,10 +300,10 @@ function printBalances(balances, accounts, beforeHashes, averageCosts, print) {
         `${changed ? '*' : ' '} ${account.padEnd(maxAccountWidth)}  ${position}`;
 
     accounts.forEach(account => {
-        const balance = balances[account];
+        const balance = balances.get(account);
         const positions = balance.getPositions();
 
-        if (balance.getCurrencies().length > 1) {
+        if (positions.length > balance.currencies().size) {
             averageCosts[account] = balance.average();
         }
 
@@ -184,6 +320,7 @@ function printBalances(balances, accounts, beforeHashes, averageCosts, print) {
 }
 
 function printAverageCosts(averageCosts, print) {
+    const maxAccountWidth = Math.max(...Object.keys(averageCosts).map(a => a.length));
     Object.entries(averageCosts).sort().forEach(([account, avgCost]) => {
         avgCost.forEach(position => {
             print(`  ${account.padEnd(maxAccountWidth)}  ${position.toString()}`);
@@ -199,7 +336,9 @@ function printResidualAndTolerances(entry, optionsMap, print) {
         print(`Residual: ${residual.toString()}`);
     }
 
-    const tolerances = inferTolerances(entry.postings, optionsMap);
+    // The tolerances inferred when booking, "*" being the default for the
+    // other currencies.
+    const tolerances = entry.meta[AUTOMATIC_TOLERANCES] || inferTolerances(entry.postings, optionsMap);
     if (Object.keys(tolerances).length > 0) {
         print(`Tolerances: ${Object.entries(tolerances).map(([k, v]) => `${k}=${v}`).join(', ')}`);
     }
@@ -215,5 +354,7 @@ function printResidualAndTolerances(entry, optionsMap, print) {
 module.exports = {
     Context,
     renderFileContext,
-    renderEntryContext
+    renderEntryContext,
+    renderFileBookingExplanation,
+    renderBookingExplanation
 };
\ No newline at end of file
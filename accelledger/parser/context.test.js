@@ -0,0 +1,36 @@
+import { afterEach, beforeEach, describe, expect, test } from "bun:test";
+import fs from "fs";
+import os from "os";
+import path from "path";
+// Imported before the loader, as Bun cannot require() the modules that
+// context.js needs while the loader's imports of them are being evaluated.
+import { renderFileContext } from "./context.js";
+import { loadFile } from "../loader.js";
+
+let directory;
+
+beforeEach(() => {
+  directory = fs.mkdtempSync(path.join(os.tmpdir(), "accelledger-context-"));
+});
+
+afterEach(() => {
+  fs.rmSync(directory, { recursive: true, force: true });
+});
+
+describe("renderFileContext", () => {
+  test("renders a transaction with an elided posting", async () => {
+    const filename = path.join(directory, "main.beancount");
+    fs.writeFileSync(
+      filename,
+      '2020-01-01 open Assets:Cash\n2020-01-01 open Expenses:Food\n2020-01-02 * "Lunch"\n  Assets:Cash  -10.50 USD\n  Expenses:Food\n'
+    );
+    const [entries, , optionsMap] = await loadFile(filename);
+    const context = renderFileContext(entries, optionsMap, filename, 3);
+
+    const unbooked = context.split("** Unbooked Transaction")[1].split("** Transaction")[0];
+    expect(unbooked).toContain("  Expenses:Food\n");
+    expect(unbooked).not.toContain(";");
+    expect(context).toContain("  Expenses:Food  10.50 USD  ; 10.50 USD\n");
+    expect(context).toContain("Tolerances: USD=0.005, *=0");
+  });
+});
@@ -1,5 +1,36 @@
 import fs from 'fs';
 import readline from 'readline';
+import { Readable } from 'stream';
+import Decimal from 'decimal.js';
+import { withExponent } from '../core/number.js';
+import { LocalDate } from '../core/date.js';
+
+// The token types recognized within a line, in order of precedence. Each
+// pattern is a sticky regular expression matched at the current position.
+const TOKEN_PATTERNS = [
+  ['STRING', /"((?:[^"\\]|\\.)*)"/y],
+  ['DATE', /(\d{4})[-/](\d{2})[-/](\d{2})(?!\d)/y],
+  ['ACCOUNT', /\p{Lu}[\p{L}\p{Nd}\-]*(?::[\p{Lu}\p{Nd}][\p{L}\p{Nd}\-]*)+/uy],
+  ['CURRENCY', /[A-Z][A-Z0-9'._\-]{0,22}[A-Z0-9](?![\w'.\-])|\/[A-Z0-9'._\-]{0,22}[A-Z](?:[A-Z0-9'._\-]{0,22}[A-Z0-9])?/y],
+  ['NUMBER', /(?:\d+(?:,\d{3})*(?:\.\d*)?|\.\d+)/y],
+  ['TAG', /#([\w\-/.]+)/y],
+  ['LINK', /\^([\w\-/.]+)/y],
+  ['KEY', /([a-z][\w\-]*):(?=\s|$)/y],
+  ['KEYWORD', /[a-z]+(?![\w\-])/y],
+  ['LCURL', /\{/y],
+  ['RCURL', /\}/y],
+  ['ATAT', /@@/y],
+  ['AT', /@/y],
+  ['COMMA', /,/y],
+  ['TILDE', /~/y],
+  ['LPAREN', /\(/y],
+  ['RPAREN', /\)/y],
+  ['PLUS', /\+/y],
+  ['MINUS', /-/y],
+  ['ASTERISK', /\*/y],
+  ['SLASH', /\//y],
+  ['FLAG', /[!&#?%PSTCURM](?=\s|$)/y],
+];
 
 class LexerError extends Error {
   constructor(source, message, entry) {
@@ -14,20 +45,201 @@ class LexBuilder {
     this.errors = [];
   }
 
-  buildLexerError(filename, lineno, message) {
+  buildLexerError(filename, lineno, message, column = null) {
     this.errors.push(new LexerError(
-      { filename, lineno }, // Simplified metadata
+      { filename, lineno, column },
       message,
       null
     ));
   }
 }
 
+/**
+ * Check whether a string literal is left open at the end of some text,
+ * ignoring quotes that appear in a trailing comment.
+ * @param {string} text - One or more lines of input.
+ * @returns {boolean} True if the text ends inside a string.
+ */
+function hasOpenString(text) {
+  let inString = false;
+  for (let pos = 0; pos < text.length; pos++) {
+    const char = text[pos];
+    if (inString && char === '\\') {
+      pos++;
+    } else if (char === '"') {
+      inString = !inString;
+    } else if (!inString && char === ';') {
+      break;
+    }
+  }
+  return inString;
+}
+
+/**
+ * Group physical lines into logical lines, joining those where a string
+ * literal continues over a newline.
+ * @param {Array} lines - The physical lines of the input.
+ * @returns {Array} A list of [index, text] pairs, where index is that of the
+ *   first physical line.
+ */
+function joinLines(lines) {
+  const logical = [];
+  let index = 0;
+  while (index < lines.length) {
+    const start = index;
+    let text = lines[index++];
+    while (index < lines.length && hasOpenString(text)) {
+      text += '\n' + lines[index++];
+    }
+    logical.push([start, text]);
+  }
+  return logical;
+}
+
+function tokenValue(type, match) {
+  switch (type) {
+    case 'STRING':
+      return match[1].replace(/\\(.)/g, (_, char) =>
+        char === 'n' ? '\n' : char === 't' ? '\t' : char
+      );
+    case 'DATE':
+      return new LocalDate(Number(match[1]), Number(match[2]), Number(match[3]));
+    case 'NUMBER': {
+      const [, fraction = ''] = match[0].split('.');
+      return withExponent(new Decimal(match[0].replace(/,/g, '')), -fraction.length);
+    }
+    case 'TAG':
+    case 'LINK':
+    case 'KEY':
+      return match[1];
+    default:
+      return match[0];
+  }
+}
+
+/**
+ * Split a logical line of input into typed tokens.
+ *
+ * Line numbers and columns are 1-based; the end position of a token is that
+ * of the character just after it. A line that starts with whitespace begins
+ * with an INDENT token, a trailing comment produces a COMMENT token, and
+ * every line ends with an EOL token. Characters that cannot start a token are
+ * reported to the builder and skipped up to the next whitespace.
+ *
+ * @param {string} text - A logical line, possibly spanning several physical
+ *   lines if it contains multi-line strings.
+ * @param {number} lineno - The line number of the first physical line.
+ * @param {LexBuilder} builder - The builder receiving lexer errors.
+ * @param {string} filename - The filename to report errors against.
+ * @returns {Array} A list of {token, lineno, column, endLineno, endColumn,
+ *   text, value} objects.
+ */
+function tokenize(text, lineno = 1, builder = null, filename = null) {
+  const tokens = [];
+  let line = lineno;
+  let lineStart = 0;
+
+  const makeToken = (token, start, end, value) => {
+    const startLine = line;
+    const startColumn = start - lineStart + 1;
+    for (let pos = start; pos < end; pos++) {
+      if (text[pos] === '\n') {
+        line++;
+        lineStart = pos + 1;
+      }
+    }
+    const tokenText = text.slice(start, end);
+    return {
+      token,
+      lineno: startLine,
+      column: startColumn,
+      endLineno: line,
+      endColumn: end - lineStart + 1,
+      text: tokenText,
+      value: value === undefined ? tokenText : value,
+    };
+  };
+
+  let pos = 0;
+  const indent = text.match(/^[ \t]+/);
+  if (indent && indent[0].length < text.replace(/\r$/, '').length) {
+    tokens.push(makeToken('INDENT', 0, indent[0].length));
+    pos = indent[0].length;
+  }
+
+  while (pos < text.length) {
+    const char = text[pos];
+    // Logical lines joined over a multi-line string contain newlines.
+    if (char === ' ' || char === '\t' || char === '\r' || char === '\n') {
+      pos++;
+      continue;
+    }
+    if (char === ';') {
+      const end = text.replace(/\r$/, '').length;
+      tokens.push(makeToken('COMMENT', pos, end));
+      pos = text.length;
+      break;
+    }
+
+    let matched = false;
+    for (const [type, regexp] of TOKEN_PATTERNS) {
+      regexp.lastIndex = pos;
+      const match = regexp.exec(text);
+      if (match) {
+        const end = regexp.lastIndex;
+        let value;
+        try {
+          value = tokenValue(type, match);
+        } catch (error) {
+          // Well-formed but invalid values, e.g. the date 2020-02-30.
+          if (builder) {
+            builder.buildLexerError(filename, line, error.message, pos - lineStart + 1);
+          }
+          tokens.push(makeToken('ERROR', pos, end));
+          pos = end;
+          matched = true;
+          break;
+        }
+        tokens.push(makeToken(type, pos, end, value));
+        pos = end;
+        matched = true;
+        break;
+      }
+    }
+    if (!matched && char === '"') {
+      // A quote that is never closed runs to the end of the input.
+      if (builder) {
+        builder.buildLexerError(filename, line, 'Unterminated string', pos - lineStart + 1);
+      }
+      tokens.push(makeToken('ERROR', pos, text.length));
+      pos = text.length;
+      break;
+    }
+    if (!matched) {
+      const invalid = (text.slice(pos).match(/^\S+/) || [char])[0];
+      if (builder) {
+        builder.buildLexerError(
+          filename,
+          line,
+          `Invalid token: "${invalid}"`,
+          pos - lineStart + 1
+        );
+      }
+      tokens.push(makeToken('ERROR', pos, pos + invalid.length));
+      pos += invalid.length;
+    }
+  }
+
+  tokens.push(makeToken('EOL', pos, pos));
+  return tokens;
+}
+
 async function* lexIter(file, builder = null) {
   if (!builder) {
     builder = new LexBuilder();
   }
 
+  const filename = typeof file === 'string' ? file : null;
   const fileStream = typeof file === 'string'
     ? fs.createReadStream(file)
     : file;
@@ -38,26 +250,45 @@ async function* lexIter(file, builder = null) {
   });
 
   let lineno = 0;
+  let pending = null;
+  let pendingLineno = 0;
 
   for await (const line of rl) {
     lineno++;
-    const words = line.split(/\s+/);
-    for (const word of words) {
-      if (word) {
-        yield { token: 'WORD', lineno, text: word, value: word };
-      }
+    if (pending === null) {
+      pending = line;
+      pendingLineno = lineno;
+    } else {
+      pending += '\n' + line;
+    }
+    if (hasOpenString(pending)) {
+      continue;
     }
+    yield* tokenize(pending, pendingLineno, builder, filename);
+    pending = null;
+  }
+
+  if (pending !== null) {
+    yield* tokenize(pending, pendingLineno, builder, filename);
   }
 }
 
 function lexIterString(string, builder = null) {
   const buffer = Buffer.from(string, 'utf8');
-  const stream = require('stream');
-  const readableStream = new stream.Readable();
+  const readableStream = new Readable();
   readableStream.push(buffer);
   readableStream.push(null);
 
   return lexIter(readableStream, builder);
 }
 
-export { LexerError, LexBuilder, lexIter, lexIterString };
\ No newline at end of file
+export {
+  TOKEN_PATTERNS,
+  LexerError,
+  LexBuilder,
+  hasOpenString,
+  joinLines,
+  tokenize,
+  lexIter,
+  lexIterString,
+};
@@ -0,0 +1,85 @@
+import { describe, expect, test } from "bun:test";
+import { LexBuilder, lexIterString, tokenize } from "./lexer.js";
+
+async function lex(string) {
+  const builder = new LexBuilder();
+  const tokens = [];
+  for await (const token of lexIterString(string, builder)) {
+    tokens.push(token);
+  }
+  return [tokens, builder.errors];
+}
+
+describe("tokenize", () => {
+  test("emits typed tokens with their spans", () => {
+    const tokens = tokenize('2020-01-02 open Assets:Cash USD ; note');
+    expect(tokens.map((token) => token.token)).toEqual([
+      "DATE",
+      "KEYWORD",
+      "ACCOUNT",
+      "CURRENCY",
+      "COMMENT",
+      "EOL",
+    ]);
+    const account = tokens[2];
+    expect([account.lineno, account.column, account.endColumn]).toEqual([1, 17, 28]);
+    expect(tokens[0].value.toString()).toBe("2020-01-02");
+  });
+
+  test("starts indented lines with an INDENT token", () => {
+    const tokens = tokenize("  Assets:Cash  10.50 USD", 3);
+    expect(tokens[0].token).toBe("INDENT");
+    expect(tokens[2].value.toFixed()).toBe("10.5");
+    expect(tokens[2].lineno).toBe(3);
+  });
+
+  test("reports invalid tokens and skips them", () => {
+    const builder = new LexBuilder();
+    const tokens = tokenize("2020-01-02 open $$$ Assets:Cash", 1, builder);
+    expect(builder.errors.map((error) => error.message)).toEqual([
+      'Invalid token: "$$$"',
+    ]);
+    expect(tokens.map((token) => token.token)).toContain("ACCOUNT");
+  });
+
+  test("reports invalid dates", () => {
+    const builder = new LexBuilder();
+    const tokens = tokenize("2020-02-30 open Assets:Cash", 1, builder);
+    expect(builder.errors[0].message).toBe("Invalid date: 2020-02-30");
+    expect(tokens[0].token).toBe("ERROR");
+  });
+
+  test("tracks lines through multi-line strings", () => {
+    const tokens = tokenize('2020-01-02 * "two\nlines" #tag', 5);
+    expect(tokens[2].value).toBe("two\nlines");
+    expect(tokens[3]).toMatchObject({ token: "TAG", lineno: 6, column: 8 });
+  });
+
+  test("reports an unterminated string", () => {
+    const builder = new LexBuilder();
+    const tokens = tokenize('2020-01-02 * "open\n  Assets:Cash  1 USD', 1, builder);
+    expect(builder.errors.map((error) => error.message)).toEqual([
+      "Unterminated string",
+    ]);
+    expect(tokens.map((token) => token.token)).toEqual([
+      "DATE",
+      "ASTERISK",
+      "ERROR",
+      "EOL",
+    ]);
+  });
+});
+
+describe("lexIterString", () => {
+  test("joins the lines of multi-line strings", async () => {
+    const [tokens, errors] = await lex('2020-01-02 note Assets:Cash "a\nb"\n2020-01-03 close Assets:Cash\n');
+    expect(errors).toEqual([]);
+    const dates = tokens.filter((token) => token.token === "DATE");
+    expect(dates.map((token) => token.lineno)).toEqual([1, 3]);
+  });
+
+  test("reports an unterminated string once at the end of the input", async () => {
+    const [, errors] = await lex('2020-01-02 * "open\n  Assets:Cash  1 USD\n');
+    expect(errors.map((error) => error.message)).toEqual(["Unterminated string"]);
+  });
+});
@@ -2,6 +2,7 @@ import { Decimal } from 'decimal.js';
 import * as data from '../core/data.js';
 import * as account_types from '../core/account_types.js';
 import * as account from '../core/account.js';
+import { DEFAULT_PRECISION, DEFAULT_ROUNDING } from '../core/number.js';
 
 
 const DEFAULT_ACCOUNT_TYPES = account_types.DEFAULT_ACCOUNT_TYPES;
@@ -47,6 +48,21 @@ function optionsValidateBookingMethod(value) {
     throw new Error(`Invalid booking method: ${value}`);
 }
 
+function optionsValidatePrecision(value) {
+    const precision = Number(value);
+    if (!Number.isInteger(precision) || precision < 1) {
+        throw new Error(`Invalid precision: ${value}`);
+    }
+    return precision;
+}
+
+function optionsValidateRounding(value) {
+    if (/^ROUND_[A-Z_]+$/.test(value) && Number.isInteger(Decimal[value])) {
+        return Decimal[value];
+    }
+    throw new Error(`Invalid rounding mode: ${value}`);
+}
+
 // Option descriptor
 class OptDesc {
     constructor(name, defaultValue, exampleValue = undefined, converter = null, deprecated = false, alias = null) {
@@ -84,7 +100,14 @@ const OUTPUT_OPTION_GROUPS = [
     `,
         options: [new OptDesc("include", [], "some-other-file.accelledger")]
     },
-    // ... (other output option groups)
+    {
+        description: `
+      A list of the plugins declared with the "plugin" directive, as pairs of
+      module name and (possibly null) configuration string, in the order they
+      appear in the input files.
+    `,
+        options: [new OptDesc("plugin", [])]
+    },
 ];
 
 const PUBLIC_OPTION_GROUPS = [
@@ -112,7 +135,104 @@ const PUBLIC_OPTION_GROUPS = [
             new OptDesc("name_expenses", DEFAULT_ACCOUNT_TYPES.expenses),
         ]
     },
-    // ... (other public option groups)
+    {
+        description: `
+      Leaf names of the equity accounts used to transfer balances and earnings
+      when summarizing periods, and of the income account that receives
+      unrealized gains. These are joined to the root equity and income names.
+    `,
+        options: [
+            new OptDesc("account_previous_balances", "Opening-Balances"),
+            new OptDesc("account_previous_earnings", "Earnings:Previous"),
+            new OptDesc("account_previous_conversions", "Conversions:Previous"),
+            new OptDesc("account_current_earnings", "Earnings:Current"),
+            new OptDesc("account_current_conversions", "Conversions:Current"),
+            new OptDesc("account_unrealized_gains", "Unrealized"),
+        ]
+    },
+    {
+        description: `
+      Leaf name of the equity account that receives the residuals of
+      transactions that balance only within their tolerance, such as the
+      sub-cent remainders of currency conversions. Booking inserts an automatic
+      posting to this account for each such residual. Unset by default, in
+      which case residuals are left as they are.
+    `,
+        options: [new OptDesc("account_rounding", null, "Rounding")]
+    },
+    {
+        description: `
+      The imaginary currency used to convert all units for conversions at a
+      degenerate rate of zero.
+    `,
+        options: [new OptDesc("conversion_currency", "NOTHING")]
+    },
+    {
+        description: `
+      Mappings of currency to the tolerance used when it cannot be inferred
+      automatically, as "CURRENCY:TOLERANCE". The special currency "*" applies
+      to all currencies without an explicit entry.
+    `,
+        options: [new OptDesc("inferred_tolerance_default", {}, "CHF:0.01", optionsValidateToleranceMap)]
+    },
+    {
+        description: `
+      A multiplier for inferred tolerances, applied to the smallest digit of
+      the numbers of a transaction.
+    `,
+        options: [new OptDesc("inferred_tolerance_multiplier", new Decimal("0.5"), "1.1", optionsValidateTolerance)]
+    },
+    {
+        description: `
+      Enable inferring tolerances from the cost and price of postings, in
+      addition to their units.
+    `,
+        options: [new OptDesc("infer_tolerance_from_cost", false, "TRUE", optionsValidateBoolean)]
+    },
+    {
+        description: `
+      The number of significant digits and the rounding mode, one of the
+      ROUND_* modes of decimal.js, of the results of arithmetic on numbers,
+      from booking to reports. Numbers read from the input are always exact.
+    `,
+        options: [
+            new OptDesc("decimal_precision", DEFAULT_PRECISION, "34", optionsValidatePrecision),
+            new OptDesc("decimal_rounding", DEFAULT_ROUNDING, "ROUND_HALF_UP", optionsValidateRounding),
+        ]
+    },
+    {
+        description: `
+      Root directories to search for documents matching the account names.
+      Relative directories are resolved against the top-level input file.
+    `,
+        options: [new OptDesc("documents", [], "/path/to/your/documents/archive")]
+    },
+    {
+        description: `
+      Currencies that the ledger is mainly kept in. Reports will render
+      columns for these currencies. This option may be given multiple times.
+    `,
+        options: [new OptDesc("operating_currency", [], "USD")]
+    },
+    {
+        description: `
+      Whether numbers are rendered with commas as thousands separators.
+    `,
+        options: [new OptDesc("render_commas", false, "TRUE", optionsValidateBoolean)]
+    },
+    {
+        description: `
+      Set to "raw" to disable the built-in plugins that run on every load.
+    `,
+        options: [new OptDesc("plugin_processing_mode", "default", "raw", optionsValidateProcessingMode)]
+    },
+    {
+        description: `
+      The default booking method used to reduce lots in accounts whose open
+      directive does not specify one.
+    `,
+        options: [new OptDesc("booking_method", data.Booking.STRICT, "FIFO", optionsValidateBookingMethod)]
+    },
 ];
 
 const OPTION_GROUPS = [...OUTPUT_OPTION_GROUPS, ...PUBLIC_OPTION_GROUPS];
@@ -160,6 +280,13 @@ function getUnrealizedAccount(options) {
     return account.join(income, options.account_unrealized_gains);
 }
 
+function getRoundingAccount(options) {
+    if (!options.account_rounding) {
+        return null;
+    }
+    return account.join(options.name_equity, options.account_rounding);
+}
+
 function listOptions() {
     let output = '';
     for (const group of PUBLIC_OPTION_GROUPS) {
@@ -186,11 +313,14 @@ export {
     getPreviousAccounts,
     getCurrentAccounts,
     getUnrealizedAccount,
+    getRoundingAccount,
     listOptions,
     optionsValidateProcessingMode,
     optionsValidatePlugin,
     optionsValidateTolerance,
     optionsValidateToleranceMap,
     optionsValidateBoolean,
-    optionsValidateBookingMethod
+    optionsValidateBookingMethod,
+    optionsValidatePrecision,
+    optionsValidateRounding
 };
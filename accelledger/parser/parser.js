@@ -1,17 +1,210 @@
-const fs = require("fs");
-const { Transaction, Posting } = require("../core/data"); // Add this line
+import fs from "fs";
+import path from "path";
+import readline from "readline";
+import Decimal from "decimal.js";
+import {
+  Booking,
+  Open,
+  Close,
+  Commodity,
+  Balance,
+  Pad,
+  Note,
+  Event,
+  Query,
+  Price,
+  Document,
+  Custom,
+  ValueType,
+  Transaction,
+  Posting,
+  newMetadata,
+} from "../core/data.js";
+import { Amount } from "../core/amount.js";
+import { MISSING, withExponent, getExponent } from "../core/number.js";
+import { CostSpec } from "../core/position.js";
+import { OPTIONS, OPTIONS_DEFAULTS, READ_ONLY_OPTIONS } from "./options.js";
+import {
+  LexBuilder,
+  hasOpenString,
+  joinLines,
+  tokenize,
+} from "./lexer.js";
+
+// Lines starting with one of these characters in the first column are
+// ignored, which allows the input to be organized with org-mode headers.
+const IGNORED_LINE_RE = /^[*:!&#?%|]/;
+
+// After a malformed entry, lines are skipped until one matching this, so that
+// its postings and metadata don't produce a cascade of spurious errors.
+const RESYNC_LINE_RE =
+  /^(?:\d{4}[-/]\d{2}[-/]\d{2}|(?:option|plugin|include|pushtag|poptag|pushmeta|popmeta)\b)/;
+
+const LAYOUT_TOKENS = new Set(["INDENT", "COMMENT", "EOL"]);
+
+// The tokens of metadata values besides numbers and amounts, with the type
+// their value is wrapped in a ValueType with, so that it prints back in the
+// same syntax; strings and dates are taken as is.
+const META_VALUE_TOKENS = {
+  STRING: null,
+  DATE: null,
+  ACCOUNT: "account",
+  CURRENCY: "currency",
+  TAG: "tag",
+  LINK: "link",
+};
+
+// Words that lex as currencies but denote constants in metadata values.
+const META_CONSTANTS = { TRUE: true, FALSE: false, NULL: null };
+
+class ParserError extends Error {
+  constructor(source, message, entry = null) {
+    super(message);
+    this.name = "ParserError";
+    this.source = source;
+    this.entry = entry;
+    // The raw input of the entry that was discarded, if any.
+    this.text = null;
+  }
+}
+
+class ParserSyntaxError extends ParserError {
+  constructor(source, message, entry = null) {
+    super(source, message, entry);
+    this.name = "ParserSyntaxError";
+  }
+}
+
+class DeprecatedError extends ParserError {
+  constructor(source, message, entry = null) {
+    super(source, message, entry);
+    this.name = "DeprecatedError";
+  }
+}
+
+/**
+ * A cursor over the tokens of a single line of input.
+ */
+class TokenStream {
+  constructor(tokens, meta) {
+    this.tokens = tokens;
+    this.meta = meta;
+    this.index = 0;
+  }
+
+  peek(type = null) {
+    const token = this.tokens[this.index] || null;
+    if (type === null || (token && token.token === type)) {
+      return token;
+    }
+    return null;
+  }
+
+  accept(type) {
+    const token = this.peek(type);
+    if (token) {
+      this.index++;
+    }
+    return token;
+  }
+
+  expect(type, what) {
+    const token = this.accept(type);
+    if (!token) {
+      const found = this.peek();
+      throw new ParserSyntaxError(
+        this.source(),
+        `Expected ${what}, found ${found ? `"${found.text}"` : "end of line"}`
+      );
+    }
+    return token.value;
+  }
+
+  expectEnd() {
+    const token = this.peek();
+    if (token) {
+      throw new ParserSyntaxError(
+        this.source(),
+        `Unexpected "${token.text}" at end of line`
+      );
+    }
+  }
+
+  // The location of the current token, for error reporting.
+  source() {
+    const token = this.peek();
+    if (!token) {
+      const last = this.tokens[this.tokens.length - 1];
+      return last
+        ? { ...this.meta, lineno: last.endLineno, column: last.endColumn }
+        : this.meta;
+    }
+    return { ...this.meta, lineno: token.lineno, column: token.column };
+  }
+}
+
+/**
+ * Tokenize a logical line for the parser, leaving out the tokens that only
+ * carry layout, and raising the first lexer error if there is one.
+ * @param {string} line - A logical line of input.
+ * @param {Object} meta - The metadata of the line, for error reporting.
+ * @returns {Array} A pair of the list of tokens and whether the line was
+ *   indented.
+ */
+function tokenizeLine(line, meta) {
+  const builder = new LexBuilder();
+  const tokens = tokenize(line, meta.lineno, builder, meta.filename);
+  if (builder.errors.length > 0) {
+    const [error] = builder.errors;
+    throw new ParserSyntaxError(
+      { ...meta, column: error.source.column },
+      error.message
+    );
+  }
+  const indented = tokens[0].token === "INDENT";
+  return [tokens.filter((token) => !LAYOUT_TOKENS.has(token.token)), indented];
+}
 
 function isPostingIncomplete(posting) {
-  return !posting.units || !posting.units.number || !posting.units.currency;
+  const { units, cost, price } = posting;
+  if (units === MISSING || units.number === MISSING || units.currency === MISSING) {
+    return true;
+  }
+  if (price !== null && (price.number === MISSING || price.currency === MISSING)) {
+    return true;
+  }
+  if (cost instanceof CostSpec) {
+    return (
+      cost.numberPer === MISSING ||
+      cost.numberTotal === MISSING ||
+      cost.currency === MISSING
+    );
+  }
+  return false;
 }
 
 function isEntryIncomplete(entry) {
-  if (entry.type === "transaction") {
+  if (entry instanceof Transaction) {
     return entry.postings.some((posting) => isPostingIncomplete(posting));
   }
   return false;
 }
 
+function createOptionsMap(filename = null) {
+  const optionsMap = {};
+  for (const [key, value] of Object.entries(OPTIONS_DEFAULTS)) {
+    if (Array.isArray(value)) {
+      optionsMap[key] = [...value];
+    } else if (value !== null && value.constructor === Object) {
+      optionsMap[key] = { ...value };
+    } else {
+      optionsMap[key] = value;
+    }
+  }
+  optionsMap.filename = filename;
+  return optionsMap;
+}
+
 function parseFile(
   filePath,
   reportFilename = null,
@@ -21,244 +214,889 @@ function parseFile(
   ...options
 ) {
   const content = fs.readFileSync(filePath, encoding);
-  return parseString(content, reportFilename, ...options);
+  return parseString(
+    content,
+    reportFilename || path.resolve(filePath),
+    false,
+    reportFirstline
+  );
+}
+
+/**
+ * Parse a file incrementally, yielding each directive as soon as it is
+ * complete. The file is read line by line, so that very large inputs are
+ * never held in memory as a whole.
+ * @param {string} filePath - The file to parse.
+ * @param {ParseBuilder} builder - The builder collecting the errors and the
+ *   options map; one reporting against the absolute filename is created if
+ *   null.
+ * @param {string} encoding - The encoding of the file.
+ * @yields {Object} The directives, in input order.
+ */
+async function* parseIter(filePath, builder = null, encoding = "utf-8") {
+  if (!builder) {
+    builder = new ParseBuilder(path.resolve(filePath));
+  }
+
+  const rl = readline.createInterface({
+    input: fs.createReadStream(filePath, { encoding }),
+    crlfDelay: Infinity,
+  });
+
+  let index = -1;
+  let pending = null;
+  let pendingIndex = 0;
+  for await (const line of rl) {
+    index++;
+    if (pending === null) {
+      pending = line;
+      pendingIndex = index;
+    } else {
+      pending += "\n" + line;
+    }
+    if (hasOpenString(pending)) {
+      continue;
+    }
+    yield* builder.parseLine(pendingIndex, pending);
+    pending = null;
+  }
+  if (pending !== null) {
+    yield* builder.parseLine(pendingIndex, pending);
+  }
+  yield* builder.finish();
 }
 
+/**
+ * Parse a string of Accelledger input into directives.
+ * @param {string} string - The input text.
+ * @param {string} reportFilename - The filename to attach to the metadata.
+ * @param {boolean} dedent - Whether to remove the common indentation first.
+ * @param {number} reportFirstline - The line number of the first line.
+ * @returns {Array} A triple of [entries, errors, optionsMap].
+ */
 function parseString(
   string,
   reportFilename = null,
   dedent = false,
+  reportFirstline = 1,
   ...options
 ) {
+  let lines = string.split("\n");
   if (dedent) {
-    string = string
-      .split("\n")
-      .map((line) => line.trim())
-      .join("\n");
+    const indents = lines
+      .filter((line) => line.trim())
+      .map((line) => line.match(/^[ \t]*/)[0].length);
+    const indent = indents.length ? Math.min(...indents) : 0;
+    lines = lines.map((line) => line.slice(indent));
   }
 
-  const lines = string.split("\n");
+  const builder = new ParseBuilder(reportFilename, reportFirstline);
   const entries = [];
-  const errors = [];
-  const optionsMap = {};
+  for (const [index, line] of joinLines(lines)) {
+    entries.push(...builder.parseLine(index, line));
+  }
+  entries.push(...builder.finish());
+  return [entries, builder.errors, builder.optionsMap];
+}
+
+/**
+ * The state of the parser over one input, fed one logical line at a time.
+ * Directives are returned once complete, that is, once a line that doesn't
+ * belong to them has been seen.
+ */
+class ParseBuilder {
+  constructor(reportFilename = null, reportFirstline = 1) {
+    this.reportFilename = reportFilename;
+    this.reportFirstline = reportFirstline;
+    this.errors = [];
+    this.optionsMap = createOptionsMap(reportFilename);
+
+    // The tags and metadata pushed by pushtag/pushmeta, with the location of
+    // the directive that pushed them.
+    this.pushed = { tags: [], meta: [] };
 
-  lines.forEach((line, index) => {
+    // The last directive parsed, to which indented lines are attached, and
+    // the raw lines it was parsed from.
+    this.parent = null;
+    this.parentLines = [];
+
+    // The error for a malformed entry whose remaining lines are being
+    // skipped.
+    this.failed = null;
+  }
+
+  /**
+   * Parse a logical line of input.
+   * @param {number} index - The index of the line from the first one.
+   * @param {string} line - The text of the line, which may span several
+   *   physical lines if it contains multi-line strings.
+   * @returns {Array} The directives completed by this line.
+   */
+  parseLine(index, line) {
+    if (this.failed) {
+      if (!RESYNC_LINE_RE.test(line)) {
+        if (line.trim()) {
+          this.failed.lines.push(line);
+        }
+        return [];
+      }
+      this.recordFailed();
+    }
+
+    // Any line that isn't indented completes the previous directive.
+    const completed =
+      /^[ \t]/.test(line) && line.trim() ? [] : this.completeParent();
+
+    const meta = newMetadata(this.reportFilename, this.reportFirstline + index);
     try {
-      const entry = parseLine(line, reportFilename, index + 1);
-      if (entry) {
-        if (entry.type === "option") {
-          optionsMap[entry.key] = entry.value;
-        } else {
-          entries.push(entry);
+      if (!line.trim() || IGNORED_LINE_RE.test(line)) {
+        return completed;
+      }
+      const [tokens, indented] = tokenizeLine(line, meta);
+      if (tokens.length === 0) {
+        return completed;
+      }
+      if (indented) {
+        if (this.parent === null) {
+          throw new ParserSyntaxError(
+            meta,
+            "Indented line without a preceding directive"
+          );
         }
+        parseIndentedLine(new TokenStream(tokens, meta), this.parent, meta);
+        this.parentLines.push(line);
+        return completed;
       }
-    } catch (error) {
-      errors.push(error);
+
+      const entry = parseDirective(
+        new TokenStream(tokens, meta),
+        meta,
+        this.optionsMap,
+        this.pushed
+      );
+      if (entry) {
+        this.parent = entry;
+        this.parentLines = [line];
+      }
+    } catch (caught) {
+      // Unexpected failures, e.g. from the lexer or from building a data
+      // object, are reported against the line like syntax errors, so that
+      // the rest of the input still loads.
+      const error =
+        caught instanceof ParserError
+          ? caught
+          : new ParserSyntaxError(meta, `Invalid line: ${caught.message}`);
+      // Discard the entry the error occurred in and skip the rest of it.
+      this.failed = { error, lines: [...this.parentLines, line] };
+      this.parent = null;
+      this.parentLines = [];
     }
-  });
+    return completed;
+  }
+
+  /**
+   * Complete the parse at the end of the input.
+   * @returns {Array} The last directive, if any.
+   */
+  finish() {
+    if (this.failed) {
+      this.recordFailed();
+    }
+    const completed = this.completeParent();
+
+    for (const { tag, meta } of this.pushed.tags) {
+      this.errors.push(
+        new ParserError(meta, `Unbalanced pushed tag: '${tag}'`)
+      );
+    }
+    for (const { key, value, meta } of this.pushed.meta) {
+      this.errors.push(
+        new ParserError(
+          meta,
+          `Unbalanced metadata key '${key}'; leftover metadata '${value}'`
+        )
+      );
+    }
+    return completed;
+  }
+
+  completeParent() {
+    const completed = [];
+    if (this.parent) {
+      applyPushed(this.parent, this.pushed);
+      completed.push(this.parent);
+    }
+    this.parent = null;
+    this.parentLines = [];
+    return completed;
+  }
+
+  recordFailed() {
+    this.failed.error.text = this.failed.lines.join("\n");
+    this.errors.push(this.failed.error);
+    this.failed = null;
+  }
+}
 
-  return [entries, errors, optionsMap];
+/**
+ * Stamp a completed directive with the currently pushed tags and metadata.
+ * Tags only apply to transactions; metadata applies to all directives, but
+ * doesn't override the directive's own, and the latest push of a key wins.
+ * @param {Object} entry - A directive just completed by the parser.
+ * @param {Object} pushed - The stacks of pushed tags and metadata.
+ */
+function applyPushed(entry, pushed) {
+  for (const { key, value } of [...pushed.meta].reverse()) {
+    if (!(key in entry.meta)) {
+      entry.meta[key] = value;
+    }
+  }
+  if (entry instanceof Transaction) {
+    for (const { tag } of pushed.tags) {
+      entry.tags.add(tag);
+    }
+  }
 }
 
-function parseLine(line, reportFilename, lineNumber) {
-  // Trim the line to remove leading/trailing whitespace
-  line = line.trim();
+function parsePushTag(stream, meta, pushed) {
+  const tag = stream.expect("TAG", "a tag");
+  stream.expectEnd();
+  pushed.tags.push({ tag, meta });
+  return null;
+}
 
-  // Check for transaction lines
-  if (/^\d{4}-\d{2}-\d{2}\s+\*/.test(line)) {
-    return parseTransaction(line);
+function parsePopTag(stream, meta, pushed) {
+  const tag = stream.expect("TAG", "a tag");
+  stream.expectEnd();
+  const index = pushed.tags.map((item) => item.tag).lastIndexOf(tag);
+  if (index === -1) {
+    throw new ParserError(meta, `Attempting to pop absent tag: '${tag}'`);
   }
+  pushed.tags.splice(index, 1);
+  return null;
+}
+
+function parsePushMeta(stream, meta, pushed) {
+  const key = stream.expect("KEY", "a metadata key");
+  const value = parseMetaValue(stream);
+  stream.expectEnd();
+  pushed.meta.push({ key, value, meta });
+  return null;
+}
 
-  // Check for posting lines
-  if (/^\s*[A-Za-z]/.test(line)) {
-    return parsePosting(line);
+function parsePopMeta(stream, meta, pushed) {
+  const key = stream.expect("KEY", "a metadata key");
+  stream.expectEnd();
+  const index = pushed.meta.map((item) => item.key).lastIndexOf(key);
+  if (index === -1) {
+    throw new ParserError(
+      meta,
+      `Attempting to pop absent metadata key: '${key}'`
+    );
   }
+  pushed.meta.splice(index, 1);
+  return null;
+}
 
-  // ... other line type checks ...
+function parseDirective(stream, meta, optionsMap, pushed) {
+  const first = stream.peek();
+  if (first.token === "KEYWORD") {
+    stream.accept("KEYWORD");
+    switch (first.value) {
+      case "option":
+        return parseOption(stream, meta, optionsMap);
+      case "plugin":
+        return parsePlugin(stream, meta, optionsMap);
+      case "include":
+        return parseInclude(stream, meta, optionsMap);
+      case "pushtag":
+        return parsePushTag(stream, meta, pushed);
+      case "poptag":
+        return parsePopTag(stream, meta, pushed);
+      case "pushmeta":
+        return parsePushMeta(stream, meta, pushed);
+      case "popmeta":
+        return parsePopMeta(stream, meta, pushed);
+      default:
+        throw new ParserSyntaxError(meta, `Unknown directive "${first.value}"`);
+    }
+  }
 
-  throw new ParserSyntaxError(`Unknown line type: ${line}`);
+  const date = stream.expect("DATE", "a date or a directive");
+  const flag = stream.accept("FLAG") || stream.accept("ASTERISK");
+  if (flag) {
+    return parseTransaction(date, flag.value, stream, meta);
+  }
+  const keyword = stream.expect("KEYWORD", "a directive or a flag");
+  if (keyword === "txn") {
+    return parseTransaction(date, "*", stream, meta);
+  }
+  switch (keyword) {
+    case "open":
+      return parseOpen(date, stream, meta);
+    case "close":
+      return parseClose(date, stream, meta);
+    case "commodity":
+      return parseCommodity(date, stream, meta);
+    case "pad":
+      return parsePad(date, stream, meta);
+    case "balance":
+      return parseBalance(date, stream, meta);
+    case "note":
+      return parseNote(date, stream, meta);
+    case "document":
+      return parseDocument(date, stream, meta);
+    case "price":
+      return parsePrice(date, stream, meta);
+    case "event":
+      return parseEvent(date, stream, meta);
+    case "query":
+      return parseQuery(date, stream, meta);
+    case "custom":
+      return parseCustom(date, stream, meta);
+    default:
+      throw new ParserSyntaxError(meta, `Unknown directive "${keyword}"`);
+  }
 }
 
-function parseTransaction(line) {
-  const [date, flag, payee, narration] = line
-    .split(/\s+(.)\s+"([^"]*)"\s+"([^"]*)"/)
-    .filter(Boolean);
-  return new Transaction(null, date, flag, payee, narration, [], [], []);
+function parseIndentedLine(stream, parent, meta) {
+  if (stream.peek("KEY")) {
+    // Metadata following a posting belongs to that posting.
+    const postings = parent instanceof Transaction ? parent.postings : [];
+    const target = postings.length ? postings[postings.length - 1] : parent;
+    const key = stream.accept("KEY").value;
+    if (key in target.meta) {
+      throw new ParserSyntaxError(meta, `Duplicate metadata key: '${key}'`);
+    }
+    target.meta[key] = parseMetaValue(stream);
+    stream.expectEnd();
+    return;
+  }
+  if (!(parent instanceof Transaction)) {
+    throw new ParserSyntaxError(
+      meta,
+      "Postings are only allowed under transactions"
+    );
+  }
+  parent.postings.push(parsePosting(stream, meta));
 }
 
-function parsePosting(line) {
-  const [account, amount, currency] = line.trim().split(/\s+/);
-  return new Posting(
-    account,
-    { number: parseFloat(amount), currency },
-    null,
-    null,
-    null,
-    null
+/**
+ * Parse the value of a metadata key, typed after its token. Strings,
+ * accounts, currencies, tags and links are kept as strings, dates as dates,
+ * numbers as Decimal, and numbers followed by a currency as Amount. TRUE and
+ * FALSE are booleans, and NULL or no value at all is null.
+ * @param {TokenStream} stream - The tokens, positioned after the key.
+ * @returns {*} The value.
+ */
+function parseMetaValue(stream) {
+  if (isExpressionStart(stream)) {
+    const number = parseExpression(stream, "a metadata value");
+    const currencyToken = stream.accept("CURRENCY");
+    return currencyToken ? new Amount(number, currencyToken.value) : number;
+  }
+  const token = stream.peek();
+  if (token === null) {
+    return null;
+  }
+  if (token.token === "CURRENCY" && token.value in META_CONSTANTS) {
+    stream.accept("CURRENCY");
+    return META_CONSTANTS[token.value];
+  }
+  for (const [type, dtype] of Object.entries(META_VALUE_TOKENS)) {
+    if (stream.accept(type)) {
+      return dtype ? new ValueType(token.value, dtype) : token.value;
+    }
+  }
+  throw new ParserSyntaxError(
+    stream.source(),
+    `Invalid metadata value "${token.text}"`
   );
 }
 
-function parseOpen(date, rest, reportFilename, lineNumber) {
-  const [account, ...currencies] = rest.split(/\s+/);
-  return {
-    type: "open",
-    date: new Date(date),
-    account,
-    currencies: currencies.length > 0 ? currencies : null,
-  };
+function parseTagsLinks(stream) {
+  const tags = new Set();
+  const links = new Set();
+  for (;;) {
+    const tag = stream.accept("TAG");
+    if (tag) {
+      tags.add(tag.value);
+      continue;
+    }
+    const link = stream.accept("LINK");
+    if (link) {
+      links.add(link.value);
+      continue;
+    }
+    return [tags, links];
+  }
 }
 
-function parseClose(date, account, reportFilename, lineNumber) {
-  return {
-    type: "close",
-    date: new Date(date),
-    account,
-  };
+function parseTransaction(date, flag, stream, meta) {
+  const strings = [];
+  while (stream.peek("STRING")) {
+    strings.push(stream.accept("STRING").value);
+  }
+  if (strings.length > 2) {
+    throw new ParserSyntaxError(
+      meta,
+      "Too many strings on transaction description"
+    );
+  }
+  const [payee, narration] =
+    strings.length === 2 ? strings : [null, strings[0] || ""];
+  const [tags, links] = parseTagsLinks(stream);
+  stream.expectEnd();
+  return new Transaction(meta, date, flag, payee, narration, tags, links, []);
 }
 
-function parseCommodity(date, currency, reportFilename, lineNumber) {
-  return {
-    type: "commodity",
-    date: new Date(date),
-    currency,
-  };
+const EXPRESSION_START_TOKENS = ["NUMBER", "LPAREN", "MINUS", "PLUS"];
+const EXPRESSION_TOKENS = new Set([
+  ...EXPRESSION_START_TOKENS,
+  "RPAREN",
+  "ASTERISK",
+  "SLASH",
+]);
+
+function isExpressionStart(stream) {
+  return EXPRESSION_START_TOKENS.some((type) => stream.peek(type));
 }
 
-function parseBalance(date, rest, reportFilename, lineNumber) {
-  const [account, amount, currency] = rest.split(/\s+/);
-  return {
-    type: "balance",
-    date: new Date(date),
-    account,
-    amount: parseFloat(amount),
-    currency,
-  };
+/**
+ * Parse and evaluate an arithmetic expression over numbers, with the usual
+ * precedence of "*" and "/" over "+" and "-", unary signs and parentheses.
+ * @param {TokenStream} stream - The tokens, positioned at the expression.
+ * @param {string} what - A description of the expected value, for errors.
+ * @returns {Decimal} The value of the expression.
+ */
+function parseExpression(stream, what = "a number") {
+  if (!isExpressionStart(stream)) {
+    stream.expect("NUMBER", what);
+  }
+  const source = stream.source();
+  const start = stream.index;
+  try {
+    return parseSum(stream);
+  } catch (error) {
+    if (!(error instanceof ExpressionError)) {
+      throw error;
+    }
+    let end = stream.index;
+    while (
+      end < stream.tokens.length &&
+      EXPRESSION_TOKENS.has(stream.tokens[end].token)
+    ) {
+      end++;
+    }
+    const text = stream.tokens
+      .slice(start, end)
+      .map((token) => token.text)
+      .join(" ")
+      .replace(/\( /g, "(")
+      .replace(/ \)/g, ")");
+    throw new ParserSyntaxError(
+      source,
+      `${error.message} in expression "${text}"`
+    );
+  }
 }
 
-function parsePad(date, rest, reportFilename, lineNumber) {
-  const [account, sourceAccount] = rest.split(/\s+/);
-  return {
-    type: "pad",
-    date: new Date(date),
-    account,
-    sourceAccount,
-  };
+// Sums keep the precision of their most precise term, as written.
+function minExponent(a, b) {
+  return Math.min(getExponent(a), getExponent(b));
+}
+
+// An error in the evaluation of an otherwise well-formed expression.
+class ExpressionError extends Error {}
+
+function parseSum(stream) {
+  let value = parseProduct(stream);
+  for (;;) {
+    if (stream.accept("PLUS")) {
+      const term = parseProduct(stream);
+      value = withExponent(value.plus(term), minExponent(value, term));
+    } else if (stream.accept("MINUS")) {
+      const term = parseProduct(stream);
+      value = withExponent(value.minus(term), minExponent(value, term));
+    } else {
+      return value;
+    }
+  }
+}
+
+function parseProduct(stream) {
+  let value = parseFactor(stream);
+  for (;;) {
+    if (stream.accept("ASTERISK")) {
+      const factor = parseFactor(stream);
+      value = withExponent(
+        value.times(factor),
+        getExponent(value) + getExponent(factor)
+      );
+    } else if (stream.accept("SLASH")) {
+      const divisor = parseFactor(stream);
+      if (divisor.isZero()) {
+        throw new ExpressionError("Division by zero");
+      }
+      value = value.div(divisor);
+    } else {
+      return value;
+    }
+  }
+}
+
+function parseFactor(stream) {
+  if (stream.accept("MINUS")) {
+    const value = parseFactor(stream);
+    return withExponent(value.negated(), getExponent(value));
+  }
+  if (stream.accept("PLUS")) {
+    return parseFactor(stream);
+  }
+  if (stream.accept("LPAREN")) {
+    const value = parseSum(stream);
+    stream.expect("RPAREN", '")"');
+    return value;
+  }
+  return stream.expect("NUMBER", "a number");
+}
+
+function parseAmountNumber(stream) {
+  return isExpressionStart(stream) ? parseExpression(stream) : MISSING;
+}
+
+// The "#" separating the per-unit and total numbers of a cost is lexed as a
+// flag.
+function peekHash(stream) {
+  const token = stream.peek("FLAG");
+  return token !== null && token.value === "#";
 }
 
-function parseNote(date, rest, reportFilename, lineNumber) {
-  const [account, ...noteContent] = rest.split(/\s+/);
-  return {
-    type: "note",
-    date: new Date(date),
+function acceptHash(stream) {
+  return peekHash(stream) ? stream.accept("FLAG") : null;
+}
+
+/**
+ * Parse a cost specification, either per-unit as "{...}" or total as
+ * "{{...}}". The amount of a per-unit cost may combine a per-unit number and
+ * a total number, as in "{10.00 # 9.95 USD}", the total being spread over the
+ * units; either number may be left out to be interpolated. A "*" component,
+ * as in "{*}", merges the lots reduced into a single lot at their average
+ * cost before reducing it.
+ * @param {TokenStream} stream - The tokens, positioned at the opening brace.
+ * @param {Object} meta - The metadata of the posting, for errors.
+ * @returns {CostSpec} The cost specification.
+ */
+function parseCostSpec(stream, meta) {
+  stream.expect("LCURL", '"{"');
+  const isTotal = stream.accept("LCURL") !== null;
+
+  let numberPer = MISSING;
+  let numberTotal = null;
+  let currency = MISSING;
+  let date = null;
+  let label = null;
+  let merge = false;
+  let components = 0;
+  while (!stream.peek("RCURL")) {
+    if (components > 0) {
+      stream.expect("COMMA", '","');
+    }
+    if (
+      isExpressionStart(stream) ||
+      stream.peek("CURRENCY") ||
+      peekHash(stream)
+    ) {
+      numberPer = parseAmountNumber(stream);
+      if (acceptHash(stream)) {
+        if (isTotal) {
+          throw new ParserSyntaxError(
+            meta,
+            "Per-unit cost may not be specified using total cost syntax"
+          );
+        }
+        numberTotal = parseAmountNumber(stream);
+      }
+      const currencyToken = stream.accept("CURRENCY");
+      if (currencyToken) {
+        currency = currencyToken.value;
+      }
+    } else if (stream.peek("DATE")) {
+      date = stream.accept("DATE").value;
+    } else if (stream.peek("STRING")) {
+      label = stream.accept("STRING").value;
+    } else if (stream.peek("ASTERISK")) {
+      stream.accept("ASTERISK");
+      if (isTotal) {
+        throw new ParserSyntaxError(
+          meta,
+          "Lots may not be merged using total cost syntax"
+        );
+      }
+      merge = true;
+    } else {
+      const found = stream.peek();
+      throw new ParserSyntaxError(
+        meta,
+        `Invalid cost component: ${found ? `"${found.text}"` : "end of line"}`
+      );
+    }
+    components++;
+  }
+  stream.accept("RCURL");
+  if (isTotal) {
+    stream.expect("RCURL", '"}"');
+    numberTotal = numberPer;
+    numberPer = null;
+  }
+  return new CostSpec(numberPer, numberTotal, currency, date, label, merge);
+}
+
+function parsePosting(stream, meta) {
+  const flagToken = stream.accept("FLAG") || stream.accept("ASTERISK");
+  const account = stream.expect("ACCOUNT", "an account");
+
+  let units = MISSING;
+  if (isExpressionStart(stream) || stream.peek("CURRENCY")) {
+    const number = parseAmountNumber(stream);
+    const currencyToken = stream.accept("CURRENCY");
+    units = new Amount(number, currencyToken ? currencyToken.value : MISSING);
+  }
+
+  let cost = null;
+  if (stream.peek("LCURL")) {
+    cost = parseCostSpec(stream, meta);
+  }
+
+  let price = null;
+  const priceToken = stream.accept("ATAT") || stream.accept("AT");
+  if (priceToken) {
+    const number = parseAmountNumber(stream);
+    const currencyToken = stream.accept("CURRENCY");
+    price = new Amount(number, currencyToken ? currencyToken.value : MISSING);
+    if (priceToken.token === "ATAT" && number !== MISSING) {
+      if (units === MISSING || units.number === MISSING) {
+        throw new ParserSyntaxError(
+          meta,
+          "Total price on a posting without units"
+        );
+      }
+      if (!units.number.isZero()) {
+        price = new Amount(number.div(units.number.abs()), price.currency);
+      }
+    }
+  }
+  stream.expectEnd();
+
+  return new Posting(
     account,
-    note: noteContent.join(" ").replace(/^"|"$/g, ""),
-  };
+    units,
+    cost,
+    price,
+    flagToken ? flagToken.value : null,
+    meta
+  );
 }
 
-function parseDocument(date, rest, reportFilename, lineNumber) {
-  const [account, ...pathParts] = rest.split(/\s+/);
-  return {
-    type: "document",
-    date: new Date(date),
+function parseOpen(date, stream, meta) {
+  const account = stream.expect("ACCOUNT", "an account");
+  const currencies = [];
+  if (stream.peek("CURRENCY")) {
+    currencies.push(stream.accept("CURRENCY").value);
+    while (stream.accept("COMMA")) {
+      currencies.push(stream.expect("CURRENCY", "a currency"));
+    }
+  }
+  let booking = null;
+  const bookingToken = stream.accept("STRING");
+  if (bookingToken) {
+    booking = Booking[bookingToken.value];
+    if (!booking) {
+      throw new ParserSyntaxError(
+        meta,
+        `Invalid booking method: "${bookingToken.value}"`
+      );
+    }
+  }
+  stream.expectEnd();
+  return new Open(
+    meta,
+    date,
     account,
-    path: pathParts.join(" ").replace(/^"|"$/g, ""),
-  };
+    currencies.length > 0 ? currencies : null,
+    booking
+  );
 }
 
-function parsePrice(date, rest, reportFilename, lineNumber) {
-  const [currency, amount, priceCurrency] = rest.split(/\s+/);
-  return {
-    type: "price",
-    date: new Date(date),
-    currency,
-    amount: parseFloat(amount),
-    priceCurrency,
-  };
+function parseClose(date, stream, meta) {
+  const account = stream.expect("ACCOUNT", "an account");
+  stream.expectEnd();
+  return new Close(meta, date, account);
 }
 
-function parseEvent(date, rest, reportFilename, lineNumber) {
-  const [name, ...value] = rest.split(/\s+/);
-  return {
-    type: "event",
-    date: new Date(date),
-    name: name.replace(/^"|"$/g, ""),
-    value: value.join(" ").replace(/^"|"$/g, ""),
-  };
+function parseCommodity(date, stream, meta) {
+  const currency = stream.expect("CURRENCY", "a currency");
+  stream.expectEnd();
+  return new Commodity(meta, date, currency);
 }
 
-function parseQuery(date, rest, reportFilename, lineNumber) {
-  const [name, ...query] = rest.split(/\s+/);
-  return {
-    type: "query",
-    date: new Date(date),
-    name: name.replace(/^"|"$/g, ""),
-    query: query.join(" ").replace(/^"|"$/g, ""),
-  };
+function parseBalance(date, stream, meta) {
+  const account = stream.expect("ACCOUNT", "an account");
+  const number = parseExpression(stream);
+  let tolerance = null;
+  if (stream.accept("TILDE")) {
+    tolerance = parseExpression(stream, "a tolerance");
+  }
+  const currency = stream.expect("CURRENCY", "a currency");
+  stream.expectEnd();
+  return new Balance(
+    meta,
+    date,
+    account,
+    new Amount(number, currency),
+    tolerance,
+    null
+  );
 }
 
-function parseCustom(date, rest, reportFilename, lineNumber) {
-  const [typeName, ...values] = rest.split(/\s+/);
-  return {
-    type: "custom",
-    date: new Date(date),
-    typeName: typeName.replace(/^"|"$/g, ""),
-    values: values.map((v) => {
-      if (v.startsWith('"') && v.endsWith('"')) {
-        return v.slice(1, -1);
-      } else if (!isNaN(v)) {
-        return parseFloat(v);
-      }
-      return v;
-    }),
-  };
+function parsePad(date, stream, meta) {
+  const account = stream.expect("ACCOUNT", "an account");
+  const sourceAccount = stream.expect("ACCOUNT", "a source account");
+  stream.expectEnd();
+  return new Pad(meta, date, account, sourceAccount);
 }
 
-function parseTransaction(line, reportFilename, lineNumber) {
-  const [date, flag, payee, narration] = line
-    .split(/\s+(.)\s+"([^"]*)"\s+"([^"]*)"/)
-    .filter(Boolean);
-  return new Transaction(null, date, flag, payee, narration, [], [], []);
+function parseNote(date, stream, meta) {
+  const account = stream.expect("ACCOUNT", "an account");
+  const comment = stream.expect("STRING", "a string");
+  const [tags, links] = parseTagsLinks(stream);
+  stream.expectEnd();
+  return new Note(meta, date, account, comment, tags, links);
 }
 
-function parseOption(line, reportFilename, lineNumber) {
-  const match = line.match(/option\s+"(.+)"\s+"(.+)"/);
-  if (!match) {
-    throw new ParserSyntaxError(
-      `Invalid option format at ${reportFilename}:${lineNumber}: ${line}`
+function parseDocument(date, stream, meta) {
+  const account = stream.expect("ACCOUNT", "an account");
+  let filename = stream.expect("STRING", "a filename");
+  const [tags, links] = parseTagsLinks(stream);
+  stream.expectEnd();
+  if (!path.isAbsolute(filename) && meta.filename) {
+    filename = path.normalize(
+      path.join(path.dirname(meta.filename), filename)
     );
   }
-  return {
-    type: "option",
-    key: match[1],
-    value: match[2],
-  };
+  return new Document(meta, date, account, filename, tags, links);
 }
 
-function parsePlugin(line, reportFilename, lineNumber) {
-  const match = line.match(/plugin\s+"(.+)"(?:\s+"(.+)")?/);
-  if (!match) {
-    throw new ParserSyntaxError(
-      `Invalid plugin format at ${reportFilename}:${lineNumber}: ${line}`
-    );
+function parsePrice(date, stream, meta) {
+  const currency = stream.expect("CURRENCY", "a currency");
+  const number = parseExpression(stream);
+  const quoteCurrency = stream.expect("CURRENCY", "a currency");
+  stream.expectEnd();
+  return new Price(meta, date, currency, new Amount(number, quoteCurrency));
+}
+
+function parseEvent(date, stream, meta) {
+  const type = stream.expect("STRING", "an event type");
+  const description = stream.expect("STRING", "an event description");
+  stream.expectEnd();
+  return new Event(meta, date, type, description);
+}
+
+function parseQuery(date, stream, meta) {
+  const name = stream.expect("STRING", "a query name");
+  const queryString = stream.expect("STRING", "a query string");
+  stream.expectEnd();
+  return new Query(meta, date, name, queryString);
+}
+
+function parseCustom(date, stream, meta) {
+  const type = stream.expect("STRING", "a custom directive type");
+  const values = [];
+  while (stream.peek()) {
+    values.push(parseCustomValue(stream));
   }
-  return {
-    type: "plugin",
-    module: match[1],
-    config: match[2] || null,
-  };
+  return new Custom(meta, date, type, values);
 }
 
-function parseInclude(line, reportFilename, lineNumber) {
-  const match = line.match(/include\s+"(.+)"/);
-  if (!match) {
-    throw new ParserSyntaxError(
-      `Invalid include format at ${reportFilename}:${lineNumber}: ${line}`
-    );
+function parseCustomValue(stream) {
+  if (isExpressionStart(stream)) {
+    const number = parseExpression(stream, "a custom value");
+    const currencyToken = stream.accept("CURRENCY");
+    return currencyToken
+      ? new ValueType(new Amount(number, currencyToken.value), "amount")
+      : new ValueType(number, "number");
   }
-  return {
-    type: "include",
-    filename: match[1],
-  };
+  const token = stream.peek();
+  if (stream.accept("STRING")) {
+    return new ValueType(token.value, "string");
+  }
+  if (stream.accept("DATE")) {
+    return new ValueType(token.value, "date");
+  }
+  if (stream.accept("ACCOUNT")) {
+    return new ValueType(token.value, "account");
+  }
+  // Booleans lex as currencies; a tag or link spelled the same is not one.
+  if (token.token === "CURRENCY" && (token.value === "TRUE" || token.value === "FALSE")) {
+    stream.accept("CURRENCY");
+    return new ValueType(token.value === "TRUE", "boolean");
+  }
+  throw new ParserSyntaxError(
+    stream.source(),
+    `Invalid custom value "${token.text}"`
+  );
+}
+
+function parseOption(stream, meta, optionsMap) {
+  const key = stream.expect("STRING", "an option name");
+  const value = stream.expect("STRING", "an option value");
+  stream.expectEnd();
+
+  const desc = OPTIONS[key];
+  if (!desc) {
+    throw new ParserError(meta, `Invalid option: "${key}"`);
+  }
+  if (READ_ONLY_OPTIONS.has(key)) {
+    throw new ParserError(meta, `Option "${key}" may not be set`);
+  }
+
+  let converted = value;
+  if (desc.converter) {
+    try {
+      converted = desc.converter(value);
+    } catch (error) {
+      throw new ParserError(
+        meta,
+        `Error for option "${key}": ${error.message}`
+      );
+    }
+  }
+
+  const current = optionsMap[key];
+  if (Array.isArray(current)) {
+    current.push(converted);
+  } else if (current !== null && current.constructor === Object) {
+    const [mapKey, mapValue] = converted;
+    current[mapKey] = mapValue;
+  } else {
+    optionsMap[key] = converted;
+  }
+  return null;
+}
+
+function parsePlugin(stream, meta, optionsMap) {
+  const name = stream.expect("STRING", "a plugin module name");
+  const configToken = stream.accept("STRING");
+  stream.expectEnd();
+  optionsMap.plugin.push([name, configToken ? configToken.value : null]);
+  return null;
+}
+
+function parseInclude(stream, meta, optionsMap) {
+  const filename = stream.expect("STRING", "a filename");
+  stream.expectEnd();
+  optionsMap.include.push(filename);
+  return null;
 }
 
 function parseDoc(expect_errors = false, allow_incomplete = false) {
@@ -267,7 +1105,7 @@ function parseDoc(expect_errors = false, allow_incomplete = false) {
       const docstring = testFunction
         .toString()
         .match(/\/\*\*([\s\S]*?)\*\//)[1];
-      const [entries, errors, optionsMap] = parseString(docstring);
+      const [entries, errors, optionsMap] = parseString(docstring, null, true);
 
       if (expect_errors && errors.length === 0) {
         throw new Error("Expected errors but none were found");
@@ -291,7 +1129,7 @@ function parseDoc(expect_errors = false, allow_incomplete = false) {
 }
 
 function parseMany(string, level = 0) {
-  const [entries, errors, optionsMap] = parseString(string);
+  const [entries, errors, optionsMap] = parseString(string, null, true);
   if (errors.length > 0) {
     throw new Error(`Parsing errors encountered: ${errors.join(", ")}`);
   }
@@ -299,7 +1137,7 @@ function parseMany(string, level = 0) {
 }
 
 function parseOne(string) {
-  const [entries, errors, _] = parseString(string);
+  const [entries, errors, _] = parseString(string, null, true);
   if (errors.length > 0) {
     throw new Error(`Parsing errors encountered: ${errors.join(", ")}`);
   }
@@ -309,32 +1147,14 @@ function parseOne(string) {
   return entries[0];
 }
 
-class ParserError extends Error {
-  constructor(message) {
-    super(message);
-    this.name = "ParserError";
-  }
-}
-
-class ParserSyntaxError extends ParserError {
-  constructor(message) {
-    super(message);
-    this.name = "ParserSyntaxError";
-  }
-}
-
-class DeprecatedError extends ParserError {
-  constructor(message) {
-    super(message);
-    this.name = "DeprecatedError";
-  }
-}
-
-module.exports = {
+export {
   isPostingIncomplete,
   isEntryIncomplete,
+  createOptionsMap,
   parseFile,
+  parseIter,
   parseString,
+  ParseBuilder,
   parseDoc,
   parseMany,
   parseOne,
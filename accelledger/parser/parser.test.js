@@ -0,0 +1,306 @@
+import { describe, expect, spyOn, test } from "bun:test";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import {
+  ParseBuilder,
+  ParserError,
+  ParserSyntaxError,
+  parseIter,
+  parseString,
+} from "./parser.js";
+
+function parse(string) {
+  return parseString(string, "<test>", true);
+}
+
+describe("error recovery", () => {
+  test("resynchronizes at the next dated line after a bad entry", () => {
+    const [entries, errors] = parse(`
+      2020-01-01 open Assets:Cash
+      2020-01-02 * "Bad" $$$
+        Assets:Cash  1 USD
+        Assets:Other
+      2020-01-03 open Assets:Other
+    `);
+    expect(entries.map((entry) => entry.constructor.name)).toEqual(["Open", "Open"]);
+    expect(errors).toHaveLength(1);
+    expect(errors[0]).toBeInstanceOf(ParserSyntaxError);
+    expect(errors[0].source.lineno).toBe(3);
+    expect(errors[0].text).toContain("Assets:Cash  1 USD");
+  });
+
+  test("recovers from an unterminated string", () => {
+    const [entries, errors] = parse(`
+      2020-01-01 open Assets:Cash
+      2020-01-02 * "unclosed
+        Assets:Cash  1 USD
+    `);
+    expect(entries).toHaveLength(1);
+    expect(errors.map((error) => error.message)).toEqual(["Unterminated string"]);
+  });
+
+  test("turns unexpected failures into syntax errors for the line", () => {
+    const builder = new ParseBuilder("<test>");
+    spyOn(builder.pushed.tags, "push").mockImplementation(() => {
+      throw new TypeError("unexpected");
+    });
+    const entries = [
+      ...builder.parseLine(0, "pushtag #trip"),
+      ...builder.parseLine(1, "2020-01-01 open Assets:Cash"),
+      ...builder.finish(),
+    ];
+    expect(entries).toHaveLength(1);
+    expect(builder.errors).toHaveLength(1);
+    expect(builder.errors[0]).toBeInstanceOf(ParserSyntaxError);
+    expect(builder.errors[0].message).toBe("Invalid line: unexpected");
+    expect(builder.errors[0].source.lineno).toBe(1);
+  });
+
+  test("reports unbalanced pushed tags", () => {
+    const [, errors] = parse(`
+      pushtag #trip
+      2020-01-01 open Assets:Cash
+    `);
+    expect(errors).toHaveLength(1);
+    expect(errors[0]).toBeInstanceOf(ParserError);
+    expect(errors[0].message).toBe("Unbalanced pushed tag: 'trip'");
+  });
+});
+
+describe("directives", () => {
+  test("parses every directive type into its class", () => {
+    const [entries, errors, optionsMap] = parse(`
+      option "title" "Test"
+      plugin "accelledger.plugins.implicit_prices" "config"
+      include "other.beancount"
+
+      ; A comment.
+      2020-01-01 open Assets:Cash USD,CAD "FIFO"
+      2020-01-01 commodity USD
+      2020-01-02 * "Shop" "Groceries" #food ^receipt
+        Assets:Cash  -10.00 USD
+        Expenses:Food
+      2020-01-03 pad Assets:Cash Equity:Opening-Balances
+      2020-01-04 balance Assets:Cash  100 USD
+      2020-01-05 note Assets:Cash "A note"
+      2020-01-06 document Assets:Cash "receipt.pdf"
+      2020-01-07 price USD 1.30 CAD
+      2020-01-08 event "location" "Paris"
+      2020-01-09 query "cash" "SELECT account"
+      2020-01-10 custom "budget" Expenses:Food "monthly" 600 USD
+      2020-12-31 close Assets:Cash
+    `);
+    expect(errors).toEqual([]);
+    expect(entries.map((entry) => entry.constructor.name)).toEqual([
+      "Open",
+      "Commodity",
+      "Transaction",
+      "Pad",
+      "Balance",
+      "Note",
+      "Document",
+      "Price",
+      "Event",
+      "Query",
+      "Custom",
+      "Close",
+    ]);
+    expect(optionsMap.title).toBe("Test");
+    expect(optionsMap.plugin).toEqual([
+      ["accelledger.plugins.implicit_prices", "config"],
+    ]);
+    expect(optionsMap.include).toEqual(["other.beancount"]);
+
+    const [open, , transaction] = entries;
+    expect(open.currencies).toEqual(["USD", "CAD"]);
+    expect(open.booking).toBe("FIFO");
+    expect(transaction.payee).toBe("Shop");
+    expect(transaction.narration).toBe("Groceries");
+    expect([...transaction.tags]).toEqual(["food"]);
+    expect([...transaction.links]).toEqual(["receipt"]);
+  });
+
+  test("groups indented postings and metadata under their transaction", () => {
+    const [[transaction], errors] = parse(`
+      2020-01-02 * "Groceries"
+        ref: "A-1"
+        Assets:Cash  -10.00 USD
+          note: "cash"
+        Expenses:Food
+    `);
+    expect(errors).toEqual([]);
+    expect(transaction.meta.ref).toBe("A-1");
+    expect(transaction.meta.lineno).toBe(2);
+    expect(transaction.postings.map((posting) => posting.account)).toEqual([
+      "Assets:Cash",
+      "Expenses:Food",
+    ]);
+    expect(transaction.postings[0].meta.note).toBe("cash");
+    expect(transaction.postings[0].units.toString()).toBe("-10 USD");
+  });
+});
+
+describe("expressions", () => {
+  function units(expression) {
+    const [entries, errors] = parse(`
+      2020-01-02 * "Split"
+        Assets:Cash  ${expression} USD
+        Expenses:Food
+    `);
+    return { units: entries.length ? entries[0].postings[0].units : null, errors };
+  }
+
+  test("respect precedence, parentheses and unary minus", () => {
+    expect(units("1 + 2 * 3").units.number.toString()).toBe("7");
+    expect(units("(1 + 2) * 3").units.number.toString()).toBe("9");
+    expect(units("-(1200 / 12)").units.number.toString()).toBe("-100");
+    expect(units("10 - -2").units.number.toString()).toBe("12");
+    expect(units("40.00 * 3").units.toString()).toBe("120 USD");
+  });
+
+  test("are evaluated exactly", () => {
+    expect(units("0.1 + 0.2").units.number.toString()).toBe("0.3");
+  });
+
+  test("are evaluated in prices and balances", () => {
+    const [entries, errors] = parse(`
+      2020-01-01 price HOOL (100 + 20) / 2 USD
+      2020-01-02 balance Assets:Cash  2 * 50 USD
+    `);
+    expect(errors).toEqual([]);
+    expect(entries.map((entry) => entry.amount.toString())).toEqual([
+      "60 USD",
+      "100 USD",
+    ]);
+  });
+
+  test("report a division by zero at the expression", () => {
+    const { errors } = units("10 / (2 - 2)");
+    expect(errors).toHaveLength(1);
+    expect(errors[0]).toBeInstanceOf(ParserSyntaxError);
+    expect(errors[0].message).toBe(
+      'Division by zero in expression "10 / (2 - 2)"'
+    );
+    expect(errors[0].source.lineno).toBe(3);
+    // The first column is 1, after the dedented "  Assets:Cash  ".
+    expect(errors[0].source.column).toBe(16);
+  });
+});
+
+describe("pushed tags and metadata", () => {
+  test("apply between their push and pop", () => {
+    const [entries, errors] = parse(`
+      pushtag #trip
+      pushmeta project: "alpha"
+      2020-01-01 open Assets:Cash
+      2020-01-02 * "Dinner" #food
+        Assets:Cash  -10 USD
+        Expenses:Food
+      pushmeta project: "beta"
+      2020-01-03 note Assets:Cash "Latest push wins"
+      2020-01-04 note Assets:Cash "Own metadata wins"
+        project: "gamma"
+      popmeta project:
+      poptag #trip
+      2020-01-05 note Assets:Cash "Earlier push"
+      popmeta project:
+      2020-01-06 * "After"
+        Assets:Cash  -1 USD
+        Expenses:Food
+    `);
+    expect(errors).toEqual([]);
+    expect(entries.map((entry) => entry.meta.project)).toEqual([
+      "alpha",
+      "alpha",
+      "beta",
+      "gamma",
+      "alpha",
+      undefined,
+    ]);
+    expect([...entries[1].tags].sort()).toEqual(["food", "trip"]);
+    expect([...entries[5].tags]).toEqual([]);
+  });
+
+  test("report a pop of an absent tag or key", () => {
+    const [, errors] = parse(`
+      poptag #trip
+      popmeta project:
+    `);
+    expect(errors.map((error) => error.message)).toEqual([
+      "Attempting to pop absent tag: 'trip'",
+      "Attempting to pop absent metadata key: 'project'",
+    ]);
+  });
+
+  test("report metadata left pushed at the end of the input", () => {
+    const [, errors] = parse(`
+      2020-01-01 open Assets:Cash
+      pushmeta project: "alpha"
+    `);
+    expect(errors).toHaveLength(1);
+    expect(errors[0].message).toBe(
+      "Unbalanced metadata key 'project'; leftover metadata 'alpha'"
+    );
+    expect(errors[0].source.lineno).toBe(3);
+  });
+});
+
+describe("parseIter", () => {
+  test("yields each directive of a file in order, with the errors", async () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), "accelledger-parser-"));
+    const filename = path.join(directory, "main.beancount");
+    fs.writeFileSync(
+      filename,
+      '2020-01-02 * "Multi\nline"\n  Assets:Cash  1 USD\n  Income:Gift\n2020-01-01 bad line\n2020-01-01 open Assets:Cash'
+    );
+    try {
+      const builder = new ParseBuilder(filename);
+      const entries = [];
+      for await (const entry of parseIter(filename, builder)) {
+        entries.push(entry);
+      }
+      expect(entries.map((entry) => entry.constructor.name)).toEqual([
+        "Transaction",
+        "Open",
+      ]);
+      expect(entries[0].narration).toBe("Multi\nline");
+      expect(entries[0].postings).toHaveLength(2);
+      expect(entries[1].meta.lineno).toBe(6);
+      expect(builder.errors).toHaveLength(1);
+      expect(builder.errors[0].source.lineno).toBe(5);
+    } finally {
+      fs.rmSync(directory, { recursive: true, force: true });
+    }
+  });
+});
+
+describe("custom directives", () => {
+  test("parse each value type", () => {
+    const [[custom], errors] = parse(`
+      2020-01-01 custom "budget" Expenses:Food "monthly" 600 USD 2 2020-02-01 TRUE FALSE
+    `);
+    expect(errors).toEqual([]);
+    expect(custom.type).toBe("budget");
+    expect(custom.values.map(({ dtype }) => dtype)).toEqual([
+      "account",
+      "string",
+      "amount",
+      "number",
+      "date",
+      "boolean",
+      "boolean",
+    ]);
+    expect(custom.values.slice(-2).map(({ value }) => value)).toEqual([true, false]);
+  });
+
+  test("reject tags and links, even spelled like booleans", () => {
+    for (const value of ["#TRUE", "^FALSE", "#trip", "^link"]) {
+      const [entries, errors] = parse(`2020-01-01 custom "x" ${value}`);
+      expect(entries).toEqual([]);
+      expect(errors.map((error) => error.message)).toEqual([
+        `Invalid custom value "${value}"`,
+      ]);
+    }
+  });
+});
@@ -1,4 +1,15 @@
 const fs = require("fs");
+const Decimal = require("decimal.js");
+const { Amount } = require("../core/amount");
+const { DisplayContext, Precision, Align } = require("../core/display_context");
+const { escapeString } = require("../utils/misc_utils");
+const { MISSING, getExponent } = require("../core/number");
+const { Cost, CostSpec } = require("../core/position");
+const { getWeight } = require("../core/convert");
+const { AUTOMATIC_RESIDUAL } = require("../core/interpolate");
+const { LocalDate } = require("../core/date");
+const { ValueType } = require("../core/data");
+
 class EntryPrinter {
   constructor(
     dcontext = null,
@@ -8,9 +19,9 @@ class EntryPrinter {
     stringifyInvalidTypes = false,
     writeSource = false
   ) {
-    this.dcontext = dcontext || new DisplayContext(); // Assuming DisplayContext is implemented
-    this.dformat = this.dcontext.build(DisplayContext.Precision.MOST_COMMON);
-    this.dformatMax = this.dcontext.build(DisplayContext.Precision.MAXIMUM);
+    this.dcontext = dcontext || new DisplayContext();
+    this.dformat = this.dcontext.build(Align.NATURAL, Precision.MOST_COMMON);
+    this.dformatMax = this.dcontext.build(Align.NATURAL, Precision.MAXIMUM);
     this.renderWeight = renderWeight;
     this.minWidthAccount = minWidthAccount;
     this.prefix = prefix || "  ";
@@ -36,13 +47,14 @@ class EntryPrinter {
         let valueStr = null;
         if (typeof value === "string") {
           valueStr = `"${escapeString(value)}"`;
-        } else if (
-          value instanceof Date ||
-          value instanceof Decimal ||
-          value instanceof Amount ||
-          value instanceof Enum
-        ) {
-          valueStr = value.toString();
+        } else if (value instanceof LocalDate) {
+          valueStr = formatDate(value);
+        } else if (Decimal.isDecimal(value)) {
+          valueStr = formatNumber(value);
+        } else if (value instanceof Amount) {
+          valueStr = formatAmount(value);
+        } else if (value instanceof ValueType) {
+          valueStr = formatMetaValueType(value);
         } else if (typeof value === "boolean") {
           valueStr = value ? "TRUE" : "FALSE";
         } else if (value === null) {
@@ -67,8 +79,221 @@ class EntryPrinter {
     oss.push(`${prefix}; source: ${renderSource(meta)}\n`);
   }
 
-  // Implement other methods (Transaction, Posting, Balance, etc.) here
-  // ...
+  Transaction(entry, oss) {
+    const strings = [];
+    if (entry.payee !== null) {
+      strings.push(`"${escapeString(entry.payee)}"`);
+    }
+    if (entry.narration !== null) {
+      strings.push(`"${escapeString(entry.narration)}"`);
+    }
+    for (const tag of [...(entry.tags || [])].sort()) {
+      strings.push(`#${tag}`);
+    }
+    for (const link of [...(entry.links || [])].sort()) {
+      strings.push(`^${link}`);
+    }
+    const flag = entry.flag || "*";
+    oss.push(`${formatDate(entry.date)} ${flag} ${strings.join(" ")}`.trimEnd());
+    oss.push("\n");
+    this.writeMetadata(entry.meta, oss);
+
+    const rows = entry.postings.map((posting) => [
+      `${posting.flag ? `${posting.flag} ` : ""}${posting.account}`,
+      formatPosition(posting),
+      posting,
+    ]);
+    const width = Math.max(
+      this.minWidthAccount || 0,
+      ...rows.map(([account]) => account.length)
+    );
+    for (const [account, position, posting] of rows) {
+      let line = `${this.prefix}${account.padEnd(width)}  ${position}`;
+      const comments = [];
+      if (this.renderWeight && posting.units.number !== MISSING) {
+        comments.push(formatAmount(getWeight(posting)));
+      }
+      // Postings inserted by booking to absorb a residual are not written
+      // by the user; say so, since their metadata isn't rendered.
+      if (posting.meta && posting.meta[AUTOMATIC_RESIDUAL]) {
+        comments.push("rounding");
+      }
+      if (comments.length > 0) {
+        line += `  ; ${comments.join(", ")}`;
+      }
+      oss.push(`${line.trimEnd()}\n`);
+      this.writeMetadata(posting.meta, oss, this.prefix.repeat(2));
+    }
+  }
+
+  Open(entry, oss) {
+    const parts = [formatDate(entry.date), "open", entry.account];
+    if (entry.currencies && entry.currencies.length > 0) {
+      parts.push(entry.currencies.join(","));
+    }
+    if (entry.booking) {
+      parts.push(`"${entry.booking}"`);
+    }
+    this.writeLine(parts, entry.meta, oss);
+  }
+
+  Close(entry, oss) {
+    this.writeLine([formatDate(entry.date), "close", entry.account], entry.meta, oss);
+  }
+
+  Commodity(entry, oss) {
+    this.writeLine([formatDate(entry.date), "commodity", entry.currency], entry.meta, oss);
+  }
+
+  Balance(entry, oss) {
+    const parts = [formatDate(entry.date), "balance", entry.account];
+    if (entry.tolerance) {
+      parts.push(
+        `${formatNumber(entry.amount.number)} ~ ${formatNumber(entry.tolerance)}`,
+        entry.amount.currency
+      );
+    } else {
+      parts.push(formatAmount(entry.amount));
+    }
+    this.writeLine(parts, entry.meta, oss);
+  }
+
+  Pad(entry, oss) {
+    this.writeLine(
+      [formatDate(entry.date), "pad", entry.account, entry.sourceAccount],
+      entry.meta,
+      oss
+    );
+  }
+
+  Note(entry, oss) {
+    this.writeLine(
+      [formatDate(entry.date), "note", entry.account, `"${escapeString(entry.comment)}"`],
+      entry.meta,
+      oss
+    );
+  }
+
+  Event(entry, oss) {
+    this.writeLine(
+      [
+        formatDate(entry.date),
+        "event",
+        `"${escapeString(entry.type)}"`,
+        `"${escapeString(entry.description)}"`,
+      ],
+      entry.meta,
+      oss
+    );
+  }
+
+  Query(entry, oss) {
+    this.writeLine(
+      [
+        formatDate(entry.date),
+        "query",
+        `"${escapeString(entry.name)}"`,
+        `"${escapeString(entry.queryString)}"`,
+      ],
+      entry.meta,
+      oss
+    );
+  }
+
+  Price(entry, oss) {
+    this.writeLine(
+      [formatDate(entry.date), "price", entry.currency, formatAmount(entry.amount)],
+      entry.meta,
+      oss
+    );
+  }
+
+  Document(entry, oss) {
+    this.writeLine(
+      [formatDate(entry.date), "document", entry.account, `"${escapeString(entry.filename)}"`],
+      entry.meta,
+      oss
+    );
+  }
+
+  Custom(entry, oss) {
+    const values = entry.values.map(({ value, dtype }) => {
+      switch (dtype) {
+        case "string":
+          return `"${escapeString(value)}"`;
+        case "date":
+          return formatDate(value);
+        case "boolean":
+          return value ? "TRUE" : "FALSE";
+        case "number":
+          return formatNumber(value);
+        case "amount":
+          return formatAmount(value);
+        default:
+          return String(value);
+      }
+    });
+    this.writeLine(
+      [formatDate(entry.date), "custom", `"${escapeString(entry.type)}"`, ...values],
+      entry.meta,
+      oss
+    );
+  }
+
+  // Write a single-line directive followed by its metadata.
+  writeLine(parts, meta, oss) {
+    oss.push(`${parts.join(" ")}\n`);
+    this.writeMetadata(meta, oss);
+  }
+}
+
+function formatDate(date) {
+  return date.toString();
+}
+
+// Render a number with the number of fractional digits it was written with.
+function formatNumber(number) {
+  if (number === MISSING || number === null) {
+    return "";
+  }
+  return number.toFixed(Math.max(0, -getExponent(number)));
+}
+
+// Render an account, currency, tag or link metadata value.
+function formatMetaValueType({ value, dtype }) {
+  switch (dtype) {
+    case "tag":
+      return `#${value}`;
+    case "link":
+      return `^${value}`;
+    default:
+      return String(value);
+  }
+}
+
+function formatAmount(amount) {
+  return `${formatNumber(amount.number)} ${amount.currency}`.trim();
+}
+
+// Render the units, cost and price of a posting as they would be written.
+function formatPosition(posting) {
+  const { units, cost, price } = posting;
+  const parts = [];
+  if (units !== MISSING && units !== null) {
+    parts.push(formatAmount(units));
+  }
+  if (cost instanceof Cost) {
+    const components = [formatAmount(cost)];
+    if (cost.date) components.push(formatDate(cost.date));
+    if (cost.label) components.push(`"${escapeString(cost.label)}"`);
+    parts.push(`{${components.join(", ")}}`);
+  } else if (cost instanceof CostSpec) {
+    parts.push(`{${cost}}`);
+  }
+  if (price !== null && price !== MISSING) {
+    parts.push(`@ ${formatAmount(price)}`);
+  }
+  return parts.join(" ");
 }
 function renderSource(meta) {
   return `${meta.filename}:${meta.lineno}:`;
@@ -86,6 +311,14 @@ function formatError(error) {
         .map((line) => "   " + line)
         .join("\n") +
       "\n";
+  } else if (error.text) {
+    output +=
+      "\n" +
+      error.text
+        .split("\n")
+        .map((line) => "   " + line)
+        .join("\n") +
+      "\n";
   }
   return output;
 }
@@ -141,35 +374,7 @@ function alignPositionStrings(strings) {
 }
 
 function formatEntry(entry) {
-  if (!entry || typeof entry !== 'object') {
-    return `YYYY-MM-DD Unknown entry type: ${typeof entry}\n`;
-  }
-
-  let formattedEntry = "";
-
-  // Format date
-  if (entry.date && entry.date instanceof Date) {
-    formattedEntry += entry.date.toISOString().split("T")[0] + " ";
-  } else {
-    formattedEntry += "YYYY-MM-DD ";
-  }
-
-  // Format different entry types
-  switch (entry.type) {
-    case "balance":
-      formattedEntry += `balance ${entry.account} ${entry.amount} ${entry.currency}\n`;
-      break;
-    case "transaction":
-      formattedEntry += `* "${entry.payee}" "${entry.narration}"\n`;
-      entry.postings.forEach(posting => {
-        formattedEntry += `  ${posting.account}  ${posting.units.number} ${posting.units.currency}\n`;
-      });
-      break;
-    default:
-      formattedEntry += `Unknown entry type: ${entry.type}\n`;
-  }
-
-  return formattedEntry;
+  return new EntryPrinter().call(entry);
 }
 
 module.exports = {
@@ -181,4 +386,5 @@ module.exports = {
   printErrors,
   printEntries,  // Add this line
   alignPositionStrings,
+  formatPosition,
 };
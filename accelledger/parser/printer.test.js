@@ -0,0 +1,22 @@
+import { describe, expect, test } from "bun:test";
+import { parseString } from "./parser.js";
+import { formatEntry } from "./printer.js";
+
+describe("metadata", () => {
+  test("prints back each value type in its own syntax", () => {
+    const input = `2020-01-01 open Assets:Cash
+  string: "Cash on hand"
+  date: 2020-01-02
+  account: Assets:Bank
+  currency: USD
+  tag: #trip
+  link: ^invoice-12
+  number: 12.50
+  amount: 10.00 USD
+  flag: TRUE
+`;
+    const [entries, errors] = parseString(input, "<test>");
+    expect(errors).toEqual([]);
+    expect(formatEntry(entries[0])).toBe(input);
+  });
+});
@@ -0,0 +1,48 @@
+/**
+ * Insert an Open directive for every account used without one, dated at the
+ * first use of the account. This is enabled by "check --auto" and is handy
+ * for quick scripts and trying things out.
+ */
+
+import { Open, newMetadata, sortEntries } from "../core/data.js";
+import { getAccountsUseMap } from "../core/getters.js";
+
+const __plugins__ = ["autoInsertOpen"];
+
+/**
+ * Insert Open directives for the accounts that have none.
+ *
+ * @param {Array} entries - A list of directives.
+ * @param {Object} unusedOptionsMap - A parser options dict.
+ * @returns {Array} A list of entries, possibly with more Open entries than
+ *   before, and a list of errors.
+ */
+function autoInsertOpen(entries, unusedOptionsMap) {
+  const openedAccounts = new Set(
+    entries
+      .filter((entry) => entry instanceof Open)
+      .map((entry) => entry.account)
+  );
+
+  const [accountsFirst] = getAccountsUseMap(entries);
+  const newEntries = Object.keys(accountsFirst)
+    .sort()
+    .filter((account) => !openedAccounts.has(account))
+    .map(
+      (account, index) =>
+        new Open(
+          newMetadata("<auto_accounts>", index),
+          accountsFirst[account],
+          account,
+          null,
+          null
+        )
+    );
+
+  if (newEntries.length === 0) {
+    return [entries, []];
+  }
+  return [sortEntries([...newEntries, ...entries]), []];
+}
+
+export { __plugins__, autoInsertOpen };
@@ -0,0 +1,109 @@
+/**
+ * Synthesize Price directives from the prices and costs of postings, so that
+ * holdings can be valued without writing price directives by hand. Enable it
+ * with:
+ *
+ *   plugin "accelledger.plugins.implicit_prices"
+ *
+ * A posting price, e.g. "-5 HOOL {100 USD} @ 130 USD", gives a price of 130
+ * USD for HOOL, and the cost of a posting adding to a lot, e.g.
+ * "10 HOOL {100 USD}", gives a price of 100 USD; reductions are at the cost
+ * of a past lot and are not a price observation, nor is the average cost of
+ * lots merged by a "{*}" cost spec. The new entries have the
+ * location of their transaction, with METADATA_FIELD telling which of the two
+ * they came from. No price is added for a day and pair of currencies that
+ * already have an explicit price directive.
+ */
+
+import { Price, Transaction, newMetadata, sortEntries } from "../core/data.js";
+import { Amount } from "../core/amount.js";
+import { AUTOMATIC_MERGE } from "../core/interpolate.js";
+import { Inventory, MatchResult } from "../core/inventory.js";
+
+const __plugins__ = ["addImplicitPrices"];
+
+// The metadata key set on the synthesized entries; its value is "from_price"
+// or "from_cost".
+const METADATA_FIELD = "__implicit_prices__";
+
+/**
+ * Add Price directives for the prices and augmenting costs of postings.
+ *
+ * @param {Array} entries - A list of directives.
+ * @param {Object} unusedOptionsMap - A parser options dict.
+ * @returns {Array} A list of entries, possibly with more Price entries than
+ *   before, and a list of errors.
+ */
+function addImplicitPrices(entries, unusedOptionsMap) {
+  const priceKey = (date, currency, amount) =>
+    `${date},${currency},${amount.currency}`;
+
+  const explicitKeys = new Set(
+    entries
+      .filter((entry) => entry instanceof Price)
+      .map((entry) => priceKey(entry.date, entry.currency, entry.amount))
+  );
+
+  // Implicit prices are only deduplicated when they are equal; different
+  // prices on the same day are all kept.
+  const implicitKeys = new Set();
+  const newEntries = [];
+  const balances = new Map();
+
+  for (const entry of entries) {
+    if (!(entry instanceof Transaction)) continue;
+
+    for (const posting of entry.postings) {
+      let amount = null;
+      let source = null;
+      if (posting.price !== null) {
+        amount = posting.price;
+        source = "from_price";
+      }
+
+      if (posting.cost !== null) {
+        if (!balances.has(posting.account)) {
+          balances.set(posting.account, new Inventory());
+        }
+        const [, booking] = balances.get(posting.account).addPosition(posting);
+        const augments =
+          booking === MatchResult.CREATED || booking === MatchResult.AUGMENTED;
+        if (amount === null && augments && posting.cost.number !== null) {
+          amount = new Amount(posting.cost.number, posting.cost.currency);
+          source = "from_cost";
+        }
+      }
+
+      // The merge postings still go through the inventory above, so that the
+      // reduction of the merged lot is not taken for an augmentation.
+      if (posting.meta && posting.meta[AUTOMATIC_MERGE]) continue;
+      if (amount === null || amount.number === null) continue;
+      const currency = posting.units.currency;
+      if (currency === amount.currency) continue;
+
+      const key = priceKey(entry.date, currency, amount);
+      if (explicitKeys.has(key)) continue;
+      const implicitKey = `${key},${amount.number.toString()}`;
+      if (implicitKeys.has(implicitKey)) continue;
+      implicitKeys.add(implicitKey);
+
+      newEntries.push(
+        new Price(
+          newMetadata(entry.meta.filename, entry.meta.lineno, {
+            [METADATA_FIELD]: source,
+          }),
+          entry.date,
+          currency,
+          amount
+        )
+      );
+    }
+  }
+
+  if (newEntries.length === 0) {
+    return [entries, []];
+  }
+  return [sortEntries([...entries, ...newEntries]), []];
+}
+
+export { __plugins__, METADATA_FIELD, addImplicitPrices };
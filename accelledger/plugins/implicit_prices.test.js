@@ -0,0 +1,111 @@
+import { describe, expect, test } from "bun:test";
+import { loadString } from "../loader.js";
+import { Price } from "../core/data.js";
+import { METADATA_FIELD } from "./implicit_prices.js";
+
+async function implicitPrices(ledger) {
+  const [entries, errors] = await loadString(
+    `plugin "accelledger.plugins.implicit_prices"\n${ledger}`
+  );
+  expect(errors).toEqual([]);
+  return entries
+    .filter((entry) => entry instanceof Price)
+    .map((entry) => [
+      `${entry.date} ${entry.currency} ${entry.amount}`,
+      entry.meta[METADATA_FIELD] || null,
+    ]);
+}
+
+describe("implicit prices", () => {
+  test("adds prices from posting prices and augmenting costs", async () => {
+    const prices = await implicitPrices(`
+2020-01-01 open Assets:Broker
+2020-01-01 open Assets:Cash
+2020-01-01 open Income:Gains
+2020-01-02 * "Buy"
+  Assets:Broker  10 HOOL {100 USD}
+  Assets:Cash
+2020-01-03 * "Exchange"
+  Assets:Cash  -130 USD @ 1.30 CAD
+  Assets:Cash  169 CAD
+2020-01-04 * "Sell"
+  Assets:Broker  -5 HOOL {100 USD} @ 120 USD
+  Assets:Cash  600 USD
+  Income:Gains
+`);
+    expect(prices).toEqual([
+      ["2020-01-02 HOOL 100 USD", "from_cost"],
+      ["2020-01-03 USD 1.3 CAD", "from_price"],
+      ["2020-01-04 HOOL 120 USD", "from_price"],
+    ]);
+  });
+
+  test("does not take the cost of a reduction as a price", async () => {
+    const prices = await implicitPrices(`
+2020-01-01 open Assets:Broker
+2020-01-01 open Assets:Cash
+2020-01-02 * "Buy"
+  Assets:Broker  10 HOOL {100 USD}
+  Assets:Cash
+2020-03-01 * "Sell"
+  Assets:Broker  -5 HOOL {100 USD}
+  Assets:Cash
+`);
+    expect(prices).toEqual([["2020-01-02 HOOL 100 USD", "from_cost"]]);
+  });
+
+  test("does not take the average cost of merged lots as a price", async () => {
+    const prices = await implicitPrices(`
+2020-01-01 open Assets:Broker
+2020-01-01 open Assets:Cash
+2020-01-02 * "Buy"
+  Assets:Broker  10 HOOL {100 USD}
+  Assets:Cash
+2020-01-03 * "Buy"
+  Assets:Broker  10 HOOL {120 USD}
+  Assets:Cash
+2020-03-01 * "Sell"
+  Assets:Broker  -5 HOOL {*}
+  Assets:Cash
+`);
+    expect(prices).toEqual([
+      ["2020-01-02 HOOL 100 USD", "from_cost"],
+      ["2020-01-03 HOOL 120 USD", "from_cost"],
+    ]);
+  });
+
+  test("leaves out prices that have an explicit directive", async () => {
+    const prices = await implicitPrices(`
+2020-01-01 open Assets:Broker
+2020-01-01 open Assets:Cash
+2020-01-02 price HOOL 101 USD
+2020-01-02 * "Buy"
+  Assets:Broker  10 HOOL {100 USD}
+  Assets:Cash
+2020-01-02 * "Buy"
+  Assets:Broker  10 HOOL {100 USD}
+  Assets:Cash
+`);
+    expect(prices).toEqual([["2020-01-02 HOOL 101 USD", null]]);
+  });
+
+  test("adds equal prices of a day only once", async () => {
+    const prices = await implicitPrices(`
+2020-01-01 open Assets:Broker
+2020-01-01 open Assets:Cash
+2020-01-02 * "Buy"
+  Assets:Broker  10 HOOL {100 USD}
+  Assets:Cash
+2020-01-02 * "Buy"
+  Assets:Broker  5 HOOL {100 USD}
+  Assets:Cash
+2020-01-02 * "Buy"
+  Assets:Broker  5 HOOL {105 USD}
+  Assets:Cash
+`);
+    expect(prices).toEqual([
+      ["2020-01-02 HOOL 100 USD", "from_cost"],
+      ["2020-01-02 HOOL 105 USD", "from_cost"],
+    ]);
+  });
+});
@@ -0,0 +1,134 @@
+/**
+ * Price sources, the modules that fetch the price of a commodity.
+ *
+ * The sources of a commodity are declared by the "price" metadata of its
+ * Commodity directive, as in bean-price:
+ *
+ *   2020-01-01 commodity HOOL
+ *     price: "USD:file/prices/hool.csv,exec/./quote.sh HOOL CAD:file/hool-cad.json"
+ *
+ * Each quote currency is followed by a colon and a comma-separated list of
+ * sources, tried in order until one returns a price. A source is written as
+ * the name of its module, a slash, and a ticker whose meaning is up to the
+ * source. The names of the built-in sources from the "sources" directory are
+ * short, e.g. "file"; other names are resolved like plugins, relative to the
+ * directory of the input for paths. A path ends at its last slash, so the
+ * ticker of a source named by a path can't have one, e.g.
+ * "./sources/quote.js/HOOL".
+ *
+ * A source module exports two functions, which may be async:
+ *
+ *   getLatestPrice(ticker, context)
+ *   getHistoricalPrice(ticker, date, context)
+ *
+ * where context has the filename of the input and its directory, which
+ * relative paths in tickers are resolved against. Both return a SourcePrice,
+ * or null if the source has no price, and throw on failures.
+ */
+
+import fs from "fs";
+import { fileURLToPath } from "url";
+import { D, withExponent } from "../core/number.js";
+import { resolvePlugin } from "../loader.js";
+
+const QUOTE_SPEC_RE = /\s+(?=[A-Z][A-Z0-9'._\-]*:)/;
+const SOURCE_SPEC_RE = /,(?=[\w.\-]*\/)/;
+const PSOURCE_RE = /^([A-Z][A-Z0-9'._\-]*):(.+)$/s;
+const PATH_SOURCE_RE = /^(\.{0,2}\/.*)\/([^/]+)$/s;
+const SOURCE_RE = /^([\w.\-]+)\/(.+)$/s;
+
+class SourcePrice {
+  /**
+   * @param {Decimal} number - The price.
+   * @param {LocalDate} date - The date of the price.
+   * @param {string} currency - The quote currency of the price, or null if
+   *   the source doesn't tell and it is that of the price spec.
+   */
+  constructor(number, date, currency = null) {
+    this.number = number;
+    this.date = date;
+    this.currency = currency;
+  }
+}
+
+/**
+ * Parse a number as written by a source, keeping the digits it was written
+ * with, e.g. "130.50".
+ * @param {string} string - The number.
+ * @returns {Decimal} The number.
+ */
+function parseNumber(string) {
+  const text = String(string).trim();
+  if (!/^[+-]?(?:\d[\d,]*(?:\.\d*)?|\.\d+)$/.test(text)) {
+    throw new Error(`Invalid price: "${text}"`);
+  }
+  const [, fraction = ""] = text.split(".");
+  return withExponent(D(text), -fraction.length);
+}
+
+/**
+ * Parse the "price" metadata of a commodity.
+ * @param {string} spec - The value of the metadata.
+ * @returns {Array} A list of {quoteCurrency, sources} objects, where sources
+ *   is a list of {name, ticker} objects in the order they are to be tried.
+ */
+function parsePriceSpec(spec) {
+  return spec
+    .trim()
+    .split(QUOTE_SPEC_RE)
+    .map((quoteSpec) => {
+      const match = PSOURCE_RE.exec(quoteSpec);
+      if (!match) {
+        throw new Error(`Invalid price source: "${quoteSpec}"`);
+      }
+      const [, quoteCurrency, sourcesSpec] = match;
+      const sources = sourcesSpec.split(SOURCE_SPEC_RE).map((sourceSpec) => {
+        const sourceMatch =
+          PATH_SOURCE_RE.exec(sourceSpec.trim()) ||
+          SOURCE_RE.exec(sourceSpec.trim());
+        if (!sourceMatch) {
+          throw new Error(`Invalid price source: "${sourceSpec}"`);
+        }
+        return { name: sourceMatch[1], ticker: sourceMatch[2] };
+      });
+      return { quoteCurrency, sources };
+    });
+}
+
+const sourceModules = new Map();
+
+/**
+ * Import the module of a source.
+ * @param {string} name - The name of the source.
+ * @param {string} filename - The input file, which names of sources are
+ *   resolved from.
+ * @returns {Object} The module.
+ */
+async function importSource(name, filename = null) {
+  const builtin = new URL(`./sources/${name}.js`, import.meta.url);
+  const moduleName =
+    /^[\w\-]+$/.test(name) && fs.existsSync(fileURLToPath(builtin))
+      ? `accelledger.prices.sources.${name}`
+      : name;
+  const url = resolvePlugin(moduleName, filename);
+  if (!sourceModules.has(url)) {
+    sourceModules.set(url, await import(url));
+  }
+  return sourceModules.get(url);
+}
+
+/**
+ * Fetch a price from a single source.
+ * @param {Object} source - A {name, ticker} object.
+ * @param {LocalDate} date - The date of the price, or null for the latest.
+ * @param {Object} context - The context passed to the source.
+ * @returns {SourcePrice} The price, or null if the source has none.
+ */
+async function fetchPrice(source, date, context) {
+  const module = await importSource(source.name, context.filename);
+  return date === null
+    ? await module.getLatestPrice(source.ticker, context)
+    : await module.getHistoricalPrice(source.ticker, date, context);
+}
+
+export { SourcePrice, parseNumber, parsePriceSpec, importSource, fetchPrice };
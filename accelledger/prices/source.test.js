@@ -0,0 +1,154 @@
+import { afterEach, beforeEach, describe, expect, test } from "bun:test";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { LocalDate } from "../core/date.js";
+import { getExponent } from "../core/number.js";
+import { fetchPrice, parseNumber, parsePriceSpec } from "./source.js";
+
+describe("parsePriceSpec", () => {
+  test("parses the sources of each quote currency, in order", () => {
+    expect(
+      parsePriceSpec("USD:file/prices/hool.csv,exec/./quote.sh HOOL CAD:file/hool-cad.json")
+    ).toEqual([
+      {
+        quoteCurrency: "USD",
+        sources: [
+          { name: "file", ticker: "prices/hool.csv" },
+          { name: "exec", ticker: "./quote.sh HOOL" },
+        ],
+      },
+      {
+        quoteCurrency: "CAD",
+        sources: [{ name: "file", ticker: "hool-cad.json" }],
+      },
+    ]);
+  });
+
+  test("ends the names of sources given as paths at their last slash", () => {
+    expect(
+      parsePriceSpec("USD:./sources/quote.js/HOOL,/opt/quote.js/HOOL X,file/hool.csv")
+    ).toEqual([
+      {
+        quoteCurrency: "USD",
+        sources: [
+          { name: "./sources/quote.js", ticker: "HOOL" },
+          { name: "/opt/quote.js", ticker: "HOOL X" },
+          { name: "file", ticker: "hool.csv" },
+        ],
+      },
+    ]);
+  });
+
+  test("rejects a spec without a quote currency or a source name", () => {
+    expect(() => parsePriceSpec("file/hool.csv")).toThrow(
+      'Invalid price source: "file/hool.csv"'
+    );
+    expect(() => parsePriceSpec("USD:hool.csv")).toThrow(
+      'Invalid price source: "hool.csv"'
+    );
+  });
+});
+
+describe("parseNumber", () => {
+  test("keeps the digits the number is written with", () => {
+    const number = parseNumber(" 1,130.50 ");
+    expect(number.toString()).toBe("1130.5");
+    expect(getExponent(number)).toBe(-2);
+  });
+
+  test("rejects text that is not a number", () => {
+    expect(() => parseNumber("N/A")).toThrow('Invalid price: "N/A"');
+  });
+});
+
+describe("sources", () => {
+  let directory;
+  let context;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), "accelledger-source-"));
+    context = { filename: path.join(directory, "main.beancount"), directory };
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  const date = (string) => LocalDate.fromString(string);
+
+  test("file reads the prices of a CSV file", async () => {
+    fs.writeFileSync(
+      path.join(directory, "hool.csv"),
+      "Price,Date,Currency\n130.50,2020-01-03,USD\n120,2020-01-01,USD\n"
+    );
+    const source = { name: "file", ticker: "hool.csv" };
+
+    const latest = await fetchPrice(source, null, context);
+    expect([String(latest.date), latest.number.toString(), latest.currency]).toEqual([
+      "2020-01-03",
+      "130.5",
+      "USD",
+    ]);
+    const historical = await fetchPrice(source, date("2020-01-02"), context);
+    expect(String(historical.date)).toBe("2020-01-01");
+    expect(await fetchPrice(source, date("2019-12-31"), context)).toBeNull();
+  });
+
+  test("file reads the prices of a JSON file", async () => {
+    fs.writeFileSync(
+      path.join(directory, "hool.json"),
+      JSON.stringify([{ date: "2020-01-01", price: "99.5" }])
+    );
+    const price = await fetchPrice({ name: "file", ticker: "hool.json" }, null, context);
+    expect(price.number.toString()).toBe("99.5");
+    expect(price.currency).toBeNull();
+  });
+
+  test("exec runs a command with the date as its last argument", async () => {
+    fs.writeFileSync(
+      path.join(directory, "quote.sh"),
+      'if [ -n "$2" ]; then echo "$2 130.50 $1"; else echo "99"; fi\n'
+    );
+    const source = { name: "exec", ticker: "sh quote.sh CAD" };
+
+    const historical = await fetchPrice(source, date("2020-01-02"), context);
+    expect([String(historical.date), historical.number.toString(), historical.currency]).toEqual([
+      "2020-01-02",
+      "130.5",
+      "CAD",
+    ]);
+    const latest = await fetchPrice(source, null, context);
+    expect(latest.date.equals(LocalDate.today())).toBe(true);
+    expect(latest.currency).toBeNull();
+  });
+
+  test("loads a source module relative to the input", async () => {
+    fs.mkdirSync(path.join(directory, "sources"));
+    fs.writeFileSync(
+      path.join(directory, "sources", "quote.js"),
+      `import { LocalDate } from ${JSON.stringify(new URL("../core/date.js", import.meta.url).href)};
+import { SourcePrice, parseNumber } from ${JSON.stringify(new URL("./source.js", import.meta.url).href)};
+export function getLatestPrice(ticker) {
+  return new SourcePrice(parseNumber(ticker === "HOOL" ? "130.50" : "1"), LocalDate.today());
+}
+export function getHistoricalPrice(ticker, date) {
+  return new SourcePrice(parseNumber("120"), date, "CAD");
+}
+`
+    );
+    const [{ sources }] = parsePriceSpec("USD:./sources/quote.js/HOOL");
+
+    const latest = await fetchPrice(sources[0], null, context);
+    expect(latest.number.toString()).toBe("130.5");
+    const historical = await fetchPrice(sources[0], date("2020-01-02"), context);
+    expect([String(historical.date), historical.currency]).toEqual(["2020-01-02", "CAD"]);
+  });
+
+  test("exec reports a failing command", async () => {
+    const source = { name: "exec", ticker: "echo oops >&2; exit 3" };
+    await expect(fetchPrice(source, null, context)).rejects.toThrow(
+      'Command "echo oops >&2; exit 3" failed with status 3: oops'
+    );
+  });
+});
@@ -0,0 +1,65 @@
+/**
+ * A source running a local command, e.g. "USD:exec/./quote.sh HOOL". The
+ * ticker is a shell command, run from the directory of the input file. For a
+ * historical price the date is appended to it as an argument, as YYYY-MM-DD.
+ *
+ * The command prints the price on the last line of its output, as
+ * "[DATE] PRICE [CURRENCY]", e.g. "2020-01-02 130.50 USD" or "130.50". Without
+ * a date the price is taken to be of the date requested, or of today for the
+ * latest price. An empty output means that there is no price.
+ */
+
+import { spawnSync } from "child_process";
+import { LocalDate } from "../../core/date.js";
+import { SourcePrice, parseNumber } from "../source.js";
+
+// The time a command may run for before it is stopped, in milliseconds.
+const TIMEOUT = 60 * 1000;
+
+const OUTPUT_RE = /^(?:(\d{4}-\d{2}-\d{2})\s+)?(\S+)(?:\s+([A-Z][A-Z0-9'._\-]*))?$/;
+
+function runCommand(ticker, date, context) {
+  const command = date === null ? ticker : `${ticker} ${date}`;
+  const result = spawnSync(command, {
+    shell: true,
+    cwd: context.directory,
+    encoding: "utf8",
+    timeout: TIMEOUT,
+  });
+  if (result.error) {
+    throw new Error(`Error running "${command}": ${result.error.message}`);
+  }
+  if (result.status !== 0) {
+    const stderr = result.stderr.trim();
+    throw new Error(
+      `Command "${command}" failed with status ${result.status}` +
+        (stderr ? `: ${stderr}` : "")
+    );
+  }
+
+  const lines = result.stdout.split("\n").filter((line) => line.trim() !== "");
+  if (lines.length === 0) {
+    return null;
+  }
+  const output = lines[lines.length - 1].trim();
+  const match = OUTPUT_RE.exec(output);
+  if (!match) {
+    throw new Error(`Invalid output from "${command}": "${output}"`);
+  }
+  const [, dateString, number, currency] = match;
+  return new SourcePrice(
+    parseNumber(number),
+    dateString ? LocalDate.fromString(dateString) : date || LocalDate.today(),
+    currency || null
+  );
+}
+
+function getLatestPrice(ticker, context) {
+  return runCommand(ticker, null, context);
+}
+
+function getHistoricalPrice(ticker, date, context) {
+  return runCommand(ticker, date, context);
+}
+
+export { getLatestPrice, getHistoricalPrice };
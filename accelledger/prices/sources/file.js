@@ -0,0 +1,89 @@
+/**
+ * A source reading prices from a local CSV or JSON file, e.g.
+ * "USD:file/prices/hool.csv". The ticker is the path of the file, relative to
+ * the directory of the input file.
+ *
+ * A CSV file has a header row naming its columns: "date" and "price", and
+ * optionally "currency", in any order and case. A JSON file holds an array of
+ * objects with the same properties. Dates are written as YYYY-MM-DD; the rows
+ * need not be sorted.
+ */
+
+import fs from "fs";
+import path from "path";
+import { LocalDate } from "../../core/date.js";
+import { SourcePrice, parseNumber } from "../source.js";
+
+// Split a line of CSV into its cells, unquoting quoted cells.
+function splitCsvLine(line) {
+  const cells = [];
+  const cellRe = /\s*(?:"((?:[^"]|"")*)"|([^,]*))\s*(?:,|$)/gy;
+  let match;
+  while (cellRe.lastIndex < line.length && (match = cellRe.exec(line))) {
+    cells.push(match[1] !== undefined ? match[1].replace(/""/g, '"') : match[2].trim());
+  }
+  if (line.endsWith(",")) {
+    cells.push("");
+  }
+  return cells;
+}
+
+function readCsvRows(text) {
+  const lines = text.split(/\r?\n/).filter((line) => line.trim() !== "");
+  if (lines.length === 0) {
+    return [];
+  }
+  const header = splitCsvLine(lines[0]).map((name) => name.toLowerCase());
+  return lines.slice(1).map((line) => {
+    const cells = splitCsvLine(line);
+    return Object.fromEntries(header.map((name, index) => [name, cells[index]]));
+  });
+}
+
+/**
+ * Read the prices of a file.
+ * @param {string} ticker - The path of the file.
+ * @param {Object} context - The context of the source.
+ * @returns {Array} A list of SourcePrice instances, sorted by date.
+ */
+function readPrices(ticker, context) {
+  const filename = path.resolve(context.directory, ticker);
+  const text = fs.readFileSync(filename, "utf8");
+  const rows =
+    path.extname(filename).toLowerCase() === ".json"
+      ? JSON.parse(text)
+      : readCsvRows(text);
+  if (!Array.isArray(rows)) {
+    throw new Error(`Expected a list of prices in ${filename}`);
+  }
+
+  return rows
+    .map((row, index) => {
+      const lower = Object.fromEntries(
+        Object.entries(row).map(([key, value]) => [key.toLowerCase(), value])
+      );
+      if (lower.date === undefined || lower.price === undefined) {
+        throw new Error(`Missing date or price in row ${index + 1} of ${filename}`);
+      }
+      return new SourcePrice(
+        parseNumber(lower.price),
+        LocalDate.fromString(String(lower.date)),
+        lower.currency || null
+      );
+    })
+    .sort((a, b) => a.date - b.date);
+}
+
+function getLatestPrice(ticker, context) {
+  const prices = readPrices(ticker, context);
+  return prices.length > 0 ? prices[prices.length - 1] : null;
+}
+
+function getHistoricalPrice(ticker, date, context) {
+  const prices = readPrices(ticker, context).filter(
+    (price) => price.date <= date
+  );
+  return prices.length > 0 ? prices[prices.length - 1] : null;
+}
+
+export { getLatestPrice, getHistoricalPrice };
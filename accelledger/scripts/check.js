@@ -2,23 +2,15 @@
 
 import { program } from "commander";
 import chalk from "chalk";
-import { loadFile } from "../loader.js";
+import { loadFile, PLUGINS_PRE, PLUGINS_AUTO } from "../loader.js";
+import { formatError } from "../parser/printer.js";
 import { logTime } from "../utils/misc_utils.js";
-import { validate } from "../ops/validation.js";
 
-program
-  .argument("<filename>", "Accelledger input file to process")
-  .option("-v, --verbose", "Print timings")
-  .option("-C, --no-cache", "Disable the cache")
-  .option("--cache-filename <path>", "Override the cache filename")
-  .option("-a, --auto", "Implicitly enable auto-plugins")
-  .parse();
-
-const options = program.opts();
-const filename = program.args[0];
-
-async function main() {
-  const useCache = !options.noCache;
+// Sets the exit status rather than exiting, so that the total time is logged
+// and the auto plugins are removed again when used as a library.
+async function main(filename, options = {}) {
+  // Commander turns "--no-cache" into "cache: false".
+  const useCache = options.cache !== false;
 
   try {
     if (options.verbose) {
@@ -29,52 +21,52 @@ async function main() {
       loadFile.initialize(useCache, options.cacheFilename);
     }
 
+    // Insert the auto plugins; this has to be done before loading.
+    if (options.auto) {
+      PLUGINS_PRE.push(...PLUGINS_AUTO);
+    }
+
     const logTimings = options.verbose ? console.log : null;
 
     await logTime("accelledger.loader (total)", logTimings, async () => {
+      // The loader has already run the validations.
       const [entries, errors, optionsMap] = await loadFile(
         filename,
-        logTimings,
-        console.error
+        logTimings
       );
 
       if (errors.length > 0) {
-        console.error(chalk.red(`Found ${errors.length} loading errors:`));
+        console.error(chalk.red(`Found ${errors.length} errors:`));
         errors.forEach((error) => {
-          console.error(chalk.yellow(`${error.source}: ${error.message}`));
+          console.error(chalk.yellow(formatError(error)));
         });
       }
 
-      const validationErrors = validate(entries, optionsMap, logTimings);
-
-      if (validationErrors.length > 0) {
-        console.error(
-          chalk.red(`Found ${validationErrors.length} validation errors:`)
-        );
-        validationErrors.forEach((error) => {
-          console.error(chalk.yellow(`${error.source}: ${error.message}`));
-        });
-      }
-
-      if (errors.length > 0 || validationErrors.length > 0) {
-        process.exit(1);
+      if (errors.length > 0) {
+        process.exitCode = 1;
       } else {
         console.log(chalk.green("No errors found."));
-        process.exit(0);
       }
     });
   } catch (error) {
     console.error(chalk.red("An unexpected error occurred:"), error);
-    process.exit(1);
+    process.exitCode = 1;
   } finally {
     if (options.auto) {
-      loadFile.PLUGINS_AUTO = oldPluginsAuto;
+      PLUGINS_PRE.splice(PLUGINS_PRE.length - PLUGINS_AUTO.length);
     }
   }
 }
 
-if (require.main === module) {
-  main();
+if (import.meta.main) {
+  program
+    .argument("<filename>", "Accelledger input file to process")
+    .option("-v, --verbose", "Print timings")
+    .option("-C, --no-cache", "Disable the cache")
+    .option("--cache-filename <path>", "Override the cache filename")
+    .option("-a, --auto", "Implicitly enable auto-plugins")
+    .parse();
+  main(program.args[0], program.opts());
 }
 
 export { main };
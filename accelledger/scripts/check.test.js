@@ -0,0 +1,50 @@
+import { afterEach, beforeEach, describe, expect, test } from "bun:test";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { PLUGINS_PRE } from "../loader.js";
+import { main } from "./check.js";
+
+let directory;
+let output;
+
+// The verbose option replaces console.log, so it is restored by hand.
+const { log, info, error } = console;
+
+beforeEach(() => {
+  directory = fs.mkdtempSync(path.join(os.tmpdir(), "accelledger-check-"));
+  output = [];
+  console.log = console.info = console.error = (...args) =>
+    output.push(args.join(" "));
+});
+
+afterEach(() => {
+  Object.assign(console, { log, info, error });
+  process.exitCode = 0;
+  fs.rmSync(directory, { recursive: true, force: true });
+});
+
+function write(text) {
+  const filename = path.join(directory, "main.beancount");
+  fs.writeFileSync(filename, text);
+  return filename;
+}
+
+describe("check", () => {
+  test("sets a failing exit status on errors, after logging the total time", async () => {
+    const filename = write("2020-01-01 close Assets:Cash\n");
+    await main(filename, { verbose: true });
+    expect(process.exitCode).toBe(1);
+    expect(output.at(-1)).toContain("accelledger.loader (total)");
+    expect(output.at(-1)).toMatch(/Time: \d+ ms$/);
+  });
+
+  test("removes the auto plugins it inserted", async () => {
+    const plugins = [...PLUGINS_PRE];
+    const filename = write('2020-01-01 * "Auto"\n  Assets:Cash  1 USD\n  Income:Gift\n');
+    await main(filename, { auto: true });
+    expect(process.exitCode).toBe(0);
+    expect(output.some((line) => line.includes("No errors found."))).toBe(true);
+    expect(PLUGINS_PRE).toEqual(plugins);
+  });
+});
@@ -6,8 +6,12 @@ import fs from "fs";
 import path from "path";
 import { loadFile } from "../loader.js";
 import { parseFile } from "../parser/parser.js";
+import { LexBuilder, lexIter } from "../parser/lexer.js";
 import { compareEntries } from "../core/compare.js";
-import { renderFileContext } from "../parser/context.js";
+import {
+  renderFileContext,
+  renderFileBookingExplanation,
+} from "../parser/context.js";
 import { getAccountsUseMap, getAccountOpenClose } from "../core/getters.js";
 import { Open } from "../core/data.js";
 import { newMetadata } from "../core/data.js";
@@ -37,14 +41,26 @@ function setupDoctorCommands(program) {
     .command("lex")
     .description("Dump the lexer output for an AccelLedger syntax file")
     .argument("<filename>", "The AccelLedger file to analyze")
-    .action((filename) => {
-      const { lexIterator } = require("../parser/lexer.js");
-      for (const { token, lineno, text } of lexIterator(filename)) {
-        console.log(
-          `${token || "(None)".padEnd(12)} ${lineno
-            .toString()
-            .padStart(6)} ${JSON.stringify(text)}`
-        );
+    .action(async (filename) => {
+      try {
+        const builder = new LexBuilder();
+        for await (const { token, lineno, column, text } of lexIter(
+          filename,
+          builder
+        )) {
+          console.log(
+            `${token.padEnd(12)} ${`${lineno}:${column}`.padStart(10)} ${JSON.stringify(text)}`
+          );
+        }
+        for (const error of builder.errors) {
+          const { filename: source, lineno, column } = error.source;
+          console.error(
+            chalk.red(`${source}:${lineno}:${column}: ${error.message}`)
+          );
+        }
+      } catch (error) {
+        console.error(chalk.red(error.message));
+        process.exit(1);
       }
     });
 
@@ -53,7 +69,12 @@ function setupDoctorCommands(program) {
     .description("Parse the ledger in debug mode")
     .argument("<filename>", "The AccelLedger file to parse")
     .action((filename) => {
-      parseFile(filename, { debug: true });
+      try {
+        parseFile(filename, { debug: true });
+      } catch (error) {
+        console.error(chalk.red(error.message));
+        process.exit(1);
+      }
     });
 
   program
@@ -124,6 +145,9 @@ function setupDoctorCommands(program) {
             }
           }
         }
+      } catch (error) {
+        console.error(chalk.red(error.message));
+        process.exit(1);
       } finally {
         // Clean up temporary files
         if (
@@ -144,16 +168,42 @@ function setupDoctorCommands(program) {
     .description("Describe transaction context")
     .argument("<filename>", "The AccelLedger file to analyze")
     .argument("<location>", "The location to describe (e.g., filename:lineno)")
-    .action((filename, location) => {
-      const [searchFilename, lineno] = location.split(":");
-      const [entries, errors, optionsMap] = loadFile(filename);
-      const context = renderFileContext(
-        entries,
-        optionsMap,
-        searchFilename || filename,
-        parseInt(lineno)
-      );
-      console.log(context);
+    .action(async (filename, location) => {
+      try {
+        const [searchFilename, lineno] = location.split(":");
+        const [entries, errors, optionsMap] = await loadFile(filename);
+        const context = renderFileContext(
+          entries,
+          optionsMap,
+          path.resolve(searchFilename || filename),
+          parseInt(lineno)
+        );
+        console.log(context);
+      } catch (error) {
+        console.error(chalk.red(error.message));
+        process.exit(1);
+      }
+    });
+
+  program
+    .command("explain-booking")
+    .description("Explain how the lots of a transaction were booked")
+    .argument("<filename>", "The AccelLedger file to analyze")
+    .argument("<lineno>", "The line number of the transaction")
+    .action(async (filename, lineno) => {
+      try {
+        const [entries, errors, optionsMap] = await loadFile(filename);
+        const explanation = renderFileBookingExplanation(
+          entries,
+          optionsMap,
+          path.resolve(filename),
+          parseInt(lineno)
+        );
+        console.log(explanation);
+      } catch (error) {
+        console.error(chalk.red(error.message));
+        process.exit(1);
+      }
     });
 
   program
@@ -164,50 +214,59 @@ function setupDoctorCommands(program) {
       "<locationSpec>",
       "The location specification (e.g., ^link or #tag)"
     )
-    .action((filename, locationSpec) => {
-      const [entries, errors, optionsMap] = loadFile(filename);
-      let linkedEntries;
+    .action(async (filename, locationSpec) => {
+      try {
+        const [entries, errors, optionsMap] = await loadFile(filename);
+        let linkedEntries;
 
-      if (locationSpec.startsWith("^")) {
-        const links = new Set([locationSpec.slice(1)]);
-        linkedEntries = findLinkedEntries(entries, links, false);
-      } else if (locationSpec.startsWith("#")) {
-        const tag = locationSpec.slice(1);
-        linkedEntries = findTaggedEntries(entries, tag);
-      } else {
-        // Handle line number or region specification
-        // This part would need to be implemented based on your specific needs
-      }
+        if (locationSpec.startsWith("^")) {
+          const links = new Set([locationSpec.slice(1)]);
+          linkedEntries = findLinkedEntries(entries, links, false);
+        } else if (locationSpec.startsWith("#")) {
+          const tag = locationSpec.slice(1);
+          linkedEntries = findTaggedEntries(entries, tag);
+        } else {
+          // Line numbers and regions are not supported yet.
+          throw new Error(`Invalid location: ${locationSpec} (expected ^link or #tag)`);
+        }
 
-      renderMiniBalances(linkedEntries, optionsMap);
+        renderMiniBalances(linkedEntries, optionsMap);
+      } catch (error) {
+        console.error(chalk.red(error.message));
+        process.exit(1);
+      }
     });
 
   program
     .command("missing-open")
     .description("Print Open directives missing in the file")
     .argument("<filename>", "The AccelLedger file to analyze")
-    .action((filename) => {
-      const [entries, errors, optionsMap] = loadFile(filename);
-      const [firstUseMap] = getAccountsUseMap(entries);
-      const openCloseMap = getAccountOpenClose(entries);
+    .action(async (filename) => {
+      try {
+        const [entries, errors, optionsMap] = await loadFile(filename);
+        const [firstUseMap] = getAccountsUseMap(entries);
+        const openCloseMap = getAccountOpenClose(entries);
 
-      const newEntries = [];
-      for (const [account, firstUseDate] of Object.entries(firstUseMap)) {
-        if (!openCloseMap.has(account)) {
-          newEntries.push(
-            new Open(
-              newMetadata(filename, 0),
-              firstUseDate,
-              account,
-              null,
-              null
-            )
-          );
+        const newEntries = [];
+        for (const [account, firstUseDate] of Object.entries(firstUseMap)) {
+          if (!(account in openCloseMap)) {
+            newEntries.push(
+              new Open(
+                newMetadata(filename, 0),
+                firstUseDate,
+                account,
+                null,
+                null
+              )
+            );
+          }
         }
-      }
 
-      const { printEntries } = require("../printer.js");
-      printEntries(newEntries.sort((a, b) => a.date - b.date));
+        printEntries(newEntries.sort((a, b) => a.date - b.date));
+      } catch (error) {
+        console.error(chalk.red(error.message));
+        process.exit(1);
+      }
     });
 }
 
@@ -226,7 +285,7 @@ function renderMiniBalances(entries, optionsMap) {
 
   entries.forEach((entry) => {
     console.log(
-      chalk.cyan(`${entry.date.toISOString().split("T")[0]} ${entry.narration}`)
+      chalk.cyan(`${entry.date} ${entry.narration}`)
     );
     entry.postings.forEach((posting) => {
       const account = posting.account;
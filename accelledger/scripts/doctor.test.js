@@ -0,0 +1,70 @@
+import { afterEach, beforeEach, describe, expect, spyOn, test } from "bun:test";
+import { Command } from "commander";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { setupDoctorCommands } from "./doctor.js";
+
+let directory;
+let output;
+let exit;
+
+const { log, error } = console;
+
+beforeEach(() => {
+  directory = fs.mkdtempSync(path.join(os.tmpdir(), "accelledger-doctor-"));
+  output = [];
+  console.log = console.error = (...args) => output.push(args.join(" "));
+  // Stop the action where it exits, as the process would.
+  exit = spyOn(process, "exit").mockImplementation((code) => {
+    throw new Error(`exit ${code}`);
+  });
+});
+
+afterEach(() => {
+  Object.assign(console, { log, error });
+  exit.mockRestore();
+  fs.rmSync(directory, { recursive: true, force: true });
+});
+
+function doctor(...args) {
+  const program = new Command().exitOverride();
+  setupDoctorCommands(program);
+  return program.parseAsync(args, { from: "user" });
+}
+
+describe("doctor", () => {
+  const missing = () => path.join(directory, "missing.beancount");
+
+  for (const command of ["lex", "parse"]) {
+    test(`${command} reports a missing file and exits with an error status`, async () => {
+      await expect(doctor(command, missing())).rejects.toThrow("exit 1");
+      expect(exit).toHaveBeenCalledWith(1);
+      expect(output.at(-1)).toContain("no such file or directory");
+    });
+  }
+
+  test("linked reports an invalid location and exits with an error status", async () => {
+    await expect(doctor("linked", missing(), "12")).rejects.toThrow("exit 1");
+    expect(exit).toHaveBeenCalledWith(1);
+    expect(output.at(-1)).toBe("Invalid location: 12 (expected ^link or #tag)");
+  });
+
+  test("missing-open prints the Open directives of unopened accounts", async () => {
+    const filename = path.join(directory, "main.beancount");
+    fs.writeFileSync(
+      filename,
+      '2020-01-01 open Assets:Cash\n\n2020-01-02 * "Gift"\n  Assets:Cash  1 USD\n  Income:Gift\n'
+    );
+    const write = spyOn(process.stdout, "write").mockImplementation(() => true);
+    try {
+      await doctor("missing-open", filename);
+      expect(write.mock.calls.map(([text]) => text).join("")).toBe(
+        "2020-01-02 open Income:Gift\n\n"
+      );
+    } finally {
+      write.mockRestore();
+    }
+    expect(exit).not.toHaveBeenCalled();
+  });
+});
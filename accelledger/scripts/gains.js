@@ -0,0 +1,136 @@
+#!/usr/bin/env bun
+
+import { program } from "commander";
+import chalk from "chalk";
+import { loadFile } from "../loader.js";
+import { formatError } from "../parser/printer.js";
+import { DEFAULT_LONG_TERM_DAYS, getDisposals } from "../ops/gains.js";
+import { createTable, tableToText, tableToCsv } from "../utils/table.js";
+
+const formatNumber = (number) => number.toFixed();
+
+/**
+ * Build the table of realized gains, one row per lot disposed of.
+ * @param {Array} disposals - A list of Disposal instances.
+ * @param {number} longTermDays - The holding period threshold in days.
+ * @returns {Object} A table with the columns of the text report.
+ */
+function createGainsTable(disposals, longTermDays) {
+  const rows = disposals.map((disposal) => ({
+    account: disposal.account,
+    units: disposal.units.number,
+    currency: disposal.units.currency,
+    acquired: disposal.acquisitionDate,
+    sold: disposal.disposalDate,
+    cost_basis: disposal.costBasis,
+    proceeds: disposal.proceeds,
+    gain: disposal.gain,
+    cost_currency: disposal.cost.currency,
+    term: disposal.isLongTerm(longTermDays) ? "long" : "short",
+  }));
+  return createTable(rows, [
+    "account",
+    ["units", null, formatNumber],
+    "currency",
+    "acquired",
+    "sold",
+    ["cost_basis", null, formatNumber],
+    ["proceeds", null, formatNumber],
+    ["gain", "Gain/Loss", formatNumber],
+    ["cost_currency", "Ccy"],
+    "term",
+  ]);
+}
+
+/**
+ * Build the table of realized gains laid out like the columns of a tax form
+ * listing sales of capital assets (e.g. the IRS Form 8949).
+ * @param {Array} disposals - A list of Disposal instances.
+ * @param {number} longTermDays - The holding period threshold in days.
+ * @returns {Object} A table with the columns of the CSV report.
+ */
+function createTaxFormTable(disposals, longTermDays) {
+  const rows = disposals.map((disposal) => ({
+    description: `${disposal.units.number.toFixed()} ${disposal.units.currency}`,
+    date_acquired: disposal.acquisitionDate,
+    date_sold: disposal.disposalDate,
+    proceeds: disposal.proceeds,
+    cost_basis: disposal.costBasis,
+    gain: disposal.gain,
+    currency: disposal.cost.currency,
+    term: disposal.isLongTerm(longTermDays) ? "Long-term" : "Short-term",
+    account: disposal.account,
+  }));
+  return createTable(rows, [
+    ["description", "Description of Property"],
+    "date_acquired",
+    "date_sold",
+    ["proceeds", "Proceeds", formatNumber],
+    ["cost_basis", "Cost Basis", formatNumber],
+    ["gain", "Gain or Loss", formatNumber],
+    "currency",
+    "term",
+    "account",
+  ]);
+}
+
+async function main(filename, options = {}) {
+  const format = options.format || "text";
+  const longTermDays =
+    options.longTermDays !== undefined
+      ? parseInt(options.longTermDays)
+      : DEFAULT_LONG_TERM_DAYS;
+  if (Number.isNaN(longTermDays)) {
+    throw new Error(`Invalid number of days: ${options.longTermDays}`);
+  }
+
+  const [entries, errors] = await loadFile(filename);
+  if (errors.length > 0) {
+    errors.forEach((error) => {
+      console.error(chalk.yellow(formatError(error)));
+    });
+    // The transactions that failed to book are left out of the entries, so
+    // the gains would be wrong.
+    throw new Error(`Found ${errors.length} errors, not reporting the gains`);
+  }
+
+  const disposals = getDisposals(entries);
+  switch (format) {
+    case "text":
+      process.stdout.write(
+        tableToText(createGainsTable(disposals, longTermDays), "  ", {
+          "*": ">",
+          account: "<",
+          currency: "<",
+          cost_currency: "<",
+          term: "<",
+        })
+      );
+      break;
+    case "csv":
+      process.stdout.write(
+        tableToCsv(createTaxFormTable(disposals, longTermDays))
+      );
+      break;
+    default:
+      throw new Error(`Unsupported format: ${format}`);
+  }
+}
+
+if (import.meta.main) {
+  program
+    .argument("<filename>", "Accelledger input file to process")
+    .option("-f, --format <format>", "Output format: text or csv", "text")
+    .option(
+      "--long-term-days <days>",
+      "Holding period beyond which a gain is long-term",
+      String(DEFAULT_LONG_TERM_DAYS)
+    )
+    .parse();
+  main(program.args[0], program.opts()).catch((error) => {
+    console.error(chalk.red(error.message));
+    process.exit(1);
+  });
+}
+
+export { createGainsTable, createTaxFormTable, main };
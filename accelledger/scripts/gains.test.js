@@ -0,0 +1,66 @@
+import { afterEach, beforeEach, describe, expect, spyOn, test } from "bun:test";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { main } from "./gains.js";
+
+let directory;
+let output;
+
+const { error } = console;
+
+beforeEach(() => {
+  directory = fs.mkdtempSync(path.join(os.tmpdir(), "accelledger-gains-"));
+  output = [];
+  console.error = (...args) => output.push(args.join(" "));
+});
+
+afterEach(() => {
+  console.error = error;
+  fs.rmSync(directory, { recursive: true, force: true });
+});
+
+describe("gains", () => {
+  test("reports the load errors instead of the gains", async () => {
+    const filename = path.join(directory, "missing.beancount");
+    const write = spyOn(process.stdout, "write").mockImplementation(() => true);
+    try {
+      await expect(main(filename)).rejects.toThrow(
+        "Found 1 errors, not reporting the gains"
+      );
+      expect(write).not.toHaveBeenCalled();
+    } finally {
+      write.mockRestore();
+    }
+    expect(output[0]).toContain("does not exist");
+  });
+
+  test("writes the disposals as CSV", async () => {
+    const filename = path.join(directory, "main.beancount");
+    fs.writeFileSync(
+      filename,
+      `2020-01-01 open Assets:Broker
+2020-01-01 open Assets:Cash
+2020-01-01 open Income:Gains
+
+2020-01-02 * "Buy"
+  Assets:Broker  10 HOOL {100 USD}
+  Assets:Cash
+
+2020-03-01 * "Sell"
+  Assets:Broker  -10 HOOL {}
+  Assets:Cash  1300 USD
+  Income:Gains
+`
+    );
+    const write = spyOn(process.stdout, "write").mockImplementation(() => true);
+    try {
+      await main(filename, { format: "csv" });
+      const [header, row] = write.mock.calls[0][0].trim().split("\n");
+      expect(header).toStartWith("Description of Property,");
+      expect(row).toBe("10 HOOL,2020-01-02,2020-03-01,1300,1000,300,USD,Short-term,Assets:Broker");
+    } finally {
+      write.mockRestore();
+    }
+  });
+});
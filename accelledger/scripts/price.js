@@ -0,0 +1,278 @@
+#!/usr/bin/env bun
+
+import { program } from "commander";
+import chalk from "chalk";
+import fs from "fs";
+import path from "path";
+import { loadFile } from "../loader.js";
+import { formatEntry, formatError } from "../parser/printer.js";
+import { Commodity, Price, newMetadata } from "../core/data.js";
+import { Amount } from "../core/amount.js";
+import { LocalDate } from "../core/date.js";
+import { getCommodityLifetimes, trimIntervals } from "../ops/lifetimes.js";
+import { fetchPrice, parsePriceSpec } from "../prices/source.js";
+
+// How often prices are needed when updating: every day, every weekday, or
+// every Friday.
+const UPDATE_RATES = ["daily", "weekday", "weekly"];
+
+/**
+ * Get the time intervals over which each currency is held, at any cost.
+ * @param {Array} entries - A list of directives.
+ * @returns {Map} A map of currencies to sorted lists of disjoint [start, end]
+ *   LocalDate pairs, where end is exclusive, or null if still held.
+ */
+function getCurrencyLifetimes(entries) {
+  const lifetimes = new Map();
+  for (const [pair, intervals] of Object.entries(
+    getCommodityLifetimes(entries)
+  )) {
+    const [currency] = pair.split(",");
+    if (!lifetimes.has(currency)) {
+      lifetimes.set(currency, []);
+    }
+    lifetimes.get(currency).push(...intervals);
+  }
+
+  for (const [currency, intervals] of lifetimes) {
+    const merged = [];
+    for (const [begin, end] of intervals.sort((a, b) => a[0] - b[0])) {
+      const last = merged[merged.length - 1];
+      if (last && (last[1] === null || begin <= last[1])) {
+        if (last[1] !== null && (end === null || end > last[1])) {
+          last[1] = end;
+        }
+      } else {
+        merged.push([begin, end]);
+      }
+    }
+    lifetimes.set(currency, merged);
+  }
+  return lifetimes;
+}
+
+function isHeld(intervals, date) {
+  return intervals.some(
+    ([begin, end]) => begin <= date && (end === null || date < end)
+  );
+}
+
+/**
+ * Get the dates at which prices are needed over some intervals.
+ * @param {Array} intervals - A list of [start, end] LocalDate pairs.
+ * @param {string} updateRate - One of UPDATE_RATES.
+ * @param {LocalDate} today - The last date to include.
+ * @returns {Array} A list of LocalDate instances.
+ */
+function getRequiredDates(intervals, updateRate, today) {
+  const dates = [];
+  for (const [begin, end] of trimIntervals(intervals, null, today.addDays(1))) {
+    for (let date = begin; date < end; date = date.addDays(1)) {
+      if (
+        updateRate === "daily" ||
+        (updateRate === "weekday" && date.dayOfWeek() <= 5) ||
+        (updateRate === "weekly" && date.dayOfWeek() === 5)
+      ) {
+        dates.push(date);
+      }
+    }
+  }
+  return dates;
+}
+
+/**
+ * Find the prices to fetch for the commodities with a "price" metadata.
+ *
+ * By default, the latest price of each commodity held today is fetched, or of
+ * each commodity held at the given date. When updating, a price is fetched at
+ * every date a commodity was held, at the update rate, for which the ledger
+ * has no price yet.
+ *
+ * @param {Array} entries - A list of directives.
+ * @param {Object} options - The date, update, updateRate, inactive and today
+ *   options.
+ * @returns {Array} A list of {currency, quoteCurrency, sources, date} jobs,
+ *   where date is null for the latest price, and a list of error messages.
+ */
+function getPriceJobs(entries, options = {}) {
+  const today = options.today || LocalDate.today();
+  const date = options.date || null;
+  const lifetimes = getCurrencyLifetimes(entries);
+  const existing = new Set(
+    entries
+      .filter((entry) => entry instanceof Price)
+      .map((entry) => `${entry.date},${entry.currency},${entry.amount.currency}`)
+  );
+
+  const jobs = [];
+  const errors = [];
+  for (const entry of entries) {
+    if (!(entry instanceof Commodity) || !entry.meta || !entry.meta.price) {
+      continue;
+    }
+
+    let specs;
+    try {
+      specs = parsePriceSpec(String(entry.meta.price));
+    } catch (error) {
+      errors.push(`${entry.meta.filename}:${entry.meta.lineno}: ${error.message}`);
+      continue;
+    }
+
+    const currency = entry.currency;
+    const intervals = lifetimes.get(currency) || [];
+    for (const { quoteCurrency, sources } of specs) {
+      if (options.update) {
+        for (const requiredDate of getRequiredDates(
+          intervals,
+          options.updateRate || "weekday",
+          today
+        )) {
+          if (!existing.has(`${requiredDate},${currency},${quoteCurrency}`)) {
+            jobs.push({ currency, quoteCurrency, sources, date: requiredDate });
+          }
+        }
+      } else if (options.inactive || isHeld(intervals, date || today)) {
+        jobs.push({ currency, quoteCurrency, sources, date });
+      }
+    }
+  }
+  return [jobs, errors];
+}
+
+/**
+ * Fetch the price of a job from its sources, in order.
+ * @param {Object} job - A job, as returned by getPriceJobs().
+ * @param {Object} context - The context passed to the sources.
+ * @returns {Price} A new Price directive, or null if no source had a price.
+ */
+async function fetchJob(job, context) {
+  for (const source of job.sources) {
+    try {
+      const sourcePrice = await fetchPrice(source, job.date, context);
+      if (sourcePrice !== null) {
+        return new Price(
+          newMetadata(`<${source.name}>`, 0),
+          sourcePrice.date,
+          job.currency,
+          new Amount(sourcePrice.number, sourcePrice.currency || job.quoteCurrency)
+        );
+      }
+    } catch (error) {
+      console.error(
+        chalk.yellow(
+          `Error fetching ${job.currency} from ${source.name}/${source.ticker}: ${error.message}`
+        )
+      );
+    }
+  }
+  return null;
+}
+
+function formatJob(job) {
+  const sources = job.sources
+    .map((source) => `${source.name}/${source.ticker}`)
+    .join(",");
+  return `${job.date || "latest"} ${job.currency} ${job.quoteCurrency} ${sources}\n`;
+}
+
+async function main(filename, options = {}) {
+  const date = options.date ? LocalDate.fromString(options.date) : null;
+  if (date && options.update) {
+    throw new Error("The --date and --update options cannot be used together");
+  }
+  const updateRate = options.updateRate || "weekday";
+  if (!UPDATE_RATES.includes(updateRate)) {
+    throw new Error(`Invalid update rate: ${updateRate}`);
+  }
+
+  const [entries, errors] = await loadFile(filename);
+  errors.forEach((error) => {
+    console.error(chalk.yellow(formatError(error)));
+  });
+
+  const [jobs, jobErrors] = getPriceJobs(entries, {
+    date,
+    update: options.update,
+    updateRate,
+    inactive: options.inactive,
+  });
+  jobErrors.forEach((message) => {
+    console.error(chalk.yellow(message));
+  });
+
+  if (options.dryRun) {
+    jobs.forEach((job) => process.stdout.write(formatJob(job)));
+    return;
+  }
+
+  const context = {
+    filename: path.resolve(filename),
+    directory: path.dirname(path.resolve(filename)),
+  };
+  const seen = new Set(
+    options.clobber
+      ? []
+      : entries
+          .filter((entry) => entry instanceof Price)
+          .map((entry) => `${entry.date},${entry.currency},${entry.amount.currency}`)
+  );
+  const newEntries = [];
+  for (const job of jobs) {
+    const price = await fetchJob(job, context);
+    if (price === null) {
+      console.error(
+        chalk.yellow(
+          `No price found for ${job.currency} in ${job.quoteCurrency}` +
+            (job.date ? ` at ${job.date}` : "")
+        )
+      );
+      continue;
+    }
+    // Sources return the latest price before the date when they have none at
+    // it, which may already be in the ledger.
+    const key = `${price.date},${price.currency},${price.amount.currency}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    newEntries.push(price);
+  }
+
+  newEntries.sort(
+    (a, b) => a.date - b.date || a.currency.localeCompare(b.currency)
+  );
+  const text = newEntries.map((entry) => formatEntry(entry)).join("");
+  if (options.append) {
+    if (text) {
+      const current = fs.existsSync(options.append)
+        ? fs.readFileSync(options.append, "utf8")
+        : "";
+      const separator = current && !current.endsWith("\n") ? "\n" : "";
+      fs.appendFileSync(options.append, separator + text);
+    }
+  } else {
+    process.stdout.write(text);
+  }
+}
+
+if (import.meta.main) {
+  program
+    .argument("<filename>", "Accelledger input file to process")
+    .option("-d, --date <date>", "Fetch the prices at a date, as YYYY-MM-DD")
+    .option("-u, --update", "Fetch the missing prices over the holding periods")
+    .option(
+      "--update-rate <rate>",
+      "Rate of the prices to update: daily, weekday or weekly",
+      "weekday"
+    )
+    .option("-i, --inactive", "Also fetch prices of commodities not held")
+    .option("--clobber", "Output prices even where the ledger has one")
+    .option("-a, --append <file>", "Append the new prices to a file")
+    .option("-n, --dry-run", "Print the prices to fetch without fetching them")
+    .parse();
+  main(program.args[0], program.opts()).catch((error) => {
+    console.error(chalk.red(error.message));
+    process.exit(1);
+  });
+}
+
+export { UPDATE_RATES, getCurrencyLifetimes, getPriceJobs, fetchJob, main };
@@ -0,0 +1,99 @@
+import { afterEach, beforeEach, describe, expect, test } from "bun:test";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { loadFile } from "../loader.js";
+import { LocalDate } from "../core/date.js";
+import { getPriceJobs, main } from "./price.js";
+
+let directory;
+let filename;
+
+// HOOL is held from Monday 2020-01-06 to Wednesday 2020-01-08, the day of its
+// sale included, and has a price on the Tuesday.
+const LEDGER = `
+2020-01-01 commodity HOOL
+  price: "USD:file/hool.csv"
+2020-01-01 commodity ACME
+  price: "bad"
+2020-01-01 open Assets:Broker
+2020-01-01 open Assets:Cash
+2020-01-06 * "Buy"
+  Assets:Broker  10 HOOL {100 USD}
+  Assets:Cash
+2020-01-07 price HOOL 101 USD
+2020-01-08 * "Sell"
+  Assets:Broker  -10 HOOL {100 USD}
+  Assets:Cash
+`;
+
+beforeEach(() => {
+  directory = fs.mkdtempSync(path.join(os.tmpdir(), "accelledger-price-"));
+  filename = path.join(directory, "main.beancount");
+  fs.writeFileSync(filename, LEDGER);
+  fs.writeFileSync(
+    path.join(directory, "hool.csv"),
+    "date,price\n2020-01-06,100.50\n2020-01-07,101\n"
+  );
+});
+
+afterEach(() => {
+  fs.rmSync(directory, { recursive: true, force: true });
+});
+
+const date = (string) => LocalDate.fromString(string);
+
+describe("getPriceJobs", () => {
+  async function jobs(options) {
+    const [entries] = await loadFile(filename);
+    const [priceJobs, errors] = getPriceJobs(entries, options);
+    return {
+      jobs: priceJobs.map((job) => `${job.date || "latest"} ${job.currency} ${job.quoteCurrency}`),
+      errors,
+    };
+  }
+
+  test("fetches the latest price of the commodities held", async () => {
+    expect((await jobs({ today: date("2020-01-07") })).jobs).toEqual([
+      "latest HOOL USD",
+    ]);
+    expect((await jobs({ today: date("2020-01-09") })).jobs).toEqual([]);
+    expect(
+      (await jobs({ today: date("2020-01-09"), inactive: true })).jobs
+    ).toEqual(["latest HOOL USD"]);
+  });
+
+  test("updates the missing prices over the holding period", async () => {
+    const { jobs: updateJobs, errors } = await jobs({
+      update: true,
+      today: date("2020-01-31"),
+    });
+    expect(updateJobs).toEqual(["2020-01-06 HOOL USD", "2020-01-08 HOOL USD"]);
+    expect(errors).toEqual([
+      `${filename}:4: Invalid price source: "bad"`,
+    ]);
+  });
+});
+
+describe("main", () => {
+  test("appends the fetched prices to a file", async () => {
+    const output = path.join(directory, "prices.beancount");
+    fs.writeFileSync(output, "2020-01-01 price HOOL 99 USD");
+    const { error } = console;
+    console.error = () => {};
+    try {
+      await main(filename, { update: true, append: output });
+    } finally {
+      console.error = error;
+    }
+    expect(fs.readFileSync(output, "utf8")).toBe(
+      "2020-01-01 price HOOL 99 USD\n2020-01-06 price HOOL 100.50 USD\n"
+    );
+  });
+
+  test("rejects a date with the update option", async () => {
+    await expect(
+      main(filename, { date: "2020-01-07", update: true })
+    ).rejects.toThrow("The --date and --update options cannot be used together");
+  });
+});
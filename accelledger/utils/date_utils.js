@@ -5,17 +5,18 @@
  * @license GNU GPLv2
  */
 
+import { LocalDate } from '../core/date.js';
+
 /**
- * Yield all the dates between 'startDate' and 'endDate'.
- * @param {Date} startDate
- * @param {Date} endDate
- * @returns {Generator<Date>}
+ * Yield all the dates between 'startDate' (inclusive) and 'endDate'
+ * (exclusive).
+ * @param {LocalDate} startDate
+ * @param {LocalDate} endDate
+ * @returns {Generator<LocalDate>}
  */
 function* iterDates(startDate, endDate) {
-    let date = new Date(startDate);
-    while (date < endDate) {
-        yield new Date(date);
-        date.setDate(date.getDate() + 1);
+    for (let date = startDate; date < endDate; date = date.addDays(1)) {
+        yield date;
     }
 }
 
@@ -30,14 +31,11 @@ function renderOfxDate(date) {
 
 /**
  * Compute the date at the beginning of the following month from the given date.
- * @param {Date} date
- * @returns {Date}
+ * @param {LocalDate} date
+ * @returns {LocalDate}
  */
 function nextMonth(date) {
-    const nextMonthDate = new Date(date);
-    nextMonthDate.setMonth(nextMonthDate.getMonth() + 1);
-    nextMonthDate.setDate(1);
-    return nextMonthDate;
+    return new LocalDate(date.year, date.month, 1).addMonths(1);
 }
 
 // Note: The intimezone function is not directly translatable to JavaScript
@@ -16,20 +16,30 @@ function deprecated(message) {
     };
 }
 
-function logTime(operationName, logTimings, indent = 0) {
-    return function(target, key, descriptor) {
-        const originalMethod = descriptor.value;
-        descriptor.value = function(...args) {
-            const time1 = performance.now();
-            const result = originalMethod.apply(this, args);
-            const time2 = performance.now();
-            if (logTimings) {
-                logTimings(`Operation: ${operationName.padEnd(48)} Time: ${'      '.repeat(indent)}${(time2 - time1).toFixed(0)} ms`);
-            }
-            return result;
-        };
-        return descriptor;
+/**
+ * Call a function and log the time it took, once it has returned or, for an
+ * async function, once its promise has settled.
+ *
+ * @param {string} operationName - The name of the operation to log.
+ * @param {Function} logTimings - A function to log the time with, or null.
+ * @param {Function} callback - The function to time.
+ * @param {number} indent - The indentation level of the logged time.
+ * @returns {*} The return value of the callback.
+ */
+function logTime(operationName, logTimings, callback, indent = 0) {
+    const time1 = performance.now();
+    const log = () => {
+        const time2 = performance.now();
+        if (logTimings) {
+            logTimings(`Operation: ${operationName.padEnd(48)} Time: ${'      '.repeat(indent)}${(time2 - time1).toFixed(0)} ms`);
+        }
     };
+    const result = callback();
+    if (result && typeof result.then === 'function') {
+        return result.finally(log);
+    }
+    log();
+    return result;
 }
 
 function box(name = null, file = null) {
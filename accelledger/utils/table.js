@@ -86,9 +86,38 @@ function tableToHtml(table, classes = []) {
  * @returns {string} The rendered text table.
  */
 function tableToText(table, columnInterspace = ' ', formats = {}) {
-    // ... (implementation details omitted for brevity)
-    // This function would require more complex string manipulation in JavaScript
-    // Consider using a library like cli-table for better text table rendering in JS
+    const rows = table.header.length ? [table.header, ...table.body] : table.body;
+    const widths = table.columns.map((column, index) =>
+        Math.max(0, ...rows.map(row => row[index].length))
+    );
+
+    // Each column is aligned left ('<'), right ('>') or centered ('^'), as
+    // given by its name or else by '*'; the header is always centered.
+    const alignCell = (cell, width, align) => {
+        switch (align) {
+            case '>':
+                return cell.padStart(width);
+            case '^': {
+                const left = Math.floor((width - cell.length) / 2);
+                return cell.padStart(cell.length + left).padEnd(width);
+            }
+            default:
+                return cell.padEnd(width);
+        }
+    };
+
+    const lines = [];
+    if (table.header.length) {
+        lines.push(table.header.map((cell, index) => alignCell(cell, widths[index], '^')));
+        lines.push(widths.map(width => '-'.repeat(width)));
+    }
+    for (const row of table.body) {
+        lines.push(row.map((cell, index) => {
+            const align = formats[table.columns[index]] || formats['*'] || '<';
+            return alignCell(cell, widths[index], align);
+        }));
+    }
+    return lines.map(line => line.join(columnInterspace).trimEnd()).join('\n') + '\n';
 }
 
 /**
@@ -97,8 +126,10 @@ function tableToText(table, columnInterspace = ' ', formats = {}) {
  * @returns {string} The rendered CSV string.
  */
 function tableToCsv(table) {
+    // Quote the cells that contain separators, quotes or newlines.
+    const quote = cell => /[",\r\n]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell;
     const rows = [table.header, ...table.body];
-    return rows.map(row => row.join(',')).join('\n');
+    return rows.map(row => row.map(quote).join(',')).join('\n') + '\n';
 }
 
 /**
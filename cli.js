@@ -5,6 +5,8 @@ import chalk from "chalk";
 import inquirer from "inquirer";
 import { addTransaction, getBalance } from "./ledger.js";
 import { main as checkMain } from "./accelledger/scripts/check.js";
+import { main as gainsMain } from "./accelledger/scripts/gains.js";
+import { main as priceMain } from "./accelledger/scripts/price.js";
 import { setupDoctorCommands } from "./accelledger/scripts/doctor.js";
 
 const program = new Command();
@@ -75,6 +77,47 @@ program
     }
   });
 
+program
+  .command("gains <filename>")
+  .description("Report the realized gains of each lot disposed of")
+  .option("-f, --format <format>", "Output format: text or csv", "text")
+  .option(
+    "--long-term-days <days>",
+    "Holding period beyond which a gain is long-term",
+    "365"
+  )
+  .action(async (filename, options) => {
+    try {
+      await gainsMain(filename, options);
+    } catch (error) {
+      console.error(chalk.red("An error occurred while reporting gains:"), error);
+      process.exit(1);
+    }
+  });
+
+program
+  .command("price <filename>")
+  .description("Fetch prices of the commodities from their price sources")
+  .option("-d, --date <date>", "Fetch the prices at a date, as YYYY-MM-DD")
+  .option("-u, --update", "Fetch the missing prices over the holding periods")
+  .option(
+    "--update-rate <rate>",
+    "Rate of the prices to update: daily, weekday or weekly",
+    "weekday"
+  )
+  .option("-i, --inactive", "Also fetch prices of commodities not held")
+  .option("--clobber", "Output prices even where the ledger has one")
+  .option("-a, --append <file>", "Append the new prices to a file")
+  .option("-n, --dry-run", "Print the prices to fetch without fetching them")
+  .action(async (filename, options) => {
+    try {
+      await priceMain(filename, options);
+    } catch (error) {
+      console.error(chalk.red("An error occurred while fetching prices:"), error);
+      process.exit(1);
+    }
+  });
+
 const doctorCommand = program
   .command("doctor")
   .description("Run diagnostic tools on an AccelLedger file");